@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// compares reading every message of a bag with & without the lazy option when the
+// callback only looks at some of the messages, e.g. when filtering by topic or time.
+// reading without parsing (noParse) is the baseline for the time spent parsing
+// usage: yarn bench [bag] - the example fixture is read by default
+
+/* eslint-disable no-console */
+
+const path = require("path");
+const { open } = require("../dist/node");
+
+const ROUNDS = 20;
+
+const MODES = {
+  noParse: { noParse: true },
+  eager: {},
+  lazy: { lazy: true },
+};
+
+// reads the bag, only looking at every tenth message
+async function read(bag, options) {
+  let count = 0;
+  await bag.readMessages(options, (result) => {
+    if (count++ % 10 === 0 && !options.noParse && !result.message) {
+      throw new Error(`Missing message on ${result.topic}.`);
+    }
+  });
+}
+
+// the average time in milliseconds of a read in each mode
+async function measure(bag) {
+  const times = {};
+  // the first round warms up the chunk cache & the message readers
+  for (let round = 0; round <= ROUNDS; round++) {
+    // the modes take turns so they're equally affected by the jit & garbage collection
+    for (const mode of Object.keys(MODES)) {
+      const start = process.hrtime();
+      await read(bag, MODES[mode]);
+      const [sec, nsec] = process.hrtime(start);
+      times[mode] = round === 0 ? 0 : times[mode] + (sec * 1e3 + nsec / 1e6) / ROUNDS;
+    }
+  }
+  return times;
+}
+
+async function main(args) {
+  const filename = args[0] || path.join(__dirname, "..", "fixtures", "example.bag");
+  const bag = await open(filename);
+  const times = await measure(bag);
+  console.log(`${path.basename(filename)}, average of ${ROUNDS} reads:`);
+  for (const mode of Object.keys(MODES)) {
+    const parsing = mode === "noParse" ? "" : `, ${(times[mode] - times.noParse).toFixed(1)}ms parsing`;
+    console.log(`  ${`${mode}:`.padEnd(8)} ${times[mode].toFixed(1)}ms${parsing}`);
+  }
+  await bag.close();
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// compares reading every message of a bag with different readahead options. the fixtures
+// have a single chunk each, so the bag is first rewritten in memory with smaller chunks, and
+// the reads are repeated with a delay added to every file read to stand in for a slow file,
+// e.g. a File in the browser or a bag read over the network. the cache is disabled so every
+// read reads & decompresses every chunk
+// usage: yarn bench-readahead [bag] [chunk size in KB] - the example fixture in 64KB chunks by default
+
+/* eslint-disable no-console */
+
+const path = require("path");
+const { BagReader, BagWriter, BufferReader, default: Bag, open } = require("../dist/node");
+
+const ROUNDS = 15;
+const READAHEADS = [0, 2, 4];
+const DELAYS = [0, 5];
+
+// rewrites the messages of the bag into a bag in memory with chunks of about chunkSize bytes
+async function rechunk(bag, chunkSize) {
+  const writes = [];
+  const writer = new BagWriter(
+    {
+      write: (offset, buffer, cb) => {
+        writes.push({ offset, buffer: Buffer.from(buffer) });
+        cb(null);
+      },
+    },
+    { chunkThreshold: chunkSize }
+  );
+  await writer.open();
+  const conns = Object.keys(bag.connections).map((conn) => +conn);
+  conns.forEach((conn) => writer.writeConnection(bag.connections[conn]));
+  const end = { sec: Number.MAX_SAFE_INTEGER, nsec: 0 };
+  for (const info of bag.chunkInfos) {
+    const messages = await bag.reader.readChunkMessagesAsync(info, conns, { sec: 0, nsec: 0 }, end, {});
+    for (const { conn, time, data } of messages) {
+      await writer.writeMessage(conn, time, data);
+    }
+  }
+  await writer.close();
+  const buffer = Buffer.alloc(Math.max(...writes.map(({ offset, buffer: written }) => offset + written.length)));
+  writes.forEach((write) => write.buffer.copy(buffer, write.offset));
+  return buffer;
+}
+
+// opens the bag in memory, adding the delay in milliseconds to every file read
+async function openDelayed(buffer, delay) {
+  const file = new BufferReader(buffer);
+  const delayed = {
+    read: (offset, length, cb) => setTimeout(() => file.read(offset, length, cb), delay),
+    size: () => file.size(),
+  };
+  const bag = new Bag(new BagReader(delayed, { cacheSizeInBytes: 0 }));
+  await bag.open();
+  return bag;
+}
+
+// the median time in milliseconds of a read with each readahead
+async function measure(bag) {
+  const times = READAHEADS.map(() => []);
+  // the first round warms up the message readers
+  for (let round = 0; round <= ROUNDS; round++) {
+    // the readaheads take turns so they're equally affected by the jit & garbage collection
+    for (const [i, readahead] of READAHEADS.entries()) {
+      const start = process.hrtime();
+      await bag.readMessages({ readahead }, () => {});
+      const [sec, nsec] = process.hrtime(start);
+      if (round > 0) {
+        times[i].push(sec * 1e3 + nsec / 1e6);
+      }
+    }
+  }
+  return times.map((roundTimes) => roundTimes.sort((a, b) => a - b)[Math.floor(roundTimes.length / 2)]);
+}
+
+async function main(args) {
+  const filename = args[0] || path.join(__dirname, "..", "fixtures", "example.bag");
+  const chunkSize = (+args[1] || 64) * 1024;
+  const source = await open(filename);
+  const buffer = await rechunk(source, chunkSize);
+  await source.close();
+
+  for (const delay of DELAYS) {
+    const bag = await openDelayed(buffer, delay);
+    const times = await measure(bag);
+    const chunks = bag.chunkInfos.length;
+    console.log(`${path.basename(filename)} in ${chunks} chunks, ${delay}ms per file read, median of ${ROUNDS} reads:`);
+    READAHEADS.forEach((readahead, i) => {
+      console.log(`  ${`readahead ${readahead}:`.padEnd(13)} ${times[i].toFixed(1)}ms`);
+    });
+    await bag.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// writes an indexed copy of a bag with a missing or broken index,
+// e.g. a .bag.active file left behind by a crashed recording
+// usage: rosbag-reindex <input.bag> <output.bag>
+//
+// this runs the built package, which the published package includes - in a checkout
+// of the repo run `yarn build` first. the command is reindexCommand in src/node/reindexCommand.js
+
+const { reindexCommand } = require("../dist/node");
+
+reindexCommand(process.argv.slice(2), process).then((code) => {
+  process.exitCode = code;
+});
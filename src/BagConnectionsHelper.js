@@ -56,7 +56,9 @@ export function bagConnectionsToTopics(connections: $ReadOnlyArray<Connection>):
     const dataType = connection.type || "";
     if (existingTopic && existingTopic.datatype !== connection.type) {
       throw new Error(
-        `duplicate topic with differing datatype.exist topic type is  ${existingTopic.datatype}, another type is ${dataType}`
+        `duplicate topic with differing datatype.exist topic type is  ${
+          existingTopic.datatype
+        }, another type is ${dataType}`
       );
     }
     topics[connection.topic] = {
@@ -74,20 +76,26 @@ export function bagConnectionsToMessageCount(
 ) {
   const topics = {};
   let totalNum: number = 0;
+  // connection ids aren't necessarily the positions of the connections in the array
+  const connectionsById = {};
+  connections.forEach((connection) => {
+    connectionsById[connection.conn] = connection;
+  });
   chunkInfos.forEach((chunkInfo) => {
     chunkInfo.connections.forEach((connection) => {
-      const topicName = connections[connection.conn].topic;
+      const topicName = connectionsById[connection.conn].topic;
       const existingTopic = topics[topicName];
-      const dataType = connections[connection.conn].type || "";
+      const dataType = connectionsById[connection.conn].type || "";
       let topicCount = 0;
       if (existingTopic && existingTopic.datatype !== dataType) {
         throw new Error(
-          `duplicate topic with differing datatype.exist topic type is  ${existingTopic.datatype}, another type is ${dataType}`
+          `duplicate topic with differing datatype.exist topic type is  ${
+            existingTopic.datatype
+          }, another type is ${dataType}`
         );
       }
       if (existingTopic && Object.prototype.hasOwnProperty.call(existingTopic, "count")) {
         topicCount = existingTopic.count + connection.count;
-        topics[topicName] += connection.count;
       } else {
         topicCount = connection.count;
       }
@@ -6,14 +6,36 @@
 
 // @flow
 
-import type { Time, Callback, Filelike } from "./types";
+import type { AbortSignal, Time, Callback, Filelike } from "./types";
 
+import { abortable } from "./abort";
+import ChunkCache, { type ChunkCacheStats } from "./ChunkCache";
+import { getDecompressor } from "./decompress";
+import { extractFields, writeTime } from "./fields";
 import { parseHeader } from "./header";
 import nmerge from "./nmerge";
-import { Record, BagHeader, Chunk, ChunkInfo, Connection, IndexData, MessageData } from "./record";
+import {
+  Record,
+  BagHeader,
+  Chunk,
+  ChunkInfo,
+  Connection,
+  IndexData,
+  MessageData,
+  MessageDefinition,
+  TopicIndex,
+} from "./record";
+import {
+  serializeBagHeader,
+  serializeChunk,
+  serializeChunkInfo,
+  serializeConnection,
+  serializeIndexData,
+  type IndexEntry,
+} from "./serialize";
 import * as TimeUtil from "./TimeUtil";
 
-interface ChunkReadResult {
+export interface ChunkReadResult {
   chunk: Chunk;
   indices: IndexData[];
 }
@@ -22,21 +44,180 @@ export type Decompress = {
   [compression: string]: (buffer: Buffer, size: number) => Buffer,
 };
 
+export type BagReaderOptions = {|
+  // the maximum number of bytes of decompressed chunks to keep in memory
+  // by default only the last chunk read is kept, whatever its size
+  cacheSizeInBytes?: number,
+|};
+
+// the compression & sizes of a chunk, read from its record header
+export type ChunkHeader = {|
+  compression: string,
+  // the size of the chunk data once decompressed
+  uncompressedSize: number,
+  // the size of the chunk data as stored in the bag
+  compressedSize: number,
+|};
+
+// a section of the file which couldn't be recovered
+export type RecoveryIssue = {|
+  // the file offset of the record which couldn't be read
+  offset: number,
+  message: string,
+|};
+
+export type RecoveryReport = {|
+  // set when the file ends part way through a record, e.g. the chunk which was being
+  // written when a recording crashed - the complete messages at the start of an
+  // uncompressed chunk are still recovered
+  truncated: ?RecoveryIssue,
+  // chunks which were skipped because their data couldn't be decompressed
+  skippedChunks: RecoveryIssue[],
+|};
+
+export type RecoveryResult = {|
+  // a header describing the recovered connections & chunks, with an index position of 0
+  header: BagHeader,
+  connections: Connection[],
+  chunkInfos: ChunkInfo[],
+  report: RecoveryReport,
+|};
+
+// where the data of a chunk found by scanning the file is, or the range
+// of records which is read as a chunk in v1.2 bags
+type ChunkLocation = {|
+  compression: string,
+  size: number,
+  dataOffset: number,
+  dataLength: number,
+|};
+
+// a chunk which is read through an index built from its messages
+type RebuiltChunk = {| ...ChunkLocation, indices: IndexData[] |};
+
+// a message found without an index record, at an offset within the data of its chunk
+type IndexedMessage = { conn: number, time: Time, offset: number };
+
+// the records found in the data of a chunk
+type ChunkScan = {|
+  connections: Connection[],
+  messages: IndexedMessage[],
+  // the length of the data up to the end of the last complete record
+  length: number,
+|};
+
+// the position & size of a record within a buffer, read from its header
+type RecordLayout = {|
+  fields: { [key: string]: Buffer },
+  dataOffset: number,
+  dataLength: number,
+|};
+
+// reads the layout of the record at offset in the buffer, returning undefined if
+// the buffer ends before the record header does or the header is corrupt
+function readRecordLayout(buffer: Buffer, offset: number): ?RecordLayout {
+  if (offset + 4 > buffer.length) {
+    return undefined;
+  }
+  const headerLength = buffer.readInt32LE(offset);
+  const dataLengthOffset = offset + 4 + headerLength;
+  if (headerLength < 0 || dataLengthOffset + 4 > buffer.length) {
+    return undefined;
+  }
+  let fields;
+  try {
+    fields = extractFields(buffer.slice(offset + 4, dataLengthOffset));
+  } catch (error) {
+    return undefined;
+  }
+  const dataLength = buffer.readInt32LE(dataLengthOffset);
+  if (fields.op === undefined || fields.op.length !== 1 || dataLength < 0) {
+    return undefined;
+  }
+  return { fields, dataOffset: dataLengthOffset + 4, dataLength };
+}
+
+// binary searches the entries of an index, which are in time order, for the latest entry
+// at or before time or the earliest entry at or after it
+function findIndexEntry<T: { time: Time }>(entries: T[], time: Time, mode: "before" | "after"): ?T {
+  // find the first entry past time - after it for "before", at or after it for "after"
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    const comparison = TimeUtil.compare(entries[mid].time, time);
+    if (mode === "before" ? comparison <= 0 : comparison < 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return mode === "before" ? entries[low - 1] : entries[low];
+}
+
+// iterates an array from its last element to its first
+function reverseIterator<T>(array: T[]): Iterator<T> {
+  let i = array.length;
+  // $FlowFixMe - flow requires the @@iterator method of a full Iterator
+  return { next: () => (i > 0 ? { done: false, value: array[--i] } : { done: true, value: undefined }) };
+}
+
+function linkChunkInfos(chunkInfos: ChunkInfo[]) {
+  chunkInfos.forEach((chunkInfo, i) => {
+    chunkInfo.nextChunk = chunkInfos[i + 1] || null;
+  });
+}
+
 const HEADER_READAHEAD = 4096;
 const HEADER_OFFSET = 13;
 
+// the line at the start of the file for each supported format version
+const VERSION_MAGIC = { "2.0": "#ROSBAG V2.0\n", "1.2": "#ROSRECORD V1.2\n" };
+
+// v1.2 bags don't have chunks, so their messages are read in ranges of about this many bytes
+const CHUNK_SIZE_102 = 768 * 1024;
+
 // BagReader is a lower level interface for reading specific sections & chunks
 // from a rosbag file - generally it is consumed through the Bag class, but
 // can be useful to use directly for efficiently accessing raw pieces from
 // within the bag
 export default class BagReader {
-  _lastReadResult: ChunkReadResult;
   _file: Filelike;
-  _lastChunkInfo: ?ChunkInfo;
+  _cache: ChunkCache<ChunkReadResult>;
+  // incremented when the cache is cleared so reads which were
+  // already in flight don't add their chunks back to the cache
+  _cacheGeneration: number;
+  // callbacks waiting on chunk reads which are in flight, by chunk position
+  _pendingChunkReads: Map<number, Array<Callback<ChunkReadResult>>>;
+  // chunks which are read through an index built in memory, by chunk position -
+  // the chunks found by recover, and the ranges of messages v1.2 bags are split into
+  _rebuiltChunks: Map<number, RebuiltChunk>;
+  // the connection ids given to the topics of a v1.2 bag
+  _topicConnections: Map<string, number>;
+  // the format version of the bag, known once the bag header has been verified
+  version: string;
+  // set by dispose, after which every read fails
+  _disposed: boolean;
+  // the number of file reads in flight, and the callbacks waiting for them to finish
+  _pendingReads: number;
+  _drainCallbacks: Array<() => void>;
 
-  constructor(filelike: Filelike) {
+  // decompressed chunks & their index records are cached to avoid decompressing
+  // the same chunk again when it is read repeatedly, e.g. when seeking back & forth
+  // the cache holds the last chunk read by default, pass a cacheSizeInBytes to keep
+  // as many chunks as fit in that budget instead, or a cacheSizeInBytes of 0 to disable it
+  constructor(filelike: Filelike, options?: BagReaderOptions) {
+    const cacheSizeInBytes = options && options.cacheSizeInBytes;
     this._file = filelike;
-    this._lastChunkInfo = undefined;
+    this._cache = cacheSizeInBytes == null ? new ChunkCache(Infinity, 1) : new ChunkCache(cacheSizeInBytes);
+    this._cacheGeneration = 0;
+    this._pendingChunkReads = new Map();
+    this._rebuiltChunks = new Map();
+    this._topicConnections = new Map();
+    this.version = "2.0";
+    this._disposed = false;
+    this._pendingReads = 0;
+    this._drainCallbacks = [];
   }
 
   getFileSize(): number {
@@ -44,7 +225,8 @@ export default class BagReader {
   }
 
   verifyBagHeader(callback: Callback<BagHeader>, next: () => void) {
-    this._file.read(0, HEADER_OFFSET, (error: Error | null, buffer?: Buffer) => {
+    const magicLength = Math.max(...Object.keys(VERSION_MAGIC).map((version) => VERSION_MAGIC[version].length));
+    this._read(0, magicLength, (error: Error | null, buffer?: Buffer) => {
       if (error || !buffer) {
         return callback(error || new Error("Missing both error and buffer"));
       }
@@ -53,9 +235,12 @@ export default class BagReader {
         return callback(new Error("Missing file header."));
       }
 
-      if (buffer.toString() !== "#ROSBAG V2.0\n") {
+      const magic = buffer.toString();
+      const version = Object.keys(VERSION_MAGIC).find((key) => magic.startsWith(VERSION_MAGIC[key]));
+      if (!version) {
         return callback(new Error("Cannot identify bag format."));
       }
+      this.version = version;
       next();
     });
   }
@@ -65,30 +250,36 @@ export default class BagReader {
   // because you need the header information to call readConnectionsAndChunkInfo
   readHeader(callback: Callback<BagHeader>) {
     this.verifyBagHeader(callback, () => {
-      return this._file.read(HEADER_OFFSET, HEADER_READAHEAD, (error: Error | null, buffer?: Buffer) => {
+      const headerOffset = VERSION_MAGIC[this.version].length;
+      return this._read(headerOffset, HEADER_READAHEAD, (error: Error | null, buffer?: Buffer) => {
         if (error || !buffer) {
           return callback(error || new Error("Missing both error and buffer"));
         }
 
         const read = buffer.length;
         if (read < 8) {
-          return callback(new Error(`Record at position ${HEADER_OFFSET} is truncated.`));
+          return callback(new Error(`Record at position ${headerOffset} is truncated.`));
         }
 
         const headerLength = buffer.readInt32LE(0);
         if (read < headerLength + 8) {
-          return callback(new Error(`Record at position ${HEADER_OFFSET} header too large: ${headerLength}.`));
+          return callback(new Error(`Record at position ${headerOffset} header too large: ${headerLength}.`));
         }
-        const header = this.readRecordFromBuffer(buffer, HEADER_OFFSET, BagHeader);
+        const header = this.readRecordFromBuffer(buffer, headerOffset, BagHeader);
         return callback(null, header);
       });
     });
   }
 
   // promisified version of readHeader
-  readHeaderAsync(): Promise<BagHeader> {
-    return new Promise((resolve, reject) =>
-      this.readHeader((err: Error | null, header?: BagHeader) => (err || !header ? reject(err) : resolve(header)))
+  // the async methods reject with an AbortError as soon as the optional signal is aborted
+  readHeaderAsync(signal?: AbortSignal): Promise<BagHeader> {
+    return abortable(
+      signal,
+      () =>
+        new Promise((resolve, reject) =>
+          this.readHeader((err: Error | null, header?: BagHeader) => (err || !header ? reject(err) : resolve(header)))
+        )
     );
   }
 
@@ -96,13 +287,18 @@ export default class BagReader {
   // you'll generally call this after reading the header so you can get
   // connection metadata and chunkInfos which allow you to seek to individual
   // chunks & read them
+  // v1.2 bags are described the same way, see _readIndex102
   readConnectionsAndChunkInfo(
     fileOffset: number,
     connectionCount: number,
     chunkCount: number,
     callback: Callback<{ connections: Connection[], chunkInfos: ChunkInfo[] }>
   ) {
-    this._file.read(fileOffset, this._file.size() - fileOffset, (err: Error | null, buffer?: Buffer) => {
+    if (this.version === "1.2") {
+      this._readIndex102(fileOffset).then((result) => callback(null, result), (error) => callback(error));
+      return;
+    }
+    this._read(fileOffset, this._file.size() - fileOffset, (err: Error | null, buffer?: Buffer) => {
       if (err || !buffer) {
         return callback(err || new Error("Missing both error and buffer"));
       }
@@ -135,16 +331,129 @@ export default class BagReader {
   readConnectionsAndChunkInfoAsync(
     fileOffset: number,
     connectionCount: number,
-    chunkCount: number
+    chunkCount: number,
+    signal?: AbortSignal
   ): Promise<{ connections: Connection[], chunkInfos: ChunkInfo[] }> {
-    return new Promise((resolve, reject) => {
-      this.readConnectionsAndChunkInfo(
-        fileOffset,
-        connectionCount,
-        chunkCount,
-        (err: Error | null, result?: { connections: Connection[], chunkInfos: ChunkInfo[] }) =>
-          err || !result ? reject(err) : resolve(result)
-      );
+    return abortable(
+      signal,
+      () =>
+        new Promise((resolve, reject) => {
+          this.readConnectionsAndChunkInfo(
+            fileOffset,
+            connectionCount,
+            chunkCount,
+            (err: Error | null, result?: { connections: Connection[], chunkInfos: ChunkInfo[] }) =>
+              err || !result ? reject(err) : resolve(result)
+          );
+        })
+    );
+  }
+
+  // rebuilds the connections & chunk infos of a bag by scanning every record in the file
+  // instead of reading the index, e.g. for a bag from a recording which crashed before
+  // its index was written (an index position of 0, or a .bag.active file)
+  // every chunk is read & decompressed, so this is much slower than reading the index -
+  // afterwards the chunks which were found are read through an in-memory index
+  recover(callback: Callback<RecoveryResult>) {
+    this.recoverAsync().then((result) => callback(null, result), (error) => callback(error));
+  }
+
+  // promisified version of recover
+  recoverAsync(signal?: AbortSignal): Promise<RecoveryResult> {
+    return abortable(signal, async () => {
+      await new Promise((resolve, reject) => this.verifyBagHeader((error) => reject(error), resolve));
+      if (this.version !== "2.0") {
+        throw new Error(`Cannot recover v${this.version} bags.`);
+      }
+
+      const fileSize = this._file.size();
+      const connections: Map<number, Connection> = new Map();
+      const scans: Array<{ chunk: ChunkLocation, position: number, scan: ChunkScan }> = [];
+      const report: RecoveryReport = { truncated: undefined, skippedChunks: [] };
+      const addScan = (position: number, chunk: ChunkLocation, scan: ChunkScan) => {
+        scan.connections.forEach((connection) => connections.set(connection.conn, connection));
+        scans.push({ chunk, position, scan });
+      };
+
+      let offset = HEADER_OFFSET;
+      while (offset < fileSize) {
+        const layout = await this._readRecordLayoutAsync(offset);
+        if (!layout) {
+          report.truncated = { offset, message: `Record at position ${offset} is truncated.` };
+          break;
+        }
+        const { fields, dataOffset, dataLength } = layout;
+        const opcode = fields.op.readUInt8(0);
+        const available = fileSize - dataOffset;
+
+        if (opcode === Chunk.opcode) {
+          const { compression, size } = new Chunk(fields);
+          // rosbag writes the sizes of a chunk once it is finished, so the chunk which was being
+          // written when a recording stopped has a data length of 0 & runs to the end of the file
+          if (dataLength > 0 && dataLength <= available) {
+            const data = await this._readAsync(dataOffset, dataLength);
+            try {
+              const decompressFn = getDecompressor(compression);
+              if (compression !== "none" && !decompressFn) {
+                throw new Error(`Unsupported compression type ${compression}`);
+              }
+              const uncompressed = decompressFn ? decompressFn(data, size) : data;
+              addScan(offset, { compression, size, dataOffset, dataLength }, this._scanChunkData(uncompressed));
+            } catch (error) {
+              report.skippedChunks.push({ offset, message: error.message });
+            }
+            offset = dataOffset + dataLength;
+            continue;
+          }
+          // the messages in a truncated chunk can only be found without decompressing it
+          if (compression !== "none") {
+            report.truncated = { offset, message: `Chunk at position ${offset} is truncated.` };
+            break;
+          }
+          const scan = this._scanChunkData(await this._readAsync(dataOffset, available));
+          addScan(offset, { compression, size: scan.length, dataOffset, dataLength: scan.length }, scan);
+          if (scan.length < available) {
+            report.truncated = {
+              offset,
+              message: `Chunk at position ${offset} is truncated after ${scan.messages.length} messages.`,
+            };
+          }
+          break;
+        }
+
+        if (dataLength > available) {
+          report.truncated = { offset, message: `Record at position ${offset} is truncated.` };
+          break;
+        }
+        // the connections are also written within the chunks, but the index section may
+        // have been written for a bag whose chunk infos are missing or broken
+        if (opcode === Connection.opcode) {
+          const buffer = await this._readAsync(offset, dataOffset + dataLength - offset);
+          const connection = this.readRecordFromBuffer(buffer, offset, Connection);
+          connections.set(connection.conn, connection);
+        }
+        offset = dataOffset + dataLength;
+      }
+
+      this._rebuiltChunks = new Map();
+      const chunkInfos = [];
+      scans.forEach(({ chunk, position, scan }) => {
+        // messages on connections without a connection record can't be parsed
+        const messages = scan.messages.filter(({ conn }) => connections.has(conn));
+        if (!messages.length) {
+          return;
+        }
+        chunkInfos.push(this._rebuildChunk(position, chunk, messages));
+      });
+      linkChunkInfos(chunkInfos);
+
+      const header = serializeBagHeader(0, connections.size, chunkInfos.length);
+      return {
+        header: this.readRecordFromBuffer(header, HEADER_OFFSET, BagHeader),
+        connections: Array.from(connections.values()),
+        chunkInfos,
+        report,
+      };
     });
   }
 
@@ -158,9 +467,312 @@ export default class BagReader {
     endTime: Time | null,
     decompress: Decompress,
     callback: Callback<MessageData[]>
+  ) {
+    this._readChunkMessages(chunkInfo, connections, startTime, endTime, decompress, false, callback);
+  }
+
+  // promisified version of readChunkMessages
+  // with reverse the index entries are merged latest first, so the messages are returned latest first
+  readChunkMessagesAsync(
+    chunkInfo: ChunkInfo,
+    connections: number[],
+    startTime: Time,
+    endTime: Time,
+    decompress: Decompress,
+    signal?: AbortSignal,
+    reverse?: boolean
+  ): Promise<MessageData[]> {
+    return abortable(
+      signal,
+      () =>
+        new Promise((resolve, reject) => {
+          this._readChunkMessages(
+            chunkInfo,
+            connections,
+            startTime,
+            endTime,
+            decompress,
+            !!reverse,
+            (err: Error | null, messages?: MessageData[]) => (err || !messages ? reject(err) : resolve(messages))
+          );
+        })
+    );
+  }
+
+  // finds the message on the connections which is closest to time in a chunk by searching its index,
+  // without reading any of its other messages - either the latest message at or before time,
+  // or the earliest message at or after it. calls back with undefined if there is no such message
+  readChunkMessageAt(
+    chunkInfo: ChunkInfo,
+    connections: number[],
+    time: Time,
+    mode: "before" | "after",
+    decompress: Decompress,
+    callback: Callback<?MessageData>
+  ) {
+    this.readChunk(chunkInfo, decompress, (error: Error | null, result?: ChunkReadResult) => {
+      if (error || !result) {
+        return callback(error || new Error("Missing both error and result"));
+      }
+
+      let closest;
+      result.indices.forEach((index) => {
+        if (connections.indexOf(index.conn) === -1) {
+          return;
+        }
+        const entry = findIndexEntry(index.indices, time, mode);
+        // the closest entry is the latest one before time or the earliest one after it
+        const direction = mode === "before" ? 1 : -1;
+        if (entry && (!closest || TimeUtil.compare(entry.time, closest.time) * direction > 0)) {
+          closest = entry;
+        }
+      });
+
+      return callback(null, closest ? this._readEntryMessage(result.chunk, closest) : undefined);
+    });
+  }
+
+  // promisified version of readChunkMessageAt
+  readChunkMessageAtAsync(
+    chunkInfo: ChunkInfo,
+    connections: number[],
+    time: Time,
+    mode: "before" | "after",
+    decompress: Decompress,
+    signal?: AbortSignal
+  ): Promise<?MessageData> {
+    return abortable(
+      signal,
+      () =>
+        new Promise((resolve, reject) => {
+          this.readChunkMessageAt(
+            chunkInfo,
+            connections,
+            time,
+            mode,
+            decompress,
+            (err: Error | null, message?: ?MessageData) => (err ? reject(err) : resolve(message))
+          );
+        })
+    );
+  }
+
+  // hit & miss counts for chunk reads, along with the current size of the cache
+  getCacheStats(): ChunkCacheStats {
+    return this._cache.stats();
+  }
+
+  // drops every cached chunk, including chunks from reads which are still in flight
+  clearCache() {
+    this._cache.clear();
+    this._cacheGeneration++;
+  }
+
+  // closes the file if the filelike supports it, otherwise calls back right away
+  // the node.js Reader reopens its file on the next read
+  close(callback: (error: ?Error) => void) {
+    if (this._file.close) {
+      this._file.close(callback);
+      return;
+    }
+    setImmediate(callback, null);
+  }
+
+  closeAsync(): Promise<void> {
+    return new Promise((resolve, reject) => this.close((err) => (err ? reject(err) : resolve())));
+  }
+
+  // closes the reader for good - the cache is cleared, and the file is closed once the reads which
+  // are in flight have finished. unlike close, every read made afterwards fails instead of reopening the file
+  dispose(callback: (error: ?Error) => void) {
+    if (this._disposed) {
+      setImmediate(callback, null);
+      return;
+    }
+    this._disposed = true;
+    this.clearCache();
+    const closeFile = () => this.close(callback);
+    if (this._pendingReads > 0) {
+      this._drainCallbacks.push(closeFile);
+    } else {
+      closeFile();
+    }
+  }
+
+  disposeAsync(): Promise<void> {
+    return new Promise((resolve, reject) => this.dispose((err) => (err ? reject(err) : resolve())));
+  }
+
+  isDisposed(): boolean {
+    return this._disposed;
+  }
+
+  // the number of bytes read from the file to read a chunk & its index records
+  // chunks are read up to the start of the next chunk, or the end of the file for the last one
+  // rebuilt chunks are read from the start of their data to the end of their last complete record
+  getChunkReadLength(chunkInfo: ChunkInfo): number {
+    const rebuilt = this._rebuiltChunks.get(chunkInfo.chunkPosition);
+    if (rebuilt) {
+      return rebuilt.dataLength;
+    }
+    const { nextChunk } = chunkInfo;
+    return nextChunk ? nextChunk.chunkPosition - chunkInfo.chunkPosition : this._file.size() - chunkInfo.chunkPosition;
+  }
+
+  // reads a single chunk record && its index records given a chunkInfo
+  // concurrent reads of the same chunk share a single file read & decompression,
+  // using the decompress functions of the first read
+  readChunk(chunkInfo: ChunkInfo, decompress: Decompress, callback: Callback<ChunkReadResult>) {
+    // if we've read the chunk recently return the cached version
+    // to avoid doing decompression on the same chunk multiple times which is
+    // expensive
+    const { chunkPosition } = chunkInfo;
+    const cached = this._cache.get(chunkPosition);
+    if (cached) {
+      // always callback async, even if we have the result
+      // https://oren.github.io/blog/zalgo.html
+      return setImmediate(() => callback(null, cached));
+    }
+
+    const pending = this._pendingChunkReads.get(chunkPosition);
+    if (pending) {
+      pending.push(callback);
+      return;
+    }
+    const callbacks = [callback];
+    this._pendingChunkReads.set(chunkPosition, callbacks);
+
+    const generation = this._cacheGeneration;
+    this._readChunkFromFile(chunkInfo, decompress, (err: Error | null, readResult?: ChunkReadResult) => {
+      this._pendingChunkReads.delete(chunkPosition);
+      if (err || !readResult) {
+        const error = err || new Error("Missing both error and result");
+        callbacks.forEach((cb) => cb(error));
+        return;
+      }
+      const result = readResult;
+      if (generation === this._cacheGeneration) {
+        // the index records are a small fraction of the chunk, so only the chunk data is counted
+        this._cache.set(chunkPosition, result, result.chunk.data.byteLength);
+      }
+      callbacks.forEach((cb) => cb(null, result));
+    });
+  }
+
+  // reads a chunk record & its index records without decompressing the chunk data,
+  // e.g. to copy the chunk into another bag - the result isn't cached
+  readChunkRecord(chunkInfo: ChunkInfo, callback: Callback<ChunkReadResult>) {
+    const rebuilt = this._rebuiltChunks.get(chunkInfo.chunkPosition);
+    this._read(
+      rebuilt ? rebuilt.dataOffset : chunkInfo.chunkPosition,
+      this.getChunkReadLength(chunkInfo),
+      (err: Error | null, buffer?: Buffer) => {
+        if (err || !buffer) {
+          return callback(err || new Error("Missing both error and buffer"));
+        }
+
+        let chunk;
+        let indices;
+        // errors parsing the records are passed to the callback
+        // instead of being thrown from within the file read callback
+        try {
+          if (rebuilt) {
+            // the record header of a recovered chunk may hold placeholder sizes & v1.2 bags
+            // have no chunk records, so the record is rebuilt around the data
+            const record = serializeChunk(rebuilt.compression, rebuilt.size, buffer);
+            chunk = this.readRecordFromBuffer(record, chunkInfo.chunkPosition, Chunk);
+            chunk.dataOffset = rebuilt.dataOffset;
+            chunk.end = rebuilt.dataOffset + rebuilt.dataLength;
+            chunk.length = chunk.end - chunk.offset;
+            indices = rebuilt.indices;
+          } else {
+            chunk = this.readRecordFromBuffer(buffer, chunkInfo.chunkPosition, Chunk);
+            indices = this.readRecordsFromBuffer(
+              buffer.slice(chunk.length),
+              chunkInfo.count,
+              chunkInfo.chunkPosition + chunk.length,
+              IndexData
+            );
+          }
+        } catch (error) {
+          return callback(error);
+        }
+
+        return callback(null, { chunk, indices });
+      }
+    );
+  }
+
+  // reads the compression & sizes of a chunk from its record header without reading the chunk data
+  readChunkHeader(chunkInfo: ChunkInfo, callback: Callback<ChunkHeader>) {
+    this.readChunkHeaderAsync(chunkInfo).then((header) => callback(null, header), (error) => callback(error));
+  }
+
+  // promisified version of readChunkHeader
+  readChunkHeaderAsync(chunkInfo: ChunkInfo, signal?: AbortSignal): Promise<ChunkHeader> {
+    return abortable(signal, async () => {
+      const rebuilt = this._rebuiltChunks.get(chunkInfo.chunkPosition);
+      if (rebuilt) {
+        return { compression: rebuilt.compression, uncompressedSize: rebuilt.size, compressedSize: rebuilt.dataLength };
+      }
+      const { fields, dataLength } = await this._readChunkLayoutAsync(chunkInfo.chunkPosition);
+      const { compression, size } = new Chunk(fields);
+      return { compression, uncompressedSize: size, compressedSize: dataLength };
+    });
+  }
+
+  // reads the index records behind a chunk without reading or decompressing the chunk data,
+  // e.g. to find the times of its messages - the result isn't cached
+  readChunkIndices(chunkInfo: ChunkInfo, callback: Callback<IndexData[]>) {
+    this.readChunkIndicesAsync(chunkInfo).then((indices) => callback(null, indices), (error) => callback(error));
+  }
+
+  // promisified version of readChunkIndices
+  readChunkIndicesAsync(chunkInfo: ChunkInfo, signal?: AbortSignal): Promise<IndexData[]> {
+    return abortable(signal, async () => {
+      const { chunkPosition } = chunkInfo;
+      // the indices of recovered chunks & v1.2 bags are only held in memory
+      const rebuilt = this._rebuiltChunks.get(chunkPosition);
+      if (rebuilt) {
+        return rebuilt.indices;
+      }
+      // only the chunk's record header is read to find where its data ends & its index records start
+      const layout = await this._readChunkLayoutAsync(chunkPosition);
+      const start = layout.dataOffset + layout.dataLength;
+      const end = chunkPosition + this.getChunkReadLength(chunkInfo);
+      const buffer = await this._readAsync(start, end - start);
+      return this.readRecordsFromBuffer(buffer, chunkInfo.count, start, IndexData);
+    });
+  }
+
+  // promisified version of readChunkRecord
+  readChunkRecordAsync(chunkInfo: ChunkInfo, signal?: AbortSignal): Promise<ChunkReadResult> {
+    return abortable(
+      signal,
+      () =>
+        new Promise((resolve, reject) => {
+          this.readChunkRecord(
+            chunkInfo,
+            (err: Error | null, result?: ChunkReadResult) => (err || !result ? reject(err) : resolve(result))
+          );
+        })
+    );
+  }
+
+  _readChunkMessages(
+    chunkInfo: ChunkInfo,
+    connections: number[],
+    startTime: Time | null,
+    endTime: Time | null,
+    decompress: Decompress,
+    reverse: boolean,
+    callback: Callback<MessageData[]>
   ) {
     const start = startTime || { sec: 0, nsec: 0 };
     const end = endTime || { sec: Number.MAX_VALUE, nsec: Number.MAX_VALUE };
+    // orders times in the direction the entries are merged, so in reverse the range runs from end to start
+    const compare = reverse ? (a: Time, b: Time) => TimeUtil.compare(b, a) : TimeUtil.compare;
+    const [first, last] = reverse ? [end, start] : [start, end];
     const conns =
       connections ||
       chunkInfo.connections.map((connection) => {
@@ -181,95 +793,264 @@ export default class BagReader {
         return indices[conn] !== undefined;
       });
       const iterables = presentConnections.map((conn) => {
+        const entries = indices[conn].indices;
         // $FlowFixMe https://github.com/facebook/flow/issues/1163
-        return indices[conn].indices[Symbol.iterator]();
+        return reverse ? reverseIterator(entries) : entries[Symbol.iterator]();
       });
-      const iter = nmerge((a, b) => TimeUtil.compare(a.time, b.time), ...iterables);
+      const iter = nmerge((a, b) => compare(a.time, b.time), ...iterables);
 
       const entries = [];
       let item = iter.next();
       while (!item.done) {
         const { value } = item;
         item = iter.next();
-        if (!value || TimeUtil.isGreaterThan(start, value.time)) {
+        if (!value || compare(first, value.time) > 0) {
           continue;
         }
-        if (TimeUtil.isGreaterThan(value.time, end)) {
+        if (compare(value.time, last) > 0) {
           break;
         }
         entries.push(value);
       }
 
-      const messages = entries.map((entry) => {
-        return this.readRecordFromBuffer(chunk.data.slice(entry.offset), chunk.dataOffset, MessageData);
-      });
+      const messages = entries.map((entry) => this._readEntryMessage(chunk, entry));
 
       return callback(null, messages);
     });
   }
 
-  // promisified version of readChunkMessages
-  readChunkMessagesAsync(
-    chunkInfo: ChunkInfo,
-    connections: number[],
-    startTime: Time,
-    endTime: Time,
-    decompress: Decompress
-  ): Promise<MessageData[]> {
-    return new Promise((resolve, reject) => {
-      this.readChunkMessages(
-        chunkInfo,
-        connections,
-        startTime,
-        endTime,
-        decompress,
-        (err: Error | null, messages?: MessageData[]) => (err || !messages ? reject(err) : resolve(messages))
-      );
+  _readChunkFromFile(chunkInfo: ChunkInfo, decompress: Decompress, callback: Callback<ChunkReadResult>) {
+    this.readChunkRecord(chunkInfo, (err: Error | null, readResult?: ChunkReadResult) => {
+      if (err || !readResult) {
+        return callback(err || new Error("Missing both error and result"));
+      }
+
+      const result = readResult;
+      const { chunk } = result;
+      // errors decompressing the chunk are passed to every waiting caller
+      // instead of being thrown from within the file read callback
+      try {
+        const { compression } = chunk;
+        if (compression !== "none") {
+          const decompressFn = decompress[compression] || getDecompressor(compression);
+          if (!decompressFn) {
+            return callback(new Error(`Unsupported compression type ${chunk.compression}`));
+          }
+          chunk.data = decompressFn(chunk.data, chunk.size);
+        }
+      } catch (error) {
+        return callback(error);
+      }
+
+      return callback(null, result);
     });
   }
 
-  // reads a single chunk record && its index records given a chunkInfo
-  readChunk(chunkInfo: ChunkInfo, decompress: Decompress, callback: Callback<ChunkReadResult>) {
-    // if we're reading the same chunk a second time return the cached version
-    // to avoid doing decompression on the same chunk multiple times which is
-    // expensive
-    if (chunkInfo === this._lastChunkInfo && this._lastReadResult) {
-      // always callback async, even if we have the result
-      // https://oren.github.io/blog/zalgo.html
-      const lastReadResult = this._lastReadResult;
-      return setImmediate(() => callback(null, lastReadResult));
+  // v1.2 bags have a message definition record before the first message on each topic,
+  // followed by message data records, and end with a topic index record per topic
+  // each topic is described as a connection, and the messages are split into ranges of
+  // records which are read like uncompressed chunks through an index built in memory
+  async _readIndex102(fileOffset: number): Promise<{ connections: Connection[], chunkInfos: ChunkInfo[] }> {
+    const buffer = await this._readAsync(fileOffset, this._file.size() - fileOffset);
+    const topicIndices = [];
+    let bufferOffset = 0;
+    while (bufferOffset < buffer.length) {
+      const topicIndex = this.readRecordFromBuffer(buffer.slice(bufferOffset), fileOffset + bufferOffset, TopicIndex);
+      bufferOffset += topicIndex.length;
+      topicIndices.push(topicIndex);
     }
-    const { nextChunk } = chunkInfo;
 
-    const readLength = nextChunk
-      ? nextChunk.chunkPosition - chunkInfo.chunkPosition
-      : this._file.size() - chunkInfo.chunkPosition;
+    this._topicConnections = new Map();
+    const messages = [];
+    const connections = await Promise.all(
+      topicIndices.map(async ({ topic, indices }, conn) => {
+        this._topicConnections.set(topic, conn);
+        indices.forEach(({ time, offset }) => messages.push({ conn, time, offset }));
+        // the first message on the topic is indexed at its message definition record
+        // busy topics have more entries than a function takes arguments, so they aren't spread into Math.min
+        const definitionOffset = indices.reduce((min, { offset }) => Math.min(min, offset), Infinity);
+        const layout = await this._readRecordLayoutAsync(definitionOffset);
+        if (!layout) {
+          throw new Error(`Record at position ${definitionOffset} is truncated.`);
+        }
+        const definition = this.readRecordFromBuffer(
+          await this._readAsync(definitionOffset, layout.dataOffset + layout.dataLength - definitionOffset),
+          definitionOffset,
+          MessageDefinition
+        );
+        const { md5sum, type, messageDefinition } = definition;
+        const record = serializeConnection({ conn, topic, md5sum, type, messageDefinition });
+        return this.readRecordFromBuffer(record, definitionOffset, Connection);
+      })
+    );
 
-    this._file.read(chunkInfo.chunkPosition, readLength, (err: Error | null, buffer?: Buffer) => {
-      if (err || !buffer) {
-        return callback(err || new Error("Missing both error and buffer"));
+    this._rebuiltChunks = new Map();
+    const chunkInfos = [];
+    messages.sort((a, b) => a.offset - b.offset);
+    let start = 0;
+    while (start < messages.length) {
+      const position = messages[start].offset;
+      let end = start + 1;
+      while (end < messages.length && messages[end].offset - position < CHUNK_SIZE_102) {
+        end++;
+      }
+      // the records of the range run up to the next range, or the topic indices for the last one
+      const dataLength = (end < messages.length ? messages[end].offset : fileOffset) - position;
+      const rangeMessages = messages
+        .slice(start, end)
+        .map(({ conn, time, offset }) => ({ conn, time, offset: offset - position }));
+      const location = { compression: "none", size: dataLength, dataOffset: position, dataLength };
+      chunkInfos.push(this._rebuildChunk(position, location, rangeMessages));
+      start = end;
+    }
+    linkChunkInfos(chunkInfos);
+
+    return { connections, chunkInfos };
+  }
+
+  _readEntryMessage(chunk: Chunk, entry: { time: Time, offset: number }): MessageData {
+    if (this.version === "1.2") {
+      return this._readMessageData102(chunk, entry);
+    }
+    return this.readRecordFromBuffer(chunk.data.slice(entry.offset), chunk.dataOffset, MessageData);
+  }
+
+  // v1.2 message data records name their topic instead of their connection,
+  // and their time is only stored in the topic index
+  _readMessageData102(chunk: Chunk, entry: { time: Time, offset: number }): MessageData {
+    let offset = entry.offset;
+    let layout = readRecordLayout(chunk.data, offset);
+    if (layout && layout.fields.op.readUInt8(0) === MessageDefinition.opcode) {
+      offset = layout.dataOffset + layout.dataLength;
+      layout = readRecordLayout(chunk.data, offset);
+    }
+    if (!layout || layout.fields.op.readUInt8(0) !== MessageData.opcode || !layout.fields.topic) {
+      throw new Error(`Expected MessageData (${MessageData.opcode}) at position ${chunk.dataOffset + offset}`);
+    }
+    const { fields, dataOffset, dataLength } = layout;
+    const conn = this._topicConnections.get(fields.topic.toString());
+    if (conn === undefined) {
+      throw new Error(`Message at position ${chunk.dataOffset + offset} is on an unindexed topic.`);
+    }
+
+    const messageFields = { conn: Buffer.alloc(4), time: Buffer.alloc(8) };
+    messageFields.conn.writeUInt32LE(conn, 0);
+    writeTime(entry.time, messageFields.time, 0);
+    const message = new MessageData(messageFields);
+    message.parseData(chunk.data.slice(dataOffset, dataOffset + dataLength));
+    message.offset = chunk.dataOffset + offset;
+    message.dataOffset = chunk.dataOffset + dataOffset;
+    message.end = message.dataOffset + dataLength;
+    message.length = message.end - message.offset;
+    return message;
+  }
+
+  // builds the index records & chunk info of a chunk from the messages within it,
+  // so the chunk is read through them instead of the index records in the file
+  _rebuildChunk(position: number, location: ChunkLocation, messages: IndexedMessage[]): ChunkInfo {
+    const entries: Map<number, IndexEntry[]> = new Map();
+    let { time: startTime } = messages[0];
+    let endTime = startTime;
+    messages.forEach(({ conn, time, offset }) => {
+      const connEntries = entries.get(conn) || [];
+      connEntries.push({ time, offset });
+      entries.set(conn, connEntries);
+      if (TimeUtil.isLessThan(time, startTime)) {
+        startTime = time;
       }
+      if (TimeUtil.isGreaterThan(time, endTime)) {
+        endTime = time;
+      }
+    });
+    const indices = [];
+    const counts = [];
+    entries.forEach((connEntries, conn) => {
+      connEntries.sort((a, b) => TimeUtil.compare(a.time, b.time) || a.offset - b.offset);
+      indices.push(this.readRecordFromBuffer(serializeIndexData(conn, connEntries), 0, IndexData));
+      counts.push({ conn, count: connEntries.length });
+    });
+    this._rebuiltChunks.set(position, { ...location, indices });
+    return this.readRecordFromBuffer(serializeChunkInfo(position, startTime, endTime, counts), 0, ChunkInfo);
+  }
 
-      const chunk = this.readRecordFromBuffer(buffer, chunkInfo.chunkPosition, Chunk);
-      const { compression } = chunk;
-      if (compression !== "none") {
-        const decompressFn = decompress[compression];
-        if (!decompressFn) {
-          return callback(new Error(`Unsupported compression type ${chunk.compression}`));
+  // finds the connection & message records within the uncompressed data of a chunk,
+  // stopping at the first record which is incomplete or corrupt
+  _scanChunkData(data: Buffer): ChunkScan {
+    const connections = [];
+    const messages = [];
+    let offset = 0;
+    let layout = readRecordLayout(data, offset);
+    while (layout && layout.dataOffset + layout.dataLength <= data.length) {
+      const { fields, dataOffset, dataLength } = layout;
+      try {
+        const opcode = fields.op.readUInt8(0);
+        if (opcode === MessageData.opcode) {
+          const { conn, time } = new MessageData(fields);
+          messages.push({ conn, time, offset });
+        } else if (opcode === Connection.opcode) {
+          connections.push(this.readRecordFromBuffer(data.slice(offset), 0, Connection));
         }
-        const result = decompressFn(chunk.data, chunk.size);
-        chunk.data = result;
+      } catch (error) {
+        break;
       }
-      const indices = this.readRecordsFromBuffer(
-        buffer.slice(chunk.length),
-        chunkInfo.count,
-        chunkInfo.chunkPosition + chunk.length,
-        IndexData
-      );
+      offset = dataOffset + dataLength;
+      layout = readRecordLayout(data, offset);
+    }
+    return { connections, messages, length: offset };
+  }
 
-      this._lastChunkInfo = chunkInfo;
-      this._lastReadResult = { chunk, indices };
-      return callback(null, this._lastReadResult);
+  // reads the layout of the record at offset in the file, see readRecordLayout
+  async _readRecordLayoutAsync(offset: number): Promise<?RecordLayout> {
+    const remaining = this._file.size() - offset;
+    if (remaining < 4) {
+      return undefined;
+    }
+    const headerLength = (await this._readAsync(offset, 4)).readInt32LE(0);
+    if (headerLength < 0 || headerLength + 8 > remaining) {
+      return undefined;
+    }
+    const layout = readRecordLayout(await this._readAsync(offset, headerLength + 8), 0);
+    return layout && { ...layout, dataOffset: offset + layout.dataOffset };
+  }
+
+  async _readChunkLayoutAsync(chunkPosition: number): Promise<RecordLayout> {
+    const layout = await this._readRecordLayoutAsync(chunkPosition);
+    if (!layout || layout.fields.op.readUInt8(0) !== Chunk.opcode) {
+      throw new Error(`Expected Chunk (${Chunk.opcode}) at position ${chunkPosition}`);
+    }
+    return layout;
+  }
+
+  // every read from the file goes through here, so dispose can fail later reads & wait for the ones in flight
+  _read(offset: number, length: number, callback: Callback<Buffer>): void {
+    if (this._disposed) {
+      setImmediate(callback, new Error("Cannot read from a closed bag."));
+      return;
+    }
+    this._pendingReads++;
+    this._file.read(offset, length, (error: Error | null, buffer?: Buffer) => {
+      this._pendingReads--;
+      if (this._pendingReads === 0) {
+        const drainCallbacks = this._drainCallbacks;
+        this._drainCallbacks = [];
+        drainCallbacks.forEach((drain) => drain());
+      }
+      if (error || !buffer) {
+        callback(error || new Error("Missing both error and buffer"));
+      } else {
+        callback(null, buffer);
+      }
+    });
+  }
+
+  _readAsync(offset: number, length: number): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+      this._read(
+        offset,
+        length,
+        (err: Error | null, buffer?: Buffer) =>
+          err || !buffer ? reject(err || new Error("Missing both error and buffer")) : resolve(buffer)
+      );
     });
   }
 
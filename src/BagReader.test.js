@@ -7,7 +7,15 @@
 // @flow
 
 import int53 from "int53";
-import BagReader from "./BagReader";
+
+import { AbortError } from "./abort";
+import Bag from "./bag";
+import BagReader, { type BagReaderOptions } from "./BagReader";
+import BagWriter from "./BagWriter";
+import BufferReader from "./BufferReader";
+import decompressLZ4 from "./decompress/lz4";
+import { Reader } from "./node";
+import * as TimeUtil from "./TimeUtil";
 
 function int64Buffer(number: number) {
   const buff = Buffer.alloc(8);
@@ -131,4 +139,294 @@ describe("BagReader", () => {
       reader.readHeader(callback);
     });
   });
+
+  describe("chunk cache", () => {
+    const fixture = `${__dirname}/../fixtures/example-lz4.bag`;
+
+    async function openReader(options?: BagReaderOptions) {
+      const file = new Reader(fixture);
+      const reader = new BagReader(file, options);
+      const header = await reader.readHeaderAsync();
+      const { chunkInfos } = await reader.readConnectionsAndChunkInfoAsync(
+        header.indexPosition,
+        header.connectionCount,
+        header.chunkCount
+      );
+      return { file, reader, chunkInfo: chunkInfos[0] };
+    }
+
+    // reads a bag written to memory with a chunk for each of three messages
+    async function openChunkedReader(options?: BagReaderOptions) {
+      const writes = [];
+      const output = {
+        write: (offset, buffer, cb) => {
+          writes.push({ offset, buffer });
+          cb(null);
+        },
+      };
+      const writer = new BagWriter(output, { chunkThreshold: 0 });
+      await writer.open();
+      writer.writeConnection({
+        conn: 0,
+        topic: "/foo",
+        type: "std_msgs/Int32",
+        md5sum: "",
+        messageDefinition: "int32 data",
+      });
+      for (let sec = 0; sec < 3; sec++) {
+        await writer.writeMessage(0, { sec, nsec: 0 }, Buffer.alloc(4));
+      }
+      await writer.close();
+      const data = Buffer.alloc(Math.max(...writes.map(({ offset, buffer }) => offset + buffer.length)));
+      writes.forEach(({ offset, buffer }) => buffer.copy(data, offset));
+      const file = new BufferReader(data);
+      const bag = new Bag(new BagReader(file, options));
+      await bag.open();
+      return { file, reader: bag.reader, chunkInfos: bag.chunkInfos };
+    }
+
+    const readChunk = (reader: BagReader, chunkInfo: any) =>
+      new Promise((resolve, reject) => {
+        reader.readChunk(chunkInfo, {}, (err, result) => (err ? reject(err) : resolve(result)));
+      });
+
+    it("returns cached chunks without reading the file again", async () => {
+      const { file, reader, chunkInfo } = await openReader();
+      const read = jest.spyOn(file, "read");
+      const first = await readChunk(reader, chunkInfo);
+      const second = await readChunk(reader, chunkInfo);
+      expect(second).toBe(first);
+      expect(read).toHaveBeenCalledTimes(1);
+      expect(reader.getCacheStats()).toEqual({
+        hits: 1,
+        misses: 1,
+        count: 1,
+        size: (first: any).chunk.data.byteLength,
+        maxSize: Infinity,
+        maxCount: 1,
+      });
+    });
+
+    it("keeps only the last chunk read by default", async () => {
+      const { file, reader, chunkInfos } = await openChunkedReader();
+      const read = jest.spyOn(file, "read");
+      await readChunk(reader, chunkInfos[0]);
+      await readChunk(reader, chunkInfos[1]);
+      await readChunk(reader, chunkInfos[1]);
+      await readChunk(reader, chunkInfos[0]);
+      expect(read).toHaveBeenCalledTimes(3);
+      expect(reader.getCacheStats()).toMatchObject({ hits: 1, misses: 3, count: 1 });
+    });
+
+    it("keeps as many chunks as fit in the cacheSizeInBytes budget", async () => {
+      const { file, reader, chunkInfos } = await openChunkedReader({ cacheSizeInBytes: 1024 });
+      const read = jest.spyOn(file, "read");
+      expect(chunkInfos).toHaveLength(3);
+      for (const chunkInfo of [...chunkInfos, ...chunkInfos]) {
+        await readChunk(reader, chunkInfo);
+      }
+      expect(read).toHaveBeenCalledTimes(chunkInfos.length);
+      expect(reader.getCacheStats()).toMatchObject({ count: chunkInfos.length, maxSize: 1024 });
+    });
+
+    it("reads the file again after clearing the cache", async () => {
+      const { file, reader, chunkInfo } = await openReader();
+      const read = jest.spyOn(file, "read");
+      const first = await readChunk(reader, chunkInfo);
+      reader.clearCache();
+      expect(reader.getCacheStats()).toMatchObject({ count: 0, size: 0 });
+      const second = await readChunk(reader, chunkInfo);
+      expect(second).not.toBe(first);
+      expect(second).toEqual(first);
+      expect(read).toHaveBeenCalledTimes(2);
+    });
+
+    it("does not cache chunks from reads in flight when the cache is cleared", async () => {
+      const { file, reader, chunkInfo } = await openReader();
+      const read = jest.spyOn(file, "read");
+      const pending = readChunk(reader, chunkInfo);
+      reader.clearCache();
+      await pending;
+      expect(reader.getCacheStats()).toMatchObject({ count: 0 });
+      await readChunk(reader, chunkInfo);
+      expect(read).toHaveBeenCalledTimes(2);
+    });
+
+    it("caches chunks read concurrently once", async () => {
+      const { reader, chunkInfo } = await openReader();
+      await Promise.all([readChunk(reader, chunkInfo), readChunk(reader, chunkInfo)]);
+      expect(reader.getCacheStats()).toMatchObject({ misses: 2, count: 1 });
+      await readChunk(reader, chunkInfo);
+      expect(reader.getCacheStats()).toMatchObject({ hits: 1, misses: 2, count: 1 });
+    });
+
+    it("can be disabled", async () => {
+      const { file, reader, chunkInfo } = await openReader({ cacheSizeInBytes: 0 });
+      const read = jest.spyOn(file, "read");
+      await readChunk(reader, chunkInfo);
+      await readChunk(reader, chunkInfo);
+      expect(read).toHaveBeenCalledTimes(2);
+      // hits & misses aren't counted as every read misses
+      expect(reader.getCacheStats()).toMatchObject({ hits: 0, misses: 0, count: 0, size: 0 });
+    });
+  });
+
+  describe("index only reads", () => {
+    const fixture = `${__dirname}/../fixtures/example-lz4.bag`;
+
+    it("reads the index records of a chunk without reading its data", async () => {
+      const file = new Reader(fixture);
+      const bag = new Bag(new BagReader(file));
+      await bag.open();
+      const [chunkInfo] = bag.chunkInfos;
+      const read = jest.spyOn(file, "read");
+      const indices = await bag.reader.readChunkIndicesAsync(chunkInfo);
+      const { chunk, indices: expected } = await bag.reader.readChunkRecordAsync(chunkInfo);
+      // the reads made for the indices, before the chunk record was read, skip over the chunk data
+      const indexReads = read.mock.calls.slice(0, -1);
+      expect(indices).toEqual(expected);
+      expect(indexReads.length).toBeGreaterThan(0);
+      indexReads.forEach(([offset, length]) => {
+        expect(offset + length <= chunk.dataOffset || offset >= chunk.end).toBe(true);
+      });
+    });
+
+    it("calls back with an error if there is no chunk at the position", (done) => {
+      const reader = new BagReader(new Reader(fixture));
+      reader.readHeader(() => {
+        reader.readChunkIndices(({ chunkPosition: 13, count: 1 }: any), (error) => {
+          expect(error && error.message).toBe("Expected Chunk (5) at position 13");
+          done();
+        });
+      });
+    });
+  });
+
+  describe("concurrent reads", () => {
+    const fixture = `${__dirname}/../fixtures/example-lz4.bag`;
+
+    async function openBag(options?: BagReaderOptions) {
+      const file = new Reader(fixture);
+      const bag = new Bag(new BagReader(file, options));
+      await bag.open();
+      return { file, bag };
+    }
+
+    const readChunk = (reader: BagReader, chunkInfo: any, decompress = {}) =>
+      new Promise((resolve, reject) => {
+        reader.readChunk(chunkInfo, decompress, (err, result) => (err ? reject(err) : resolve(result)));
+      });
+
+    it("coalesces concurrent reads of the same chunk into one read and decompression", async () => {
+      const { file, bag } = await openBag({ cacheSizeInBytes: 0 });
+      const read = jest.spyOn(file, "read");
+      const lz4 = jest.fn(decompressLZ4);
+      const [chunkInfo] = bag.chunkInfos;
+      const results = await Promise.all(new Array(20).fill().map(() => readChunk(bag.reader, chunkInfo, { lz4 })));
+      expect(read).toHaveBeenCalledTimes(1);
+      expect(lz4).toHaveBeenCalledTimes(1);
+      results.forEach((result) => expect(result).toBe(results[0]));
+
+      // once the read has finished the chunk is read again as the cache is disabled
+      await readChunk(bag.reader, chunkInfo, { lz4 });
+      expect(read).toHaveBeenCalledTimes(2);
+    });
+
+    it("passes decompression errors to every concurrent read", async () => {
+      const { bag } = await openBag();
+      const lz4 = () => {
+        throw new Error("bad chunk");
+      };
+      const [chunkInfo] = bag.chunkInfos;
+      const reads = new Array(5).fill().map(() => readChunk(bag.reader, chunkInfo, { lz4 }));
+      for (const pending of reads) {
+        await expect(pending).rejects.toThrow("bad chunk");
+      }
+      expect(await readChunk(bag.reader, chunkInfo)).toBeDefined();
+    });
+
+    it("returns the same messages to many concurrent readMessages calls", async () => {
+      const { bag } = await openBag({ cacheSizeInBytes: 0 });
+      const expected = [];
+      await bag.readMessages({ noParse: true }, ({ topic, timestamp, data }) => {
+        expected.push({ topic, timestamp, data: Buffer.from(data) });
+      });
+      expect(expected).toHaveLength(8647);
+
+      const read = async (topics?: string[]) => {
+        const messages = [];
+        await bag.readMessages({ noParse: true, topics }, ({ topic, timestamp, data }) => {
+          messages.push({ topic, timestamp, data });
+        });
+        return messages;
+      };
+      const topics = [undefined, ["/tf"], ["/turtle1/color_sensor", "/rosout"]];
+      const reads = new Array(30).fill().map((_, i) => topics[i % topics.length]);
+      const results = await Promise.all(reads.map((readTopics) => read(readTopics)));
+      results.forEach((messages, i) => {
+        const readTopics = reads[i];
+        const expectedMessages = readTopics ? expected.filter(({ topic }) => readTopics.includes(topic)) : expected;
+        expect(messages).toHaveLength(expectedMessages.length);
+        // compare the data directly as a full diff of thousands of buffers is very slow on failure
+        const mismatch = messages.findIndex(
+          ({ topic, timestamp, data }, j) =>
+            topic !== expectedMessages[j].topic ||
+            !TimeUtil.areSame(timestamp, expectedMessages[j].timestamp) ||
+            !data.equals(expectedMessages[j].data)
+        );
+        expect(mismatch).toBe(-1);
+      });
+    });
+  });
+
+  describe("aborting", () => {
+    const fixture = `${__dirname}/../fixtures/example-lz4.bag`;
+    const abortedSignal = { aborted: true, addEventListener: () => {}, removeEventListener: () => {} };
+
+    it("rejects async reads with an AbortError without reading the file", async () => {
+      const file = new Reader(fixture);
+      const reader = new BagReader(file);
+      const header = await reader.readHeaderAsync();
+      const { chunkInfos } = await reader.readConnectionsAndChunkInfoAsync(
+        header.indexPosition,
+        header.connectionCount,
+        header.chunkCount
+      );
+      const read = jest.spyOn(file, "read");
+      const time = { sec: 0, nsec: 0 };
+      await expect(reader.readHeaderAsync(abortedSignal)).rejects.toBeInstanceOf(AbortError);
+      await expect(
+        reader.readConnectionsAndChunkInfoAsync(header.indexPosition, 1, 1, abortedSignal)
+      ).rejects.toBeInstanceOf(AbortError);
+      await expect(
+        reader.readChunkMessagesAsync(chunkInfos[0], [], time, time, {}, abortedSignal)
+      ).rejects.toBeInstanceOf(AbortError);
+      expect(read).not.toHaveBeenCalled();
+    });
+
+    it("leaves coalesced reads which were not aborted running", async () => {
+      const file = new Reader(fixture);
+      const bag = new Bag(new BagReader(file));
+      await bag.open();
+      let abort = () => {};
+      const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => {
+          abort = () => {
+            signal.aborted = true;
+            listener();
+          };
+        },
+        removeEventListener: () => {},
+      };
+      const start = { sec: 0, nsec: 0 };
+      const end = { sec: Number.MAX_VALUE, nsec: 0 };
+      const [info] = bag.chunkInfos;
+      const aborted = bag.reader.readChunkMessagesAsync(info, [0], start, end, {}, signal);
+      const other = bag.reader.readChunkMessagesAsync(info, [0], start, end, {});
+      abort();
+      await expect(aborted).rejects.toBeInstanceOf(AbortError);
+      expect((await other).length).toBeGreaterThan(0);
+    });
+  });
 });
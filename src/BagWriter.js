@@ -0,0 +1,282 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Buffer } from "buffer";
+
+import type { Chunk, IndexData } from "./record";
+import {
+  serializeBagHeader,
+  serializeChunk,
+  serializeChunkInfo,
+  serializeConnection,
+  serializeIndexData,
+  serializeMessageData,
+  type ConnectionDescription,
+  type IndexEntry,
+} from "./serialize";
+import type { Time, WritableFilelike } from "./types";
+import * as TimeUtil from "./TimeUtil";
+
+export type BagWriterOptions = {|
+  // the uncompressed size in bytes at which the chunk being built is written out
+  chunkThreshold?: number,
+|};
+
+type WrittenChunkInfo = {
+  chunkPosition: number,
+  startTime: Time,
+  endTime: Time,
+  connections: Array<{ conn: number, count: number }>,
+};
+
+const BAG_MAGIC = "#ROSBAG V2.0\n";
+const HEADER_OFFSET = BAG_MAGIC.length;
+const DEFAULT_CHUNK_THRESHOLD = 768 * 1024;
+
+// BagWriter is the write side counterpart of BagReader
+// create a new bag by calling:
+// `const writer = new BagWriter(new Writer('./path-to-file.bag'))` in node or
+// `const writer = new BagWriter(new Writer())` in the browser
+//
+// then open it, describe the connections & write messages:
+// `await writer.open()`
+// `writer.writeConnection({ conn: 0, topic: '/foo', type, md5sum, messageDefinition })`
+// `await writer.writeMessage(0, { sec: 1, nsec: 0 }, data)`
+//
+// messages are buffered into chunks which are written out once they reach the
+// chunk threshold. `await writer.close()` writes the final chunk followed by the
+// connection & chunk info index, patches the bag header to point at it & closes the file
+export default class BagWriter {
+  _file: WritableFilelike;
+  _chunkThreshold: number;
+  _position: number;
+  _opened: boolean;
+  _closed: boolean;
+  _connections: { [conn: number]: ConnectionDescription };
+  _chunkInfos: WrittenChunkInfo[];
+
+  // connections whose records have already been written into a chunk
+  _writtenConnections: Set<number>;
+
+  // state of the chunk currently being built
+  _chunkBuffers: Buffer[];
+  _chunkSize: number;
+  _chunkStartTime: ?Time;
+  _chunkEndTime: ?Time;
+  _chunkIndices: { [conn: number]: IndexEntry[] };
+
+  constructor(filelike: WritableFilelike, options?: BagWriterOptions) {
+    const chunkThreshold = options && options.chunkThreshold;
+    this._file = filelike;
+    this._chunkThreshold = chunkThreshold == null ? DEFAULT_CHUNK_THRESHOLD : chunkThreshold;
+    this._position = 0;
+    this._opened = false;
+    this._closed = false;
+    this._connections = {};
+    this._chunkInfos = [];
+    this._writtenConnections = new Set();
+    this._resetChunk();
+  }
+
+  // writes the bag magic & a placeholder header
+  // must be called before any messages are written
+  async open() {
+    if (this._opened) {
+      throw new Error("Bag writer has already been opened.");
+    }
+    this._opened = true;
+    await this._write(Buffer.concat([Buffer.from(BAG_MAGIC), serializeBagHeader(0, 0, 0)]));
+  }
+
+  // registers a connection so messages can be written for it
+  // the connection record is written into the first chunk which contains one of its messages
+  writeConnection(connection: ConnectionDescription) {
+    this._assertWritable();
+    if (this._connections[connection.conn]) {
+      throw new Error(`Connection ${connection.conn} has already been written.`);
+    }
+    this._connections[connection.conn] = connection;
+  }
+
+  // appends a message on a previously written connection to the current chunk
+  // resolves once the message is buffered, or once the chunk is written if the
+  // message pushed the chunk over the chunk threshold
+  async writeMessage(conn: number, time: Time, data: Buffer) {
+    this._assertWritable();
+    const connection = this._connections[conn];
+    if (!connection) {
+      throw new Error(`Cannot write message for unknown connection ${conn}.`);
+    }
+
+    if (!this._writtenConnections.has(conn)) {
+      this._writtenConnections.add(conn);
+      this._appendToChunk(serializeConnection(connection));
+    }
+
+    const indices = this._chunkIndices[conn] || (this._chunkIndices[conn] = []);
+    indices.push({ time, offset: this._chunkSize });
+    this._appendToChunk(serializeMessageData(conn, time, data));
+
+    if (!this._chunkStartTime || TimeUtil.isLessThan(time, this._chunkStartTime)) {
+      this._chunkStartTime = time;
+    }
+    if (!this._chunkEndTime || TimeUtil.isGreaterThan(time, this._chunkEndTime)) {
+      this._chunkEndTime = time;
+    }
+
+    if (this._chunkSize >= this._chunkThreshold) {
+      await this._flushChunk();
+    }
+  }
+
+  // copies a chunk record & its index records as they are, e.g. from BagReader.readChunkRecord
+  // the pending chunk is written first so the chunks stay in write order, and the chunk's
+  // connections must have been written already - the chunk data is expected to contain their records
+  async writeChunk(chunk: Chunk, indices: IndexData[]) {
+    this._assertWritable();
+    let startTime;
+    let endTime;
+    indices.forEach(({ conn, indices: entries }) => {
+      if (!this._connections[conn]) {
+        throw new Error(`Cannot write chunk with messages for unknown connection ${conn}.`);
+      }
+      entries.forEach(({ time }) => {
+        if (!startTime || TimeUtil.isLessThan(time, startTime)) {
+          startTime = time;
+        }
+        if (!endTime || TimeUtil.isGreaterThan(time, endTime)) {
+          endTime = time;
+        }
+      });
+    });
+    if (!startTime || !endTime) {
+      return;
+    }
+
+    const flushed = this._flushChunk();
+    indices.forEach(({ conn }) => this._writtenConnections.add(conn));
+    this._chunkInfos.push({
+      chunkPosition: this._position,
+      startTime,
+      endTime,
+      connections: indices.map(({ conn, indices: entries }) => ({ conn, count: entries.length })),
+    });
+    const written = this._write(
+      Buffer.concat([
+        serializeChunk(chunk.compression, chunk.size, chunk.data),
+        ...indices.map(({ conn, indices: entries }) => serializeIndexData(conn, entries)),
+      ])
+    );
+    await Promise.all([flushed, written]);
+  }
+
+  // writes the pending chunk, the connection & chunk info records, and the final bag header,
+  // then closes the file if the filelike supports it - the writer cannot be used afterwards
+  // the file is closed even if a write fails, and the write error is thrown
+  async close() {
+    this._assertWritable();
+    const flushed = this._flushChunk();
+    this._closed = true;
+    try {
+      await flushed;
+      await this._writeIndex();
+    } catch (error) {
+      await this._closeFile().catch(() => {});
+      throw error;
+    }
+    await this._closeFile();
+  }
+
+  async _writeIndex() {
+    const connections = Object.keys(this._connections).map((conn) => this._connections[+conn]);
+    const indexPosition = this._position;
+    await this._write(
+      Buffer.concat([
+        ...connections.map(serializeConnection),
+        ...this._chunkInfos.map((info) =>
+          serializeChunkInfo(info.chunkPosition, info.startTime, info.endTime, info.connections)
+        ),
+      ])
+    );
+
+    const header = serializeBagHeader(indexPosition, connections.length, this._chunkInfos.length);
+    await this._writeAt(HEADER_OFFSET, header);
+  }
+
+  _closeFile(): Promise<void> {
+    const { close } = this._file;
+    if (!close) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => close.call(this._file, (err) => (err ? reject(err) : resolve())));
+  }
+
+  _assertWritable() {
+    if (!this._opened) {
+      throw new Error("Bag writer must be opened before writing.");
+    }
+    if (this._closed) {
+      throw new Error("Bag writer has already been closed.");
+    }
+  }
+
+  _appendToChunk(buffer: Buffer) {
+    this._chunkBuffers.push(buffer);
+    this._chunkSize += buffer.length;
+  }
+
+  _resetChunk() {
+    this._chunkBuffers = [];
+    this._chunkSize = 0;
+    this._chunkStartTime = undefined;
+    this._chunkEndTime = undefined;
+    this._chunkIndices = {};
+  }
+
+  // writes the chunk being built followed by one index record per connection in the chunk
+  // all of the bookkeeping happens synchronously so messages written while the chunk
+  // is being flushed go into the next chunk
+  _flushChunk(): Promise<void> {
+    const { _chunkStartTime: startTime, _chunkEndTime: endTime, _chunkIndices: chunkIndices } = this;
+    if (!startTime || !endTime) {
+      return Promise.resolve();
+    }
+
+    const data = Buffer.concat(this._chunkBuffers);
+    const conns = Object.keys(chunkIndices).map((conn) => +conn);
+    const indexRecords = conns.map((conn) => {
+      const entries = chunkIndices[conn]
+        .slice()
+        .sort((a, b) => TimeUtil.compare(a.time, b.time) || a.offset - b.offset);
+      return serializeIndexData(conn, entries);
+    });
+
+    this._chunkInfos.push({
+      chunkPosition: this._position,
+      startTime,
+      endTime,
+      connections: conns.map((conn) => ({ conn, count: chunkIndices[conn].length })),
+    });
+    this._resetChunk();
+
+    return this._write(Buffer.concat([serializeChunk("none", data.length, data), ...indexRecords]));
+  }
+
+  // writes the buffer at the end of the file
+  _write(buffer: Buffer): Promise<void> {
+    const offset = this._position;
+    this._position += buffer.length;
+    return this._writeAt(offset, buffer);
+  }
+
+  _writeAt(offset: number, buffer: Buffer): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this._file.write(offset, buffer, (err: Error | null) => (err ? reject(err) : resolve()));
+    });
+  }
+}
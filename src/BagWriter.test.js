@@ -0,0 +1,218 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import Bag, { Writer } from "./node";
+import BagWriter from "./BagWriter";
+import { MessageData } from "./record";
+
+function getFixture(filename = "example") {
+  return `${__dirname}/../fixtures/${filename}.bag`;
+}
+
+function getOutputPath(name: string) {
+  return path.join(os.tmpdir(), `rosbag-writer-${process.pid}-${name}.bag`);
+}
+
+// reads every raw message from every chunk of the bag, in file order
+// message data is copied as the underlying read buffers may be reused
+async function readAllMessages(bag: Bag): Promise<MessageData[]> {
+  const conns = Object.keys(bag.connections).map((conn) => +conn);
+  const messages = [];
+  for (const info of bag.chunkInfos) {
+    const chunkMessages = await bag.reader.readChunkMessagesAsync(
+      info,
+      conns,
+      { sec: 0, nsec: 0 },
+      { sec: Number.MAX_VALUE, nsec: Number.MAX_VALUE },
+      {}
+    );
+    chunkMessages.forEach((message) => {
+      message.data = Buffer.from(message.data);
+      messages.push(message);
+    });
+  }
+  return messages;
+}
+
+async function copyBag(source: Bag, filename: string, chunkThreshold?: number) {
+  const messages = await readAllMessages(source);
+  const writer = new BagWriter(new Writer(filename), { chunkThreshold });
+  await writer.open();
+  Object.keys(source.connections).forEach((conn) => writer.writeConnection(source.connections[+conn]));
+  for (const message of messages) {
+    await writer.writeMessage(message.conn, message.time, message.data);
+  }
+  await writer.close();
+}
+
+const connectionFields = ({ conn, topic, type, md5sum, messageDefinition, callerid, latching }) => ({
+  conn,
+  topic,
+  type,
+  md5sum,
+  messageDefinition,
+  callerid,
+  latching,
+});
+
+const messageFields = ({ conn, time, data }: MessageData) => ({ conn, time, data });
+
+describe("BagWriter", () => {
+  const filenames = [];
+  const outputPath = (name: string) => {
+    const filename = getOutputPath(name);
+    filenames.push(filename);
+    return filename;
+  };
+
+  afterAll(() => {
+    filenames.forEach((filename) => fs.existsSync(filename) && fs.unlinkSync(filename));
+  });
+
+  it("round trips connections and messages from example.bag", async () => {
+    const source = await Bag.open(getFixture());
+    const filename = outputPath("copy");
+    await copyBag(source, filename);
+
+    const copy = await Bag.open(filename);
+    expect(copy.header.connectionCount).toBe(source.header.connectionCount);
+    expect(copy.header.chunkCount).toBe(1);
+    expect(copy.startTime).toEqual(source.startTime);
+    expect(copy.endTime).toEqual(source.endTime);
+    expect(Object.keys(copy.connections).map((conn) => connectionFields(copy.connections[+conn]))).toEqual(
+      Object.keys(source.connections).map((conn) => connectionFields(source.connections[+conn]))
+    );
+
+    const expected = (await readAllMessages(source)).map(messageFields);
+    const actual = (await readAllMessages(copy)).map(messageFields);
+    expect(actual).toHaveLength(8647);
+    expect(actual).toEqual(expected);
+  });
+
+  it("reads the copy back with the high-level api", async () => {
+    const source = await Bag.open(getFixture());
+    const filename = outputPath("high-level");
+    await copyBag(source, filename);
+
+    const read = async (bag: Bag) => {
+      const messages = [];
+      await bag.readMessages({ topics: ["/tf"] }, ({ topic, message, timestamp }) => {
+        messages.push({ topic, message, timestamp });
+      });
+      return messages;
+    };
+    const copy = await Bag.open(filename);
+    expect(await read(copy)).toEqual(await read(source));
+  });
+
+  it("splits messages into chunks at the chunk threshold", async () => {
+    const source = await Bag.open(getFixture());
+    const filename = outputPath("chunked");
+    await copyBag(source, filename, 64 * 1024);
+
+    const copy = await Bag.open(filename);
+    expect(copy.header.chunkCount).toBeGreaterThan(1);
+    expect(copy.chunkInfos).toHaveLength(copy.header.chunkCount);
+    copy.chunkInfos.forEach((info, i) => {
+      if (i > 0) {
+        expect(info.chunkPosition).toBeGreaterThan(copy.chunkInfos[i - 1].chunkPosition);
+      }
+      expect(info.chunkPosition).toBeLessThan(copy.header.indexPosition);
+    });
+
+    const expected = (await readAllMessages(source)).map(messageFields);
+    const actual = (await readAllMessages(copy)).map(messageFields);
+    expect(actual).toEqual(expected);
+  });
+
+  it("writes a readable bag without messages", async () => {
+    const filename = outputPath("empty");
+    const writer = new BagWriter(new Writer(filename));
+    await writer.open();
+    await writer.close();
+
+    const bag = await Bag.open(filename);
+    expect(bag.header.connectionCount).toBe(0);
+    expect(bag.header.chunkCount).toBe(0);
+    expect(bag.chunkInfos).toEqual([]);
+  });
+
+  it("copies chunk records without recompressing them", async () => {
+    const source = await Bag.open(getFixture("example-lz4"));
+    const filename = outputPath("chunk-copy");
+    const writer = new BagWriter(new Writer(filename));
+    await writer.open();
+    Object.keys(source.connections).forEach((conn) => writer.writeConnection(source.connections[+conn]));
+    for (const info of source.chunkInfos) {
+      const { chunk, indices } = await source.reader.readChunkRecordAsync(info);
+      await writer.writeChunk(chunk, indices);
+    }
+    await writer.close();
+
+    const copy = await Bag.open(filename);
+    expect(copy.chunkInfos.map(({ startTime, endTime, connections }) => ({ startTime, endTime, connections }))).toEqual(
+      source.chunkInfos.map(({ startTime, endTime, connections }) => ({ startTime, endTime, connections }))
+    );
+    expect((await copy.reader.readChunkRecordAsync(copy.chunkInfos[0])).chunk.compression).toBe("lz4");
+    const expected = (await readAllMessages(source)).map(messageFields);
+    expect((await readAllMessages(copy)).map(messageFields)).toEqual(expected);
+  });
+
+  it("rejects chunks with messages on unknown connections", async () => {
+    const source = await Bag.open(getFixture());
+    const { chunk, indices } = await source.reader.readChunkRecordAsync(source.chunkInfos[0]);
+    const writer = new BagWriter({ write: (offset, buffer, cb) => cb(null) });
+    await writer.open();
+    await expect(writer.writeChunk(chunk, indices)).rejects.toThrow("unknown connection");
+  });
+
+  it("rejects messages on unknown connections", async () => {
+    const writer = new BagWriter({ write: (offset, buffer, cb) => cb(null) });
+    await writer.open();
+    await expect(writer.writeMessage(1, { sec: 0, nsec: 0 }, Buffer.alloc(0))).rejects.toThrow("unknown connection 1");
+  });
+
+  it("rejects writes after close", async () => {
+    const writer = new BagWriter({ write: (offset, buffer, cb) => cb(null) });
+    await writer.open();
+    await writer.close();
+    expect(() =>
+      writer.writeConnection({ conn: 0, topic: "/foo", type: "", md5sum: "", messageDefinition: "" })
+    ).toThrow("already been closed");
+  });
+
+  it("propagates write errors", async () => {
+    const writer = new BagWriter({ write: (offset, buffer, cb) => cb(new Error("disk full")) });
+    await expect(writer.open()).rejects.toThrow("disk full");
+  });
+
+  it("closes the file once the bag is written", async () => {
+    const filename = outputPath("closed");
+    const file = new Writer(filename);
+    const writer = new BagWriter(file);
+    await writer.open();
+    expect(file._fd).toBeDefined();
+    await writer.close();
+    expect(file._fd).toBeUndefined();
+    expect((await Bag.open(filename)).header.chunkCount).toBe(0);
+  });
+
+  it("closes the file when writing the index fails", async () => {
+    let fail = false;
+    const close = jest.fn((cb) => cb(null));
+    const writer = new BagWriter({ write: (offset, buffer, cb) => cb(fail ? new Error("disk full") : null), close });
+    await writer.open();
+    fail = true;
+    await expect(writer.close()).rejects.toThrow("disk full");
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,47 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Buffer } from "buffer";
+import type { Callback } from "./types";
+
+// whether the value is an ArrayBuffer or a view of one, e.g. a Buffer or Uint8Array
+// checked without instanceof, which fails for memory from another realm, e.g. an iframe
+export function isBufferSource(value: mixed): boolean {
+  return ArrayBuffer.isView(value) || Object.prototype.toString.call(value) === "[object ArrayBuffer]";
+}
+
+// reader for bags held in memory, in both node & the browser
+// the bytes aren't copied - reads return views of the caller's memory, which the caller
+// owns and must not modify while the bag is read. closing the reader doesn't do anything
+export default class BufferReader {
+  _buffer: Buffer;
+
+  constructor(data: Buffer | ArrayBuffer | Uint8Array) {
+    if (ArrayBuffer.isView(data)) {
+      const view = ((data: any): Uint8Array);
+      this._buffer = Buffer.from(view.buffer, view.byteOffset, view.byteLength);
+    } else {
+      this._buffer = Buffer.from(((data: any): ArrayBuffer));
+    }
+  }
+
+  // read length (bytes) starting from offset (bytes)
+  // callback(err, buffer)
+  read(offset: number, length: number, cb: Callback<Buffer>) {
+    setImmediate(cb, null, this._buffer.slice(offset, offset + length));
+  }
+
+  // return the size of the file
+  size() {
+    return this._buffer.length;
+  }
+
+  close(cb: (error: ?Error) => void) {
+    setImmediate(cb, null);
+  }
+}
@@ -0,0 +1,52 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import BufferReader, { isBufferSource } from "./BufferReader";
+
+function read(reader: BufferReader, offset: number, length: number): Promise<Buffer> {
+  return new Promise((resolve, reject) =>
+    reader.read(offset, length, (err, buffer) => (err || !buffer ? reject(err) : resolve(buffer)))
+  );
+}
+
+describe("BufferReader", () => {
+  it("recognizes buffer sources", () => {
+    expect(
+      [Buffer.alloc(1), new ArrayBuffer(1), new Uint8Array(1), new DataView(new ArrayBuffer(1))].map(isBufferSource)
+    ).toEqual([true, true, true, true]);
+    expect(["abc", 1, {}, [1], null].map(isBufferSource)).toEqual([false, false, false, false, false]);
+  });
+
+  it("reads from Buffers, ArrayBuffers & Uint8Arrays", async () => {
+    const bytes = Uint8Array.from([0, 1, 2, 3, 4, 5, 6, 7]);
+    for (const data of [Buffer.from(bytes), bytes.buffer, bytes]) {
+      const reader = new BufferReader(data);
+      expect(reader.size()).toBe(8);
+      const buffer = await read(reader, 2, 3);
+      expect(buffer).toBeInstanceOf(Buffer);
+      expect(Array.from(buffer)).toEqual([2, 3, 4]);
+    }
+  });
+
+  it("reads views of part of an ArrayBuffer", async () => {
+    const view = Uint8Array.from([0, 1, 2, 3, 4, 5, 6, 7]).subarray(2, 6);
+    const reader = new BufferReader(view);
+    expect(reader.size()).toBe(4);
+    expect(Array.from(await read(reader, 0, 10))).toEqual([2, 3, 4, 5]);
+  });
+
+  it("reads the caller's memory without copying it", async () => {
+    const bytes = Uint8Array.from([0, 1, 2, 3]);
+    const reader = new BufferReader(bytes);
+    const buffer = await read(reader, 0, 4);
+    bytes[0] = 9;
+    expect(buffer[0]).toBe(9);
+    await new Promise((resolve) => reader.close(resolve));
+    expect(Array.from(await read(reader, 0, 2))).toEqual([9, 1]);
+  });
+});
@@ -0,0 +1,103 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+export type ChunkCacheStats = {|
+  hits: number,
+  misses: number,
+  // the number of cached entries
+  count: number,
+  // the total size of the cached entries in bytes
+  size: number,
+  maxSize: number,
+  maxCount: number,
+|};
+
+type Entry<T> = { value: T, size: number };
+
+// a least recently used cache of values keyed by chunk position
+// bounded by the total size of its values in bytes & optionally by their number - once either is
+// exceeded the least recently used values are evicted, and a value larger than the whole budget is
+// not cached at all. a cache without room for any value is disabled & doesn't count hits or misses
+export default class ChunkCache<T> {
+  _maxSize: number;
+  _maxCount: number;
+  _size: number;
+  _hits: number;
+  _misses: number;
+  // maps iterate in insertion order, so the least recently used entry is always first
+  _entries: Map<number, Entry<T>>;
+
+  constructor(maxSize: number, maxCount: number = Infinity) {
+    this._maxSize = maxSize;
+    this._maxCount = maxCount;
+    this._size = 0;
+    this._hits = 0;
+    this._misses = 0;
+    this._entries = new Map();
+  }
+
+  // returns the cached value & marks it as the most recently used
+  get(key: number): ?T {
+    if (this._isDisabled()) {
+      return undefined;
+    }
+    const entry = this._entries.get(key);
+    if (!entry) {
+      this._misses++;
+      return undefined;
+    }
+    this._hits++;
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  // caches a value, replacing any value already cached for the key
+  set(key: number, value: T, size: number) {
+    this._delete(key);
+    if (size > this._maxSize || this._isDisabled()) {
+      return;
+    }
+    this._entries.set(key, { value, size });
+    this._size += size;
+    for (const [oldestKey] of this._entries) {
+      if (this._size <= this._maxSize && this._entries.size <= this._maxCount) {
+        break;
+      }
+      this._delete(oldestKey);
+    }
+  }
+
+  clear() {
+    this._entries.clear();
+    this._size = 0;
+  }
+
+  stats(): ChunkCacheStats {
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      count: this._entries.size,
+      size: this._size,
+      maxSize: this._maxSize,
+      maxCount: this._maxCount,
+    };
+  }
+
+  _isDisabled(): boolean {
+    return this._maxSize <= 0 || this._maxCount <= 0;
+  }
+
+  _delete(key: number) {
+    const entry = this._entries.get(key);
+    if (entry) {
+      this._entries.delete(key);
+      this._size -= entry.size;
+    }
+  }
+}
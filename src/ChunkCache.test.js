@@ -0,0 +1,86 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import ChunkCache from "./ChunkCache";
+
+describe("ChunkCache", () => {
+  it("returns cached values and counts hits and misses", () => {
+    const cache = new ChunkCache(100);
+    expect(cache.get(1)).toBeUndefined();
+    cache.set(1, "one", 10);
+    expect(cache.get(1)).toBe("one");
+    expect(cache.get(1)).toBe("one");
+    expect(cache.get(2)).toBeUndefined();
+    expect(cache.stats()).toEqual({ hits: 2, misses: 2, count: 1, size: 10, maxSize: 100, maxCount: Infinity });
+  });
+
+  it("evicts the least recently used values once the size is exceeded", () => {
+    const cache = new ChunkCache(100);
+    cache.set(1, "one", 40);
+    cache.set(2, "two", 40);
+    // reading 1 makes 2 the least recently used
+    cache.get(1);
+    cache.set(3, "three", 40);
+    expect(cache.get(2)).toBeUndefined();
+    expect(cache.get(1)).toBe("one");
+    expect(cache.get(3)).toBe("three");
+    expect(cache.stats()).toMatchObject({ count: 2, size: 80 });
+
+    cache.set(4, "four", 100);
+    expect(cache.get(1)).toBeUndefined();
+    expect(cache.get(3)).toBeUndefined();
+    expect(cache.get(4)).toBe("four");
+    expect(cache.stats()).toMatchObject({ count: 1, size: 100 });
+  });
+
+  it("replaces values for the same key", () => {
+    const cache = new ChunkCache(100);
+    cache.set(1, "one", 40);
+    cache.set(1, "uno", 50);
+    expect(cache.get(1)).toBe("uno");
+    expect(cache.stats()).toMatchObject({ count: 1, size: 50 });
+  });
+
+  it("does not cache values larger than the whole cache", () => {
+    const cache = new ChunkCache(100);
+    cache.set(1, "one", 40);
+    cache.set(2, "two", 101);
+    expect(cache.get(2)).toBeUndefined();
+    expect(cache.get(1)).toBe("one");
+  });
+
+  it("evicts the least recently used values once the count is exceeded", () => {
+    const cache = new ChunkCache(Infinity, 2);
+    cache.set(1, "one", 1000);
+    cache.set(2, "two", 1000);
+    cache.get(1);
+    cache.set(3, "three", 1000);
+    expect(cache.get(2)).toBeUndefined();
+    expect(cache.get(1)).toBe("one");
+    expect(cache.get(3)).toBe("three");
+    expect(cache.stats()).toMatchObject({ count: 2, size: 2000, maxCount: 2 });
+  });
+
+  it("doesn't cache values or count hits & misses when disabled", () => {
+    [new ChunkCache(0), new ChunkCache(100, 0)].forEach((disabled) => {
+      disabled.set(1, "one", 1);
+      expect(disabled.get(1)).toBeUndefined();
+      expect(disabled.stats()).toMatchObject({ hits: 0, misses: 0, count: 0, size: 0 });
+    });
+  });
+
+  it("clears every value", () => {
+    const cache = new ChunkCache(100);
+    cache.set(1, "one", 40);
+    cache.set(2, "two", 40);
+    cache.clear();
+    expect(cache.get(1)).toBeUndefined();
+    expect(cache.get(2)).toBeUndefined();
+    expect(cache.stats()).toEqual({ hits: 0, misses: 2, count: 0, size: 0, maxSize: 100, maxCount: Infinity });
+  });
+});
@@ -0,0 +1,263 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Buffer } from "buffer";
+import ChunkCache from "./ChunkCache";
+import type { Callback } from "./types";
+
+export type HttpRequestOptions = {|
+  method: "HEAD" | "GET",
+  headers: { [name: string]: string },
+  // the milliseconds to wait for the server to send data before the request fails
+  timeout: number,
+|};
+
+export type HttpResponse = {|
+  status: number,
+  // header names are lowercase
+  headers: { [name: string]: string },
+  body: Buffer,
+|};
+
+export type HttpReaderOptions = {|
+  // headers sent with every request, e.g. for authorization
+  headers?: { [name: string]: string },
+  // the size in bytes of the blocks which are requested & cached, 64KB by default
+  blockSize?: number,
+  // the total size in bytes of the cached blocks, 16MB by default
+  cacheSize?: number,
+  // how many times a request is retried after a network error or a 429 or 5xx response, 3 by default
+  retries?: number,
+  // the delay in milliseconds before the first retry, doubled for each following retry, 250 by default
+  retryDelay?: number,
+  // how many milliseconds a request waits for the server to send data before it fails & is retried, 30s by default
+  timeout?: number,
+|};
+
+export function isHttpUrl(value: string): boolean {
+  return /^https?:\/\//i.test(value);
+}
+
+// reader for files served over http(s), which must support range requests
+// the size of the file is read with a HEAD request before the first read. files are read
+// in blocks which are kept in a least recently used cache, and the missing blocks of all
+// reads made in the same tick are requested together, one request per contiguous range
+export default class HttpReader {
+  _url: string;
+  _headers: { [name: string]: string };
+  _blockSize: number;
+  _retries: number;
+  _retryDelay: number;
+  _timeout: number;
+  _size: number;
+  _opened: boolean;
+  _openCallbacks: ?Array<(error: ?Error) => void>;
+  _cache: ChunkCache<Buffer>;
+  // callbacks waiting on blocks which have been requested, by block index
+  _pending: Map<number, Array<Callback<Buffer>>>;
+  // blocks to request on the next flush
+  _queued: number[];
+
+  constructor(url: string, options?: HttpReaderOptions) {
+    const {
+      headers = {},
+      blockSize = 64 * 1024,
+      cacheSize = 16 * 1024 * 1024,
+      retries = 3,
+      retryDelay = 250,
+      timeout = 30 * 1000,
+    } = options || {};
+    this._url = url;
+    this._headers = headers;
+    this._blockSize = blockSize;
+    this._retries = retries;
+    this._retryDelay = retryDelay;
+    this._timeout = timeout;
+    this._size = 0;
+    this._opened = false;
+    this._openCallbacks = undefined;
+    this._cache = new ChunkCache(cacheSize);
+    this._pending = new Map();
+    this._queued = [];
+  }
+
+  // sends a single request - overridden by the node & web versions, which call back with an error
+  // when the request times out, so it's retried like other network errors
+  // eslint-disable-next-line no-unused-vars
+  _request(url: string, options: HttpRequestOptions, callback: Callback<HttpResponse>): void {
+    throw new Error(
+      "This method should have been overridden based on the environment. Make sure you are correctly importing the node or web version of Bag."
+    );
+  }
+
+  // sends a request, retrying after network errors & transient error responses
+  _send(options: HttpRequestOptions, callback: Callback<HttpResponse>, attempt: number = 0): void {
+    this._request(this._url, options, (error: Error | null, response?: HttpResponse) => {
+      const transient = !response || response.status === 429 || response.status >= 500;
+      if (transient && attempt < this._retries) {
+        setTimeout(() => this._send(options, callback, attempt + 1), this._retryDelay * 2 ** attempt);
+        return;
+      }
+      if (error || !response) {
+        callback(error || new Error(`Request for ${this._url} failed.`));
+        return;
+      }
+      // redirects are followed by the environment's transport, so one which reaches here wasn't followed
+      if (response.status >= 300 && response.status < 400) {
+        callback(
+          new Error(`Request for ${this._url} was redirected with status ${response.status}, which wasn't followed.`)
+        );
+        return;
+      }
+      if (response.status < 200 || response.status >= 300) {
+        callback(new Error(`Request for ${this._url} failed with status ${response.status}.`));
+        return;
+      }
+      callback(null, response);
+    });
+  }
+
+  // read the size of the file, queueing callers while the request is in flight
+  _open(cb: (error: ?Error) => void): void {
+    if (this._openCallbacks) {
+      this._openCallbacks.push(cb);
+      return;
+    }
+    const callbacks = [cb];
+    this._openCallbacks = callbacks;
+    const done = (error: ?Error) => {
+      this._openCallbacks = undefined;
+      callbacks.forEach((callback) => callback(error));
+    };
+
+    this._send(
+      { method: "HEAD", headers: this._headers, timeout: this._timeout },
+      (error: Error | null, response?: HttpResponse) => {
+        if (error || !response) {
+          return done(error);
+        }
+        const size = parseInt(response.headers["content-length"], 10);
+        if (!Number.isFinite(size)) {
+          return done(new Error(`Couldn't read the size of ${this._url}, the response has no Content-Length header.`));
+        }
+        this._size = size;
+        this._opened = true;
+        return done(null);
+      }
+    );
+  }
+
+  // read length (bytes) starting from offset (bytes)
+  // callback(err, buffer)
+  read(offset: number, length: number, cb: Callback<Buffer>): void {
+    if (!this._opened) {
+      return this._open((err) => {
+        return err ? cb(err) : this.read(offset, length, cb);
+      });
+    }
+    const end = Math.min(offset + length, this._size);
+    if (end <= offset) {
+      setImmediate(cb, null, Buffer.alloc(0));
+      return undefined;
+    }
+    const first = Math.floor(offset / this._blockSize);
+    const last = Math.floor((end - 1) / this._blockSize);
+    const blocks = [];
+    let remaining = last - first + 1;
+    let failed = false;
+    for (let index = first; index <= last; index++) {
+      this._readBlock(index, (err: Error | null, block?: Buffer) => {
+        if (failed) {
+          return;
+        }
+        if (err || !block) {
+          failed = true;
+          cb(err || new Error(`Missing block ${index} of ${this._url}.`));
+          return;
+        }
+        blocks[index - first] = block;
+        remaining--;
+        if (remaining === 0) {
+          // concat copies the blocks, so every read gets its own buffer
+          const start = offset - first * this._blockSize;
+          cb(null, Buffer.concat(blocks).slice(start, start + end - offset));
+        }
+      });
+    }
+    return undefined;
+  }
+
+  _readBlock(index: number, cb: Callback<Buffer>): void {
+    const block = this._cache.get(index);
+    if (block) {
+      setImmediate(cb, null, block);
+      return;
+    }
+    const pending = this._pending.get(index);
+    if (pending) {
+      pending.push(cb);
+      return;
+    }
+    this._pending.set(index, [cb]);
+    if (this._queued.length === 0) {
+      setImmediate(() => this._flush());
+    }
+    this._queued.push(index);
+  }
+
+  // request the queued blocks, one request per contiguous range of blocks
+  _flush(): void {
+    const queued = this._queued.sort((a, b) => a - b);
+    this._queued = [];
+    let first = queued[0];
+    queued.forEach((index, i) => {
+      if (i === queued.length - 1 || queued[i + 1] !== index + 1) {
+        this._requestBlocks(first, index);
+        first = queued[i + 1];
+      }
+    });
+  }
+
+  _requestBlocks(first: number, last: number): void {
+    const start = first * this._blockSize;
+    const end = Math.min((last + 1) * this._blockSize, this._size);
+    const headers = { ...this._headers, Range: `bytes=${start}-${end - 1}` };
+    this._send({ method: "GET", headers, timeout: this._timeout }, (error: Error | null, response?: HttpResponse) => {
+      let err = error;
+      if (!err && response && response.status !== 206) {
+        err = new Error(`Expected a partial response from ${this._url}, the server must support range requests.`);
+      } else if (!err && response && response.body.length !== end - start) {
+        err = new Error(`Expected ${end - start} bytes from ${this._url}, received ${response.body.length}.`);
+      }
+      for (let index = first; index <= last; index++) {
+        const callbacks = this._pending.get(index) || [];
+        this._pending.delete(index);
+        if (err || !response) {
+          const blockError = err || new Error(`Request for ${this._url} failed.`);
+          callbacks.forEach((callback) => callback(blockError));
+        } else {
+          const offset = (index - first) * this._blockSize;
+          const block = response.body.slice(offset, offset + this._blockSize);
+          this._cache.set(index, block, block.length);
+          callbacks.forEach((callback) => callback(null, block));
+        }
+      }
+    });
+  }
+
+  // return the size of the file
+  size() {
+    return this._size;
+  }
+
+  // drops the cached blocks - later reads request them again
+  close(cb: (error: ?Error) => void) {
+    this._cache.clear();
+    setImmediate(cb, null);
+  }
+}
@@ -0,0 +1,192 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import HttpReader, { isHttpUrl, type HttpReaderOptions } from "./HttpReader";
+
+const file = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+
+// serves the file, answering the requests with the responses returned by respond first
+function createReader(options?: HttpReaderOptions, respond?: (request: any) => ?any) {
+  const reader = new HttpReader("http://localhost/test.bag", { blockSize: 100, retryDelay: 0, ...options });
+  const requests = [];
+  // $FlowFixMe - replaces the environment's transport
+  reader._request = jest.fn((url, { method, headers }, cb) => {
+    const request = { method, range: headers.Range };
+    requests.push(request);
+    const response = respond && respond(request);
+    if (response) {
+      setImmediate(() => (response instanceof Error ? cb(response) : cb(null, response)));
+      return;
+    }
+    if (method === "HEAD") {
+      setImmediate(cb, null, {
+        status: 200,
+        headers: { "content-length": String(file.length) },
+        body: Buffer.alloc(0),
+      });
+      return;
+    }
+    const [start, end] = headers.Range.slice("bytes=".length).split("-");
+    setImmediate(cb, null, { status: 206, headers: {}, body: file.slice(+start, +end + 1) });
+  });
+  return { reader, requests };
+}
+
+function read(reader: HttpReader, offset: number, length: number): Promise<Buffer> {
+  return new Promise((resolve, reject) =>
+    reader.read(offset, length, (err, buffer) => (err || !buffer ? reject(err) : resolve(buffer)))
+  );
+}
+
+describe("HttpReader", () => {
+  it("recognizes http urls", () => {
+    expect(isHttpUrl("http://example.com/a.bag")).toBe(true);
+    expect(isHttpUrl("HTTPS://example.com/a.bag")).toBe(true);
+    expect(isHttpUrl("/data/http/a.bag")).toBe(false);
+  });
+
+  it("reads the size with a HEAD request before the first read", async () => {
+    const { reader, requests } = createReader();
+    expect(reader.size()).toBe(0);
+    expect(await read(reader, 150, 100)).toEqual(file.slice(150, 250));
+    expect(reader.size()).toBe(1000);
+    expect(requests).toEqual([{ method: "HEAD", range: undefined }, { method: "GET", range: "bytes=100-299" }]);
+  });
+
+  it("requests the missing blocks of reads in the same tick together", async () => {
+    const { reader, requests } = createReader();
+    await read(reader, 0, 1);
+    requests.length = 0;
+    const results = await Promise.all([read(reader, 120, 10), read(reader, 210, 10), read(reader, 500, 10)]);
+    expect(results).toEqual([file.slice(120, 130), file.slice(210, 220), file.slice(500, 510)]);
+    expect(requests).toEqual([{ method: "GET", range: "bytes=100-299" }, { method: "GET", range: "bytes=500-599" }]);
+  });
+
+  it("serves reads from the block cache", async () => {
+    const { reader, requests } = createReader({ cacheSize: 200 });
+    await read(reader, 0, 200);
+    requests.length = 0;
+    expect(await read(reader, 50, 100)).toEqual(file.slice(50, 150));
+    expect(requests).toEqual([]);
+
+    // the least recently used blocks are evicted once the cache is full
+    await read(reader, 900, 100);
+    expect(await read(reader, 150, 10)).toEqual(file.slice(150, 160));
+    expect(await read(reader, 50, 10)).toEqual(file.slice(50, 60));
+    expect(requests).toEqual([{ method: "GET", range: "bytes=900-999" }, { method: "GET", range: "bytes=0-99" }]);
+  });
+
+  it("shares requests for blocks which are already being requested", async () => {
+    const { reader, requests } = createReader();
+    await read(reader, 0, 1);
+    requests.length = 0;
+    const first = read(reader, 100, 100);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(await Promise.all([first, read(reader, 150, 100)])).toEqual([file.slice(100, 200), file.slice(150, 250)]);
+    expect(requests).toEqual([{ method: "GET", range: "bytes=100-199" }, { method: "GET", range: "bytes=200-299" }]);
+  });
+
+  it("doesn't share buffers between reads", async () => {
+    const { reader } = createReader();
+    const first = await read(reader, 0, 10);
+    first.fill(0);
+    expect(await read(reader, 0, 10)).toEqual(file.slice(0, 10));
+  });
+
+  it("stops reads at the end of the file", async () => {
+    const { reader, requests } = createReader();
+    expect(await read(reader, 950, 200)).toEqual(file.slice(950));
+    expect(await read(reader, 1000, 10)).toHaveLength(0);
+    expect(requests[1]).toEqual({ method: "GET", range: "bytes=900-999" });
+  });
+
+  it("retries network errors & transient responses", async () => {
+    let failures = 3;
+    const { reader, requests } = createReader(undefined, ({ method }) => {
+      if (method === "GET" && failures > 0) {
+        failures--;
+        return failures === 1 ? new Error("socket hang up") : { status: 503, headers: {}, body: Buffer.alloc(0) };
+      }
+      return undefined;
+    });
+    expect(await read(reader, 0, 10)).toEqual(file.slice(0, 10));
+    expect(requests).toHaveLength(5);
+  });
+
+  it("gives up after the configured number of retries", async () => {
+    const { reader, requests } = createReader(
+      { retries: 1 },
+      ({ method }) => (method === "GET" ? { status: 502, headers: {}, body: Buffer.alloc(0) } : undefined)
+    );
+    await expect(read(reader, 0, 10)).rejects.toThrow("Request for http://localhost/test.bag failed with status 502.");
+    expect(requests).toHaveLength(3);
+
+    // the failed blocks are requested again by later reads
+    await expect(read(reader, 0, 10)).rejects.toThrow("failed with status 502.");
+    expect(requests).toHaveLength(5);
+  });
+
+  it("doesn't retry other error responses", async () => {
+    const { reader, requests } = createReader(undefined, () => ({ status: 404, headers: {}, body: Buffer.alloc(0) }));
+    await expect(read(reader, 0, 10)).rejects.toThrow("Request for http://localhost/test.bag failed with status 404.");
+    expect(requests).toHaveLength(1);
+  });
+
+  it("rejects redirects which weren't followed", async () => {
+    const { reader, requests } = createReader(undefined, () => ({
+      status: 302,
+      headers: { location: "http://localhost/other.bag" },
+      body: Buffer.alloc(0),
+    }));
+    await expect(read(reader, 0, 10)).rejects.toThrow(
+      "Request for http://localhost/test.bag was redirected with status 302, which wasn't followed."
+    );
+    expect(requests).toHaveLength(1);
+  });
+
+  it("sends requests with the configured timeout", async () => {
+    const { reader } = createReader();
+    await read(reader, 0, 10);
+    expect(reader._request.mock.calls.map(([, { timeout }]) => timeout)).toEqual([30000, 30000]);
+
+    const configured = createReader({ timeout: 500 }).reader;
+    await read(configured, 0, 10);
+    expect(configured._request.mock.calls.map(([, { timeout }]) => timeout)).toEqual([500, 500]);
+  });
+
+  it("retries requests which timed out", async () => {
+    let timeouts = 2;
+    const { reader, requests } = createReader(undefined, ({ method }) => {
+      if (method === "GET" && timeouts > 0) {
+        timeouts--;
+        return new Error("Request for http://localhost/test.bag timed out after 30000ms.");
+      }
+      return undefined;
+    });
+    expect(await read(reader, 0, 10)).toEqual(file.slice(0, 10));
+    expect(requests).toHaveLength(4);
+  });
+
+  it("requires a content length & range requests", async () => {
+    const noLength = createReader(undefined, () => ({ status: 200, headers: {}, body: Buffer.alloc(0) })).reader;
+    await expect(read(noLength, 0, 10)).rejects.toThrow("the response has no Content-Length header.");
+
+    const noRanges = createReader(
+      undefined,
+      ({ method }) => (method === "GET" ? { status: 200, headers: {}, body: file } : undefined)
+    ).reader;
+    await expect(read(noRanges, 0, 10)).rejects.toThrow("the server must support range requests.");
+  });
+
+  it("sends the configured headers with every request", async () => {
+    const { reader } = createReader({ headers: { Authorization: "Bearer token" } });
+    await read(reader, 0, 10);
+    const calls = reader._request.mock.calls.map(([, { headers }]) => headers);
+    expect(calls).toEqual([{ Authorization: "Bearer token" }, { Authorization: "Bearer token", Range: "bytes=0-99" }]);
+  });
+});
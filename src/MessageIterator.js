@@ -0,0 +1,93 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+// reads the next batch of values, resolving with undefined when there are no more
+export type ReadBatch<T> = () => Promise<?Array<T>>;
+
+type Result<T> = { done: true, value: void } | { done: false, value: T };
+
+const DONE: { done: true, value: void } = { done: true, value: undefined };
+
+// an async iterator over values which are read in batches as the consumer pulls them
+// see `bag.messageIterator` - a batch is only read once the previous one is consumed,
+// and once the iterator is returned or thrown from (e.g. by breaking out of a
+// `for await` loop) no further batches are read
+export default class MessageIterator<T> {
+  _readBatch: ReadBatch<T>;
+  _batch: Array<T>;
+  _index: number;
+  _done: boolean;
+  _pending: Promise<mixed>;
+
+  constructor(readBatch: ReadBatch<T>) {
+    this._readBatch = readBatch;
+    this._batch = [];
+    this._index = 0;
+    this._done = false;
+    this._pending = Promise.resolve();
+  }
+
+  // calls to next are queued so concurrent callers receive values in order
+  next(): Promise<Result<T>> {
+    const result = this._pending.then(() => this._next());
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  return(): Promise<Result<T>> {
+    this._finish();
+    return Promise.resolve(DONE);
+  }
+
+  throw(error: Error): Promise<Result<T>> {
+    this._finish();
+    return Promise.reject(error);
+  }
+
+  async _next(): Promise<Result<T>> {
+    while (this._index >= this._batch.length) {
+      if (this._done) {
+        return DONE;
+      }
+      let batch;
+      try {
+        batch = await this._readBatch();
+      } catch (error) {
+        this._finish();
+        throw error;
+      }
+      // the iterator may have been returned while the batch was being read
+      if (this._done) {
+        return DONE;
+      }
+      if (!batch) {
+        this._finish();
+        return DONE;
+      }
+      this._batch = batch;
+      this._index = 0;
+    }
+    return { done: false, value: this._batch[this._index++] };
+  }
+
+  _finish() {
+    this._done = true;
+    this._batch = [];
+    this._index = 0;
+  }
+}
+
+// older runtimes don't define Symbol.asyncIterator, fall back to the registered
+// symbol which is what most polyfills & transpilers use in that case
+// $FlowFixMe - flow doesn't know about Symbol.asyncIterator
+const asyncIterator = Symbol.asyncIterator || Symbol.for("Symbol.asyncIterator");
+
+// $FlowFixMe - flow doesn't support symbol keyed methods
+MessageIterator.prototype[asyncIterator] = function() {
+  return this;
+};
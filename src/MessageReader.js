@@ -8,22 +8,35 @@
 
 import int53 from "int53";
 import { extractTime } from "./fields";
-import { parseMessageDefinition, type RosMsgDefinition, type NamedRosMsgDefinition } from "./parseMessageDefinition";
-
-type TypedArrayConstructor = (
-  buffer: ArrayBuffer,
-  byteOffset: number,
-  length: number
-) =>
-  | Int8Array
-  | Uint8Array
-  | Int16Array
-  | Uint16Array
-  | Int32Array
-  | Uint32Array
-  | Uint8ClampedArray
-  | Float32Array
-  | Float64Array;
+import {
+  parseMessageDefinition,
+  type RosMsgDefinition,
+  type RosMsgField,
+  type NamedRosMsgDefinition,
+} from "./parseMessageDefinition";
+
+export type MessageReaderOptions = {|
+  // the paths of the fields to parse, e.g. ["header.stamp", "width"] - the other fields are skipped
+  // a path through an array of complex types applies to every element, e.g. "points.x"
+  fields?: string[],
+  // reads arrays of numeric types as typed arrays, e.g. float64[] as a Float64Array, instead of plain arrays
+  // uint8[] & int8[] are always typed arrays, and int64[] & uint64[] are always plain arrays of numbers
+  typedArrays?: boolean,
+|};
+
+// the requested fields by name - true marks a field which is parsed whole
+type FieldTree = { [name: string]: FieldTree | true };
+
+type TypedArrayConstructor =
+  | Class<Int8Array>
+  | Class<Uint8Array>
+  | Class<Int16Array>
+  | Class<Uint16Array>
+  | Class<Int32Array>
+  | Class<Uint32Array>
+  | Class<Uint8ClampedArray>
+  | Class<Float32Array>
+  | Class<Float64Array>;
 
 // this has hard-coded buffer reading functions for each
 // of the standard message types http://docs.ros.org/api/std_msgs/html/index-msg.html
@@ -69,12 +82,22 @@ class StandardTypeReader {
     return this.view.getUint8(this.offset++);
   }
 
+  // the array is a view of the buffer, unless its offset isn't a multiple of the element size -
+  // typed arrays can't be unaligned, so those are copied. typed arrays use the byte order of the
+  // platform, which is little endian like ROS messages on the platforms node & browsers run on
   typedArray(len: ?number, arrayType: TypedArrayConstructor) {
     const arrayLength = len == null ? this.uint32() : len;
-    const data = new arrayType(this.view.buffer, this.offset + this.view.byteOffset, arrayLength);
-    this.offset += arrayLength;
-
-    return data;
+    const byteOffset = this.offset + this.view.byteOffset;
+    const byteLength = arrayLength * arrayType.BYTES_PER_ELEMENT;
+    // slice would quietly cut a copy short, so check the length like the typed array constructor does
+    if (byteOffset + byteLength > this.view.byteOffset + this.view.byteLength) {
+      throw new RangeError(`Invalid typed array length: ${arrayLength}`);
+    }
+    this.offset += byteLength;
+    if (byteOffset % arrayType.BYTES_PER_ELEMENT !== 0) {
+      return new arrayType(this.view.buffer.slice(byteOffset, byteOffset + byteLength));
+    }
+    return new arrayType(this.view.buffer, byteOffset, arrayLength);
   }
 
   int16() {
@@ -136,6 +159,11 @@ class StandardTypeReader {
     this.offset += 8;
     return extractTime(this.buffer, offset);
   }
+
+  // advances past bytes which aren't read, e.g. reader.skip(reader.uint32()) skips a string
+  skip(length: number) {
+    this.offset += length;
+  }
 }
 
 const findTypeByName = (types: RosMsgDefinition[], name = ""): NamedRosMsgDefinition => {
@@ -161,9 +189,60 @@ const findTypeByName = (types: RosMsgDefinition[], name = ""): NamedRosMsgDefini
   return { ...matches[0], name: foundName };
 };
 
-const constructorBody = (type: $ReadOnly<RosMsgDefinition>) => {
+// the sizes in bytes of the primitive types - strings are prefixed with their length instead
+const primitiveSizes: { [type: string]: number } = {
+  bool: 1,
+  int8: 1,
+  uint8: 1,
+  int16: 2,
+  uint16: 2,
+  int32: 4,
+  uint32: 4,
+  float32: 4,
+  float64: 8,
+  int64: 8,
+  uint64: 8,
+  time: 8,
+  duration: 8,
+};
+
+// the typed arrays which arrays of numeric types are read as
+const typedArrayTypes: { [type: string]: string } = {
+  int8: "Int8Array",
+  uint8: "Uint8Array",
+  int16: "Int16Array",
+  uint16: "Uint16Array",
+  int32: "Int32Array",
+  uint32: "Uint32Array",
+  float32: "Float32Array",
+  float64: "Float64Array",
+};
+
+// builds the tree of requested fields, checking every path exists in the message definition
+const createFieldTree = (types: RosMsgDefinition[], fields: string[]): FieldTree => {
+  const root: FieldTree = {};
+  fields.forEach((path) => {
+    let tree: FieldTree | true = root;
+    let type = findTypeByName(types);
+    path.split(".").forEach((name, i, names) => {
+      const def = type && type.definitions.find((field) => !field.isConstant && field.name === name);
+      if (!def) {
+        throw new Error(`Field ${path} does not exist in the message definition.`);
+      }
+      type = def.isComplex ? findTypeByName(types, def.type) : undefined;
+      // nothing to add when a parent field is already parsed whole
+      if (tree !== true) {
+        tree[name] = i === names.length - 1 ? true : tree[name] || {};
+        tree = tree[name];
+      }
+    });
+  });
+  return root;
+};
+
+const constructorBody = (type: $ReadOnly<RosMsgDefinition>, fieldTree?: FieldTree) => {
   return type.definitions
-    .filter((def) => !def.isConstant)
+    .filter((def) => !def.isConstant && (!fieldTree || fieldTree[def.name]))
     .map((def) => {
       return `this.${def.name} = undefined`;
     })
@@ -172,7 +251,8 @@ const constructorBody = (type: $ReadOnly<RosMsgDefinition>) => {
 
 const friendlyName = (name: string) => name.replace("/", "_");
 
-const createParser = (types: RosMsgDefinition[]) => {
+const createParser = (types: RosMsgDefinition[], options?: MessageReaderOptions) => {
+  const { fields, typedArrays = false } = options || {};
   const unnamedTypes = types.filter((type) => !type.name);
   if (unnamedTypes.length !== 1) {
     throw new Error("multiple unnamed types");
@@ -181,10 +261,11 @@ const createParser = (types: RosMsgDefinition[]) => {
   const [unnamedType] = unnamedTypes;
 
   const namedTypes: NamedRosMsgDefinition[] = (types.filter((type) => !!type.name): any[]);
+  const fieldTree = fields ? createFieldTree(types, fields) : undefined;
 
   let js = `
   var Record = function () {
-    ${constructorBody(unnamedType)}
+    ${constructorBody(unnamedType, fieldTree)}
   };\n`;
 
   namedTypes.forEach((t) => {
@@ -194,16 +275,97 @@ Record.${friendlyName(t.name)} = function() {
 };\n`;
   });
 
+  // records which only have some of the fields of their type get a constructor of their own
+  let projectedRecords = "";
+  let projectedCount = 0;
+  const getRecordName = (type: NamedRosMsgDefinition, tree?: FieldTree) => {
+    if (!tree) {
+      return friendlyName(type.name);
+    }
+    const name = `${friendlyName(type.name)}_${++projectedCount}`;
+    projectedRecords += `
+Record.${name} = function() {
+  ${constructorBody(type, tree)}
+};\n`;
+    return name;
+  };
+
+  // the size in bytes of a field, or undefined if it contains strings or variable length arrays
+  // getElementSize is the size of a single element of array fields
+  const getElementSize = (def: RosMsgField): ?number => {
+    if (!def.isComplex) {
+      return primitiveSizes[def.type];
+    }
+    let size = 0;
+    for (const field of findTypeByName(types, def.type).definitions) {
+      const fieldSize = field.isConstant ? 0 : getFieldSize(field);
+      if (fieldSize == null) {
+        return undefined;
+      }
+      size += fieldSize;
+    }
+    return size;
+  };
+  const getFieldSize = (def: RosMsgField): ?number => {
+    const size = getElementSize(def);
+    if (!def.isArray || size == null) {
+      return size;
+    }
+    return def.arrayLength == null ? undefined : def.arrayLength * size;
+  };
+
   let stack = 0;
-  const getReaderLines = (type: RosMsgDefinition | NamedRosMsgDefinition, fieldName = "record") => {
+  // advances the reader past a field without reading it
+  const getSkipLines = (def: RosMsgField): string[] => {
+    const size = getFieldSize(def);
+    if (size != null) {
+      return [`reader.skip(${size});`];
+    }
+    const skipElement = () => {
+      if (!def.isComplex) {
+        // only strings have no fixed size
+        return ["reader.skip(reader.uint32());"];
+      }
+      const fieldLines = findTypeByName(types, def.type)
+        .definitions.filter((field) => !field.isConstant)
+        .map((field) => getSkipLines(field));
+      return [].concat(...fieldLines);
+    };
+    if (!def.isArray) {
+      return skipElement();
+    }
+    const elementSize = getElementSize(def);
+    const length = def.arrayLength ? def.arrayLength : "reader.uint32()";
+    if (elementSize != null) {
+      return [`reader.skip(${length} * ${elementSize});`];
+    }
+    stack++;
+    const lenField = `length_${stack}`;
+    const incName = `skip_inc_${stack}`;
+    return [
+      `var ${lenField} = ${length};`,
+      `for (var ${incName} = 0; ${incName} < ${lenField}; ${incName}++) {`,
+      ...skipElement(),
+      "}",
+    ];
+  };
+
+  const getReaderLines = (type: RosMsgDefinition | NamedRosMsgDefinition, fieldName = "record", tree?: FieldTree) => {
     let readerLines: string[] = [];
     type.definitions.forEach((def) => {
       if (def.isConstant) {
         return;
       }
+      const subtree = tree ? tree[def.name] : true;
+      if (!subtree) {
+        readerLines = readerLines.concat(getSkipLines(def));
+        return;
+      }
+      // the requested fields of a complex field, undefined if it's parsed whole
+      const childTree = subtree === true ? undefined : subtree;
       if (def.isArray) {
-        if (def.type === "uint8" || def.type === "int8") {
-          const arrayType = def.type === "uint8" ? "Uint8Array" : "Int8Array";
+        if (def.type === "uint8" || def.type === "int8" || (typedArrays && typedArrayTypes[def.type])) {
+          const arrayType = typedArrayTypes[def.type];
           readerLines.push(`${fieldName}.${def.name} = reader.typedArray(${String(def.arrayLength)}, ${arrayType});`);
           return;
         }
@@ -233,9 +395,9 @@ Record.${friendlyName(t.name)} = function() {
         // if the sub type is complex we need to allocate it and parse its values
         if (def.isComplex) {
           const defType = findTypeByName(types, def.type);
-          readerLines.push(`var ${childName} = new Record.${friendlyName(defType.name)}();`);
+          readerLines.push(`var ${childName} = new Record.${getRecordName(defType, childTree)}();`);
           // recursively generate the parse instructions for the sub-type
-          readerLines = readerLines.concat(getReaderLines(defType, `${childName}`));
+          readerLines = readerLines.concat(getReaderLines(defType, `${childName}`, childTree));
           readerLines.push(`${arrayName}[${incName}] = ${childName}`);
         } else {
           // if the subtype is not complex its a simple low-level reader operation
@@ -244,8 +406,8 @@ Record.${friendlyName(t.name)} = function() {
         readerLines.push("}"); // close the for-loop
       } else if (def.isComplex) {
         const defType = findTypeByName(types, def.type);
-        readerLines.push(`${fieldName}.${def.name} = new Record.${friendlyName(defType.name)}();`);
-        readerLines = readerLines.concat(getReaderLines(defType, `${fieldName}.${def.name}`));
+        readerLines.push(`${fieldName}.${def.name} = new Record.${getRecordName(defType, childTree)}();`);
+        readerLines = readerLines.concat(getReaderLines(defType, `${fieldName}.${def.name}`, childTree));
       } else {
         readerLines.push(`${fieldName}.${def.name} = reader.${def.type}();`);
       }
@@ -253,7 +415,8 @@ Record.${friendlyName(t.name)} = function() {
     return readerLines;
   };
 
-  const lines = getReaderLines(unnamedType).join("\n");
+  const lines = getReaderLines(unnamedType, "record", fieldTree).join("\n");
+  js += projectedRecords;
   const readerFn = `
   return function read(reader) {
     var record = new Record();
@@ -283,9 +446,10 @@ export class MessageReader {
   // takes a multi-line string message definition and returns
   // a message reader which can be used to read messages based
   // on the message definition
-  constructor(messageDefinition: string) {
+  // with the fields option only those fields are parsed, and the rest of the message is skipped
+  constructor(messageDefinition: string, options?: MessageReaderOptions) {
     const definitions = parseMessageDefinition(messageDefinition);
-    this.reader = createParser(definitions);
+    this.reader = createParser(definitions, options);
   }
 
   readMessage(buffer: Buffer) {
@@ -7,6 +7,7 @@
 // @flow
 
 import { MessageReader } from "./MessageReader";
+import { MessageWriter } from "./MessageWriter";
 
 const getStringBuffer = (str: string) => {
   const data = new Buffer(str, "utf8");
@@ -212,6 +213,74 @@ describe("MessageReader", () => {
         expect(second[0]).toBe(3);
         expect(second[1]).toBe(4);
       });
+
+      describe("typedArrays option", () => {
+        // writes the message into a buffer which starts at an offset of its ArrayBuffer
+        const writeMessage = (def: string, message: any, byteOffset: number = 0) => {
+          const data = new MessageWriter(def).writeMessage(message);
+          const buffer = Buffer.alloc(byteOffset + data.length).slice(byteOffset);
+          data.copy(buffer);
+          return buffer;
+        };
+
+        it("reads arrays of numeric types as typed arrays", () => {
+          const def =
+            "uint32 before\nfloat64[] a\nfloat32[2] b\nint16[] c\nuint16[] d\nint32[] e\nuint32[] f\nint64[] g";
+          const message = { before: 7, a: [0.5, -2], b: [1.5, 3], c: [-3], d: [4], e: [-5, 6], f: [7], g: [-8] };
+          const buffer = writeMessage(def, message);
+          const result = new MessageReader(def, { typedArrays: true }).readMessage(buffer);
+          expect(result).toEqual({
+            before: 7,
+            a: Float64Array.from([0.5, -2]),
+            b: Float32Array.from([1.5, 3]),
+            c: Int16Array.from([-3]),
+            d: Uint16Array.from([4]),
+            e: Int32Array.from([-5, 6]),
+            f: Uint32Array.from([7]),
+            // 64 bit integers stay plain arrays of numbers
+            g: [-8],
+          });
+
+          // without the option they're plain arrays
+          expect(buildReader(def).readMessage(buffer)).toEqual(message);
+        });
+
+        it("uses the same backing buffer for aligned arrays", () => {
+          const def = "uint32 before\nfloat64[] values\nuint8 after";
+          const buffer = writeMessage(def, { before: 1, values: [1.5, 2.5], after: 3 });
+          const { values, after } = new MessageReader(def, { typedArrays: true }).readMessage(buffer);
+          expect(values).toEqual(Float64Array.from([1.5, 2.5]));
+          expect(values.buffer).toBe(buffer.buffer);
+          expect(after).toBe(3);
+        });
+
+        it("copies unaligned arrays", () => {
+          const def = "uint32 before\nfloat64[] values\nuint8 after";
+          // the values are at an offset of 8 in the message, which is unaligned in the ArrayBuffer
+          const buffer = writeMessage(def, { before: 1, values: [1.5, 2.5], after: 3 }, 1);
+          const { values, after } = new MessageReader(def, { typedArrays: true }).readMessage(buffer);
+          expect(values).toEqual(Float64Array.from([1.5, 2.5]));
+          expect(values.buffer).not.toBe(buffer.buffer);
+          expect(after).toBe(3);
+
+          const unaligned = writeMessage("uint8 before\nint32[2] values", { before: 1, values: [-1, 2] });
+          const reader = new MessageReader("uint8 before\nint32[2] values", { typedArrays: true });
+          expect(reader.readMessage(unaligned).values).toEqual(Int32Array.from([-1, 2]));
+        });
+
+        it("throws for arrays which run past the end of the buffer", () => {
+          const def = "uint8 before\nfloat64[] values";
+          const reader = new MessageReader(def, { typedArrays: true });
+          const tooLong = (byteOffset: number) => {
+            const buffer = writeMessage(def, { before: 1, values: [1.5, 2.5] }, byteOffset);
+            buffer.writeUInt32LE(3, 1);
+            return buffer;
+          };
+          // the values are unaligned & copied at an offset of 5, and aligned at an offset of 3
+          expect(() => reader.readMessage(tooLong(0))).toThrow(RangeError);
+          expect(() => reader.readMessage(tooLong(3))).toThrow(RangeError);
+        });
+      });
     });
   });
 
@@ -399,4 +468,70 @@ describe("MessageReader", () => {
       expect(Object.keys(message).some((key) => key === "STALE")).toBe(false);
     });
   });
+
+  describe("fields", () => {
+    const definition = `
+      Header header
+      string[] names
+      Point[2] corners
+      Cell[] cells
+      uint8[] data
+      uint32 width
+      ================
+      MSG: std_msgs/Header
+      uint32 seq
+      time stamp
+      string frame_id
+      ================
+      MSG: geometry_msgs/Point
+      float64 x
+      float64 y
+      float64 z
+      ================
+      MSG: custom/Cell
+      string label
+      int32[] values
+      Point[] points
+    `;
+    const point = (x: number) => ({ x, y: x + 1, z: x + 2 });
+    const message = {
+      header: { seq: 3, stamp: { sec: 10, nsec: 20 }, frame_id: "base" },
+      names: ["a", "bc"],
+      corners: [point(1), point(2)],
+      cells: [
+        { label: "first", values: [1, 2, 3], points: [point(3)] },
+        { label: "", values: [], points: [point(4), point(5)] },
+      ],
+      data: Uint8Array.from([1, 2, 3, 4]),
+      width: 640,
+    };
+    const buffer = new MessageWriter(definition).writeMessage(message);
+    const read = (fields: string[]) => new MessageReader(definition, { fields }).readMessage(buffer);
+
+    it("parses only the requested fields", () => {
+      const result = read(["header.stamp", "width"]);
+      expect(result).toEqual({ header: { stamp: { sec: 10, nsec: 20 } }, width: 640 });
+      expect(Object.keys(result)).toEqual(["header", "width"]);
+      expect(Object.keys(result.header)).toEqual(["stamp"]);
+    });
+
+    it("skips strings & arrays of variable length", () => {
+      expect(read(["data"])).toEqual({ data: Uint8Array.from([1, 2, 3, 4]) });
+      expect(read(["cells.label", "width"])).toEqual({ cells: [{ label: "first" }, { label: "" }], width: 640 });
+      expect(read(["cells.points.x", "corners.z"])).toEqual({
+        corners: [{ z: 3 }, { z: 4 }],
+        cells: [{ points: [{ x: 3 }] }, { points: [{ x: 4 }, { x: 5 }] }],
+      });
+    });
+
+    it("parses requested complex fields whole", () => {
+      expect(read(["header", "header.stamp", "names"])).toEqual({ header: message.header, names: message.names });
+      expect(read(["cells"])).toEqual({ cells: message.cells });
+    });
+
+    it("throws for fields which don't exist", () => {
+      expect(() => read(["header.time"])).toThrow("Field header.time does not exist in the message definition.");
+      expect(() => read(["width.value"])).toThrow("Field width.value does not exist in the message definition.");
+    });
+  });
 });
@@ -0,0 +1,258 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Buffer } from "buffer";
+import int53 from "int53";
+
+import { writeTime } from "./fields";
+import { parseMessageDefinition, type RosMsgDefinition, type RosMsgField } from "./parseMessageDefinition";
+import type { Time } from "./types";
+
+// the byte width of each fixed size standard type
+const fixedSizes: { [type: string]: number } = {
+  bool: 1,
+  int8: 1,
+  uint8: 1,
+  int16: 2,
+  uint16: 2,
+  int32: 4,
+  uint32: 4,
+  float32: 4,
+  float64: 8,
+  int64: 8,
+  uint64: 8,
+  time: 8,
+  duration: 8,
+};
+
+// this has hard-coded buffer writing functions for each
+// of the standard message types - the counterpart of StandardTypeReader
+class StandardTypeWriter {
+  buffer: Buffer;
+  offset: number;
+
+  constructor(buffer: Buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  // strings are written as utf8 bytes prefixed with their byte length
+  string(value: string) {
+    const length = Buffer.byteLength(value, "utf8");
+    this.uint32(length);
+    this.buffer.write(value, this.offset, length, "utf8");
+    this.offset += length;
+  }
+
+  bool(value: boolean) {
+    this.uint8(value ? 1 : 0);
+  }
+
+  int8(value: number) {
+    this.buffer.writeInt8(value, this.offset);
+    this.offset += 1;
+  }
+
+  uint8(value: number) {
+    this.buffer.writeUInt8(value, this.offset);
+    this.offset += 1;
+  }
+
+  // copies a uint8[] or int8[] array in one go
+  byteArray(value: $ReadOnlyArray<number> | $TypedArray, arrayType: Class<Uint8Array> | Class<Int8Array>) {
+    const bytes = new Uint8Array(this.buffer.buffer, this.buffer.byteOffset + this.offset, value.length);
+    if (value instanceof arrayType) {
+      // $FlowFixMe - the instanceof check guarantees a typed array
+      bytes.set(new Uint8Array(value.buffer, value.byteOffset, value.length));
+    } else {
+      // write through a typed array of the right signedness so negative int8 values wrap
+      const view = new arrayType(bytes.buffer, bytes.byteOffset, bytes.length);
+      for (let i = 0; i < value.length; i++) {
+        view[i] = value[i];
+      }
+    }
+    this.offset += value.length;
+  }
+
+  int16(value: number) {
+    this.buffer.writeInt16LE(value, this.offset);
+    this.offset += 2;
+  }
+
+  uint16(value: number) {
+    this.buffer.writeUInt16LE(value, this.offset);
+    this.offset += 2;
+  }
+
+  int32(value: number) {
+    this.buffer.writeInt32LE(value, this.offset);
+    this.offset += 4;
+  }
+
+  uint32(value: number) {
+    this.buffer.writeUInt32LE(value, this.offset);
+    this.offset += 4;
+  }
+
+  float32(value: number) {
+    this.buffer.writeFloatLE(value, this.offset);
+    this.offset += 4;
+  }
+
+  float64(value: number) {
+    this.buffer.writeDoubleLE(value, this.offset);
+    this.offset += 8;
+  }
+
+  int64(value: number) {
+    int53.writeInt64LE(value, this.buffer, this.offset);
+    this.offset += 8;
+  }
+
+  uint64(value: number) {
+    int53.writeUInt64LE(value, this.buffer, this.offset);
+    this.offset += 8;
+  }
+
+  time(value: Time) {
+    writeTime(value, this.buffer, this.offset);
+    this.offset += 8;
+  }
+
+  // durations are signed on the wire
+  duration(value: Time) {
+    this.buffer.writeInt32LE(value.sec, this.offset);
+    this.buffer.writeInt32LE(value.nsec, this.offset + 4);
+    this.offset += 8;
+  }
+}
+
+const findTypeByName = (types: RosMsgDefinition[], name: string): RosMsgDefinition => {
+  // parseMessageDefinition resolves complex field types to fully qualified names
+  const match = types.find((type) => type.name === name);
+  if (!match) {
+    throw new Error(`Missing type definition for ${name}`);
+  }
+  return match;
+};
+
+const getFieldValue = (message: any, def: RosMsgField) => {
+  const value = message[def.name];
+  if (value == null) {
+    throw new Error(`Missing value for field ${def.name}`);
+  }
+  if (def.isArray && def.arrayLength != null && value.length !== def.arrayLength) {
+    throw new Error(`Expected ${def.arrayLength} values for field ${def.name} but found ${value.length}`);
+  }
+  return value;
+};
+
+// walks a message the same way createParser does, adding up the bytes needed to write it
+const calculateComplexSize = (types: RosMsgDefinition[], type: RosMsgDefinition, message: any): number => {
+  let size = 0;
+  type.definitions.forEach((def) => {
+    if (def.isConstant) {
+      return;
+    }
+    const value = getFieldValue(message, def);
+    const values = def.isArray ? value : [value];
+    if (def.isArray && def.arrayLength == null) {
+      size += 4;
+    }
+    if (def.isComplex) {
+      const defType = findTypeByName(types, def.type);
+      for (let i = 0; i < values.length; i++) {
+        size += calculateComplexSize(types, defType, values[i]);
+      }
+    } else if (def.type === "string") {
+      for (let i = 0; i < values.length; i++) {
+        size += 4 + Buffer.byteLength(values[i], "utf8");
+      }
+    } else {
+      size += fixedSizes[def.type] * values.length;
+    }
+  });
+  return size;
+};
+
+const writeComplexType = (
+  types: RosMsgDefinition[],
+  type: RosMsgDefinition,
+  message: any,
+  writer: StandardTypeWriter
+) => {
+  type.definitions.forEach((def) => {
+    if (def.isConstant) {
+      return;
+    }
+    const value = getFieldValue(message, def);
+    if (!def.isArray) {
+      if (def.isComplex) {
+        writeComplexType(types, findTypeByName(types, def.type), value, writer);
+      } else {
+        // $FlowFixMe - the standard type names are the method names on the writer
+        writer[def.type](value);
+      }
+      return;
+    }
+
+    if (def.arrayLength == null) {
+      writer.uint32(value.length);
+    }
+    if (def.type === "uint8" || def.type === "int8") {
+      writer.byteArray(value, def.type === "uint8" ? Uint8Array : Int8Array);
+    } else if (def.isComplex) {
+      const defType = findTypeByName(types, def.type);
+      for (let i = 0; i < value.length; i++) {
+        writeComplexType(types, defType, value[i], writer);
+      }
+    } else {
+      for (let i = 0; i < value.length; i++) {
+        // $FlowFixMe - the standard type names are the method names on the writer
+        writer[def.type](value[i]);
+      }
+    }
+  });
+};
+
+export class MessageWriter {
+  types: RosMsgDefinition[];
+  _rootType: RosMsgDefinition;
+
+  // takes a multi-line string message definition and returns
+  // a message writer which can be used to serialize plain objects
+  // into the ROS binary format based on the message definition
+  constructor(messageDefinition: string) {
+    const definitions = parseMessageDefinition(messageDefinition);
+    const unnamedTypes = definitions.filter((type) => !type.name);
+    if (unnamedTypes.length !== 1) {
+      throw new Error("multiple unnamed types");
+    }
+    this.types = definitions;
+    this._rootType = unnamedTypes[0];
+  }
+
+  // the number of bytes writeMessage will need for this message
+  // useful to preallocate a buffer to pass to writeMessage
+  calculateByteSize(message: any): number {
+    return calculateComplexSize(this.types, this._rootType, message);
+  }
+
+  // serializes the message & returns the written bytes
+  // if bufferToWrite is supplied the message is written to the start of it
+  // and a slice of it is returned, otherwise a new buffer is allocated
+  writeMessage(message: any, bufferToWrite?: Buffer): Buffer {
+    const size = this.calculateByteSize(message);
+    if (bufferToWrite && bufferToWrite.length < size) {
+      throw new Error(`Buffer of ${bufferToWrite.length} bytes is too small to write a message of ${size} bytes`);
+    }
+    const buffer = bufferToWrite ? bufferToWrite.slice(0, size) : Buffer.alloc(size);
+    writeComplexType(this.types, this._rootType, message, new StandardTypeWriter(buffer));
+    return buffer;
+  }
+}
@@ -0,0 +1,218 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import Bag from "./node";
+import { MessageReader } from "./MessageReader";
+import { MessageWriter } from "./MessageWriter";
+
+const getStringBuffer = (str: string) => {
+  const data = new Buffer(str, "utf8");
+  const len = new Buffer(4);
+  len.writeInt32LE(data.byteLength, 0);
+  return Buffer.concat([len, data]);
+};
+
+const roundTrip = (def: string, message: any) => {
+  const writer = new MessageWriter(def);
+  const buffer = writer.writeMessage(message);
+  expect(buffer).toHaveLength(writer.calculateByteSize(message));
+  return new MessageReader(def).readMessage(buffer);
+};
+
+describe("MessageWriter", () => {
+  describe("simple type", () => {
+    const testNum = (type: string, size: number, value: any) => {
+      it(`writes ${type}`, () => {
+        const writer = new MessageWriter(`${type} foo`);
+        const buffer = writer.writeMessage({ foo: value });
+        expect(buffer).toHaveLength(size);
+        expect(new MessageReader(`${type} foo`).readMessage(buffer)).toEqual({ foo: value });
+      });
+    };
+
+    testNum("int8", 1, -3);
+    testNum("uint8", 1, 13);
+    testNum("int16", 2, -21);
+    testNum("uint16", 2, 21);
+    testNum("int32", 4, -210010);
+    testNum("uint32", 4, 210010);
+    testNum("float32", 4, 5.5);
+    testNum("float64", 8, 0xdeadbeefcafebabe);
+    testNum("int64", 8, -Number.MAX_SAFE_INTEGER);
+    testNum("uint64", 8, Number.MAX_SAFE_INTEGER);
+    testNum("bool", 1, true);
+    testNum("time", 8, { sec: 1396293887, nsec: 846735850 });
+    testNum("duration", 8, { sec: 3, nsec: 500 });
+    testNum("char", 1, 65);
+    testNum("byte", 1, -1);
+
+    it("writes string", () => {
+      const writer = new MessageWriter("string name");
+      expect(writer.writeMessage({ name: "test" })).toEqual(getStringBuffer("test"));
+    });
+  });
+
+  describe("array", () => {
+    it("writes variable length string array", () => {
+      const writer = new MessageWriter("string[] names");
+      expect(writer.writeMessage({ names: ["foo", "bar", "baz"] })).toEqual(
+        Buffer.concat([
+          new Buffer([0x03, 0x00, 0x00, 0x00]),
+          getStringBuffer("foo"),
+          getStringBuffer("bar"),
+          getStringBuffer("baz"),
+        ])
+      );
+    });
+
+    it("writes fixed length arrays without a length prefix", () => {
+      const writer = new MessageWriter("string[2] names");
+      expect(writer.writeMessage({ names: ["foo", "bar"] })).toEqual(
+        Buffer.concat([getStringBuffer("foo"), getStringBuffer("bar")])
+      );
+    });
+
+    it("throws if a fixed length array has the wrong length", () => {
+      const writer = new MessageWriter("float64[9] covariance");
+      expect(() => writer.writeMessage({ covariance: [1, 2, 3] })).toThrow("Expected 9 values");
+    });
+
+    it("writes empty arrays", () => {
+      expect(roundTrip("string[] names\nint32[] values", { names: [], values: [] })).toEqual({ names: [], values: [] });
+    });
+
+    it("writes numeric arrays", () => {
+      const message = { values: [1.5, -2.25, 1e10], ids: [1, 2, 3, 4] };
+      expect(roundTrip("float64[] values\nuint16[4] ids", message)).toEqual(message);
+    });
+
+    it("writes byte arrays from typed arrays, buffers and plain arrays", () => {
+      const def = "uint8[] data\nint8[3] fixed\nuint8 after";
+      const expected = new Buffer([0x03, 0x00, 0x00, 0x00, 0x01, 0x02, 0x03, 0xff, 0x00, 0x7f, 0x04]);
+      const writer = new MessageWriter(def);
+      expect(
+        writer.writeMessage({ data: Uint8Array.from([1, 2, 3]), fixed: Int8Array.from([-1, 0, 127]), after: 4 })
+      ).toEqual(expected);
+      expect(writer.writeMessage({ data: Buffer.from([1, 2, 3]), fixed: [-1, 0, 127], after: 4 })).toEqual(expected);
+      expect(writer.writeMessage({ data: [1, 2, 3], fixed: Uint8Array.from([255, 0, 127]), after: 4 })).toEqual(
+        expected
+      );
+    });
+
+    it("writes other typed arrays element by element", () => {
+      const message = { values: Float32Array.from([0.5, 1.5]), ids: Int32Array.from([-1, 1]) };
+      expect(roundTrip("float32[] values\nint32[2] ids", message)).toEqual({ values: [0.5, 1.5], ids: [-1, 1] });
+    });
+  });
+
+  describe("complex types", () => {
+    it("writes complex type with nested arrays", () => {
+      const messageDefinition = `
+      string username
+      Account[] accounts
+      ============
+      MSG: custom_type/Account
+      string name
+      uint16 id
+      Photo[] photos
+
+      =======
+      MSG: custom_type/Photo
+      string url
+      uint8 id
+      `;
+      const message = {
+        username: "foo",
+        accounts: [
+          {
+            name: "bar",
+            id: 100,
+            photos: [{ url: "http://foo.com", id: 10 }, { url: "http://bar.com", id: 12 }],
+          },
+          { name: "baz", id: 101, photos: [] },
+        ],
+      };
+      const writer = new MessageWriter(messageDefinition);
+      expect(writer.writeMessage(message)).toEqual(
+        Buffer.concat([
+          getStringBuffer("foo"),
+          new Buffer([0x02, 0x00, 0x00, 0x00]),
+          getStringBuffer("bar"),
+          new Buffer([100, 0x00]),
+          new Buffer([0x02, 0x00, 0x00, 0x00]),
+          getStringBuffer("http://foo.com"),
+          new Buffer([10]),
+          getStringBuffer("http://bar.com"),
+          new Buffer([12]),
+          getStringBuffer("baz"),
+          new Buffer([101, 0x00]),
+          new Buffer([0x00, 0x00, 0x00, 0x00]),
+        ])
+      );
+      expect(roundTrip(messageDefinition, message)).toEqual(message);
+    });
+
+    it("ignores constants", () => {
+      const messageDefinition = `
+      byte OK=0
+      byte WARN=1
+      bool level
+      DiagnosticStatus status
+      ================================================================================
+      MSG: diagnostic_msgs/DiagnosticStatus
+      byte OK=0
+      byte level
+      string name`;
+      const message = { level: true, status: { level: 0, name: "foo" } };
+      expect(new MessageWriter(messageDefinition).writeMessage(message)).toEqual(
+        Buffer.concat([Buffer.from([0x01]), Buffer.from([0x00]), getStringBuffer("foo")])
+      );
+    });
+
+    it("throws on missing fields", () => {
+      const writer = new MessageWriter("string name\nuint16 id");
+      expect(() => writer.writeMessage({ name: "foo" })).toThrow("Missing value for field id");
+    });
+  });
+
+  describe("buffers", () => {
+    it("writes into a supplied buffer", () => {
+      const writer = new MessageWriter("string name\nuint16 id");
+      const message = { name: "foo", id: 5 };
+      const buffer = Buffer.alloc(32, 0xff);
+      const result = writer.writeMessage(message, buffer);
+      expect(result.buffer).toBe(buffer.buffer);
+      expect(result).toHaveLength(9);
+      expect(buffer[9]).toBe(0xff);
+      expect(new MessageReader("string name\nuint16 id").readMessage(result)).toEqual(message);
+    });
+
+    it("throws if the supplied buffer is too small", () => {
+      const writer = new MessageWriter("string name");
+      expect(() => writer.writeMessage({ name: "foo" }, Buffer.alloc(4))).toThrow("too small");
+    });
+  });
+
+  it("re-serializes every message in example.bag byte for byte", async () => {
+    const bag = await Bag.open(`${__dirname}/../fixtures/example.bag`);
+    const readers = {};
+    const writers = {};
+    let count = 0;
+    await bag.readMessages({ noParse: true }, ({ topic, data }) => {
+      const connection: any = Object.keys(bag.connections)
+        .map((conn) => bag.connections[+conn])
+        .find((conn) => conn.topic === topic);
+      const { messageDefinition } = connection;
+      readers[topic] = readers[topic] || new MessageReader(messageDefinition);
+      writers[topic] = writers[topic] || new MessageWriter(messageDefinition);
+      expect(writers[topic].writeMessage(readers[topic].readMessage(data))).toEqual(data);
+      count++;
+    });
+    expect(count).toBe(8647);
+  });
+});
@@ -37,4 +37,37 @@ export default class ReadResult<T> {
     // the total number of chunks in the read operation
     this.totalChunks = totalChunks;
   }
+
+  // creates a result which parses its message the first time result.message is read
+  // the getter replaces itself with the parsed message, so a message is parsed at most once
+  static lazy<T>(
+    topic: string,
+    parse: () => T,
+    timestamp: Time,
+    data: Buffer,
+    chunkOffset: number,
+    totalChunks: number
+  ): ReadResult<T> {
+    const result = new ReadResult(topic, (undefined: any), timestamp, data, chunkOffset, totalChunks);
+    const setMessage = (message: T) => {
+      Object.defineProperty(result, "message", {
+        value: message,
+        configurable: true,
+        enumerable: true,
+        writable: true,
+      });
+    };
+    // $FlowFixMe - flow expects a value even for accessor properties
+    Object.defineProperty(result, "message", {
+      configurable: true,
+      enumerable: true,
+      get() {
+        const message = parse();
+        setMessage(message);
+        return message;
+      },
+      set: setMessage,
+    });
+    return result;
+  }
 }
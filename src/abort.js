@@ -0,0 +1,50 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import type { AbortSignal } from "./types";
+
+// the error reads are rejected with when they're cancelled through an AbortSignal
+// named like the DOMException fetch rejects with, so `error.name === "AbortError"` works for both
+export class AbortError extends Error {
+  name: string;
+
+  constructor(message: string = "The read was aborted.") {
+    super(message);
+    this.name = "AbortError";
+  }
+}
+
+// runs an async operation which rejects with an AbortError as soon as the signal is aborted
+// the operation isn't started at all if the signal has already been aborted,
+// and its result is ignored if the signal is aborted while it's running
+export function abortable<T>(signal: ?AbortSignal, run: () => Promise<T>): Promise<T> {
+  if (!signal) {
+    return run();
+  }
+  if (signal.aborted) {
+    return Promise.reject(new AbortError());
+  }
+  const abortSignal = signal;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      abortSignal.removeEventListener("abort", onAbort);
+      reject(new AbortError());
+    };
+    abortSignal.addEventListener("abort", onAbort);
+    run().then(
+      (value) => {
+        abortSignal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (error) => {
+        abortSignal.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
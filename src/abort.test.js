@@ -0,0 +1,67 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { AbortError, abortable } from "./abort";
+
+// node doesn't have AbortController yet, this behaves the same way for abortable
+class FakeAbortController {
+  signal = {
+    aborted: false,
+    listeners: [],
+    addEventListener(type: "abort", listener: () => void) {
+      this.listeners.push(listener);
+    },
+    removeEventListener(type: "abort", listener: () => void) {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    },
+  };
+
+  abort() {
+    this.signal.aborted = true;
+    this.signal.listeners.forEach((listener) => listener());
+  }
+}
+
+describe("AbortError", () => {
+  it("is recognizable by class and name", () => {
+    const error = new AbortError();
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe("AbortError");
+    expect(error.message).toBe("The read was aborted.");
+  });
+});
+
+describe("abortable", () => {
+  it("resolves with the result without a signal", async () => {
+    expect(await abortable(undefined, () => Promise.resolve(1))).toBe(1);
+  });
+
+  it("does not run the operation if the signal is already aborted", async () => {
+    const controller = new FakeAbortController();
+    controller.abort();
+    const run = jest.fn(() => Promise.resolve(1));
+    await expect(abortable(controller.signal, run)).rejects.toBeInstanceOf(AbortError);
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  it("rejects as soon as the signal is aborted", async () => {
+    const controller = new FakeAbortController();
+    const result = abortable(controller.signal, () => new Promise(() => {}));
+    controller.abort();
+    await expect(result).rejects.toBeInstanceOf(AbortError);
+    expect(controller.signal.listeners).toHaveLength(0);
+  });
+
+  it("removes its listener once the operation settles", async () => {
+    const controller = new FakeAbortController();
+    expect(await abortable(controller.signal, () => Promise.resolve(1))).toBe(1);
+    await expect(abortable(controller.signal, () => Promise.reject(new Error("failed")))).rejects.toThrow("failed");
+    expect(controller.signal.listeners).toHaveLength(0);
+  });
+});
@@ -6,23 +6,167 @@
 
 // @flow
 
-import BagReader, { type Decompress } from "./BagReader";
-import { MessageReader } from "./MessageReader";
+import Heap from "heap";
+
+import { AbortError } from "./abort";
+import BagReader, { type Decompress, type RecoveryReport } from "./BagReader";
+import type { BagInfo, CompressionInfo } from "./info";
+import { addSpan, createBuckets, getBucketIndex, getBucketStartTimes } from "./histogram";
+import type { HttpReaderOptions } from "./HttpReader";
+import MessageIterator, { type ReadBatch } from "./MessageIterator";
+import { MessageReader, type MessageReaderOptions } from "./MessageReader";
 import ReadResult from "./ReadResult";
 import { BagHeader, ChunkInfo, Connection, MessageData } from "./record";
-import type { Time } from "./types";
+import type { AbortSignal, FileHandle, Time } from "./types";
 import * as TimeUtil from "./TimeUtil";
 
-import { bagConnectionsToTopics, bagConnectionsToDatatypes, bagConnectionsToMessageCount } from "./BagConnectionsHelper";
+import {
+  bagConnectionsToTopics,
+  bagConnectionsToDatatypes,
+  bagConnectionsToMessageCount,
+} from "./BagConnectionsHelper";
 
 export type ReadOptions = {|
   decompress?: Decompress,
   noParse?: boolean,
+  // parses each message the first time its result.message is read instead of before it's delivered
+  lazy?: boolean,
+  // the fields to parse by topic, e.g. { "/points": ["header.stamp", "width"] } - the other fields are
+  // skipped & left out of the message. messages on other topics are parsed whole
+  fields?: { [topic: string]: string[] },
+  // reads arrays of numeric types as typed arrays, e.g. float64[] as a Float64Array
+  typedArrays?: boolean,
+  topics?: string[],
+  startTime?: Time,
+  endTime?: Time,
+  // the number of chunks to read & decompress ahead of the chunk being delivered
+  readahead?: number,
+  // delivers the messages latest first, reading the chunks from the end of the bag
+  reverse?: boolean,
+  // cancels the read - it rejects with an AbortError & no further chunks are read
+  signal?: AbortSignal,
+|};
+
+// the options of bag.createReadStream
+export type ReadStreamOptions = {|
+  ...ReadOptions,
+  // closes the bag once the stream ends or is destroyed, true by default for bags opened from a path or url
+  autoClose?: boolean,
+|};
+
+// what a bag can be opened from - the node version reads paths, urls, file descriptors, FileHandles & memory,
+// and the web version reads Files & Blobs, urls & memory
+export type BagSource = Blob | string | number | FileHandle | ArrayBuffer | Uint8Array;
+
+export type OpenOptions = {|
+  // rebuilds the index by scanning the whole file instead of reading the index records,
+  // for bags with a missing or broken index - see BagReader.recover
+  recover?: boolean,
+  // the options of the HttpReader which reads bags opened from an http(s) url, e.g. headers for authorization
+  http?: HttpReaderOptions,
+|};
+
+export type MessageAtOptions = {|
+  // "before" finds the latest message at or before the time, "after" the earliest message at or after it,
+  // and "nearest" whichever of those two is closer to the time - the default is "before"
+  mode?: "before" | "after" | "nearest",
+  decompress?: Decompress,
+  noParse?: boolean,
+  lazy?: boolean,
+  // the fields to parse, e.g. ["header.stamp"] - the same as the fields of the topic in ReadOptions
+  fields?: string[],
+  typedArrays?: boolean,
+  signal?: AbortSignal,
+|};
+
+export type IndexReadOptions = {|
   topics?: string[],
   startTime?: Time,
   endTime?: Time,
+  signal?: AbortSignal,
+|};
+
+// a message found in the index records behind a chunk - see bag.readMessageIndex
+export type MessageIndexEntry = {|
+  topic: string,
+  conn: number,
+  time: Time,
+  // the position of the chunk record in the bag
+  chunkPosition: number,
+  // the offset of the message data record within the decompressed chunk data
+  offset: number,
 |};
 
+export type HistogramOptions = {|
+  // the topics to count messages on, all topics by default
+  topics?: string[],
+  // the time range to divide into buckets, the whole bag by default
+  startTime?: Time,
+  endTime?: Time,
+  // either the number of buckets or the duration of each bucket - exactly one is required
+  bucketCount?: number,
+  bucketDuration?: Time,
+  // counts every message from the index records behind the chunks instead of
+  // estimating the counts from the chunk infos, see bag.getMessageHistogram
+  exact?: boolean,
+  signal?: AbortSignal,
+|};
+
+export type MessageHistogram = {|
+  startTime: Time,
+  endTime: Time,
+  // the start time of each bucket - the last bucket also includes messages at endTime
+  bucketStartTimes: Time[],
+  // the number of messages in each bucket by topic
+  counts: { [topic: string]: number[] },
+  exact: boolean,
+|};
+
+export type InfoOptions = {|
+  // reads the index records behind every chunk to compute the frequency of each topic, true by default
+  frequencies?: boolean,
+  signal?: AbortSignal,
+|};
+
+// how the messages of a read are parsed - see ReadOptions
+type ParseOptions = {|
+  noParse: boolean,
+  lazy: boolean,
+  fields: ?{ [topic: string]: string[] },
+  typedArrays: boolean,
+|};
+
+// describes the reads needed to fulfill a set of ReadOptions - see bag.getReadPlan
+export type ReadPlan = {|
+  // the ids of the connections on the requested topics
+  connections: number[],
+  // the chunks which will be read, in the order they will be read
+  chunkInfos: ChunkInfo[],
+  // the number of bytes which will be read from the file
+  byteCount: number,
+  // the number of messages on the requested connections within those chunks
+  // messages outside of the requested time range are included, so this is an upper bound
+  messageCount: number,
+|};
+
+// messages per second from the median time between messages, like rosbag info
+// times are in seconds & sorted, and undefined is returned for fewer than two messages
+function medianFrequency(times: number[]): ?number {
+  if (times.length < 2) {
+    return undefined;
+  }
+  const periods = times
+    .slice(1)
+    .map((time, i) => time - times[i])
+    .sort((a, b) => a - b);
+  const middle = Math.floor(periods.length / 2);
+  const median = periods.length % 2 ? periods[middle] : (periods[middle - 1] + periods[middle]) / 2;
+  return median > 0 ? 1 / median : undefined;
+}
+
+// the messages read from a chunk & the index of the next one to release
+type ChunkMessages = { messages: MessageData[], index: number, chunkOffset: number };
+
 // the high level rosbag interface
 // create a new bag by calling:
 // `const bag = await Bag.open('./path-to-file.bag')` in node or
@@ -38,6 +182,8 @@ export default class Bag {
   chunkInfos: ChunkInfo[];
   startTime: ?Time;
   endTime: ?Time;
+  // what couldn't be recovered when the bag was opened with the recover option
+  recovery: ?RecoveryReport;
 
   // you can optionally create a bag manually passing in a bagReader instance
   constructor(bagReader: BagReader) {
@@ -45,19 +191,42 @@ export default class Bag {
   }
 
   // eslint-disable-next-line no-unused-vars
-  static open = (file: File | string) => {
+  static open = (file: BagSource, options?: OpenOptions) => {
     throw new Error(
       "This method should have been overridden based on the environment. Make sure you are correctly importing the node or web version of Bag."
     );
   };
 
+  // opens a bag, calls fn with it & closes the bag once the promise fn returns settles, even if fn throws
+  // `const info = await Bag.using('./path-to-file.bag', (bag) => bag.getInfo())`
+  static async using<T>(file: BagSource, fn: (bag: Bag) => Promise<T> | T, options?: OpenOptions): Promise<T> {
+    const bag = await Bag.open(file, options);
+    let result;
+    try {
+      result = await fn(bag);
+    } catch (error) {
+      // the error from fn is more useful than an error closing the bag
+      await bag.close().catch(() => {});
+      throw error;
+    }
+    await bag.close();
+    return result;
+  }
+
   // if the bag is manually created with the constructor, you must call `await open()` on the bag
   // generally this is called for you if you're using `const bag = await Bag.open()`
-  async open() {
-    this.header = await this.reader.readHeaderAsync();
-    const { connectionCount, chunkCount, indexPosition } = this.header;
-
-    const result = await this.reader.readConnectionsAndChunkInfoAsync(indexPosition, connectionCount, chunkCount);
+  async open(options?: OpenOptions) {
+    const { recover = false } = options || {};
+    let result;
+    if (recover) {
+      result = await this.reader.recoverAsync();
+      this.header = result.header;
+      this.recovery = result.report;
+    } else {
+      this.header = await this.reader.readHeaderAsync();
+      const { connectionCount, chunkCount, indexPosition } = this.header;
+      result = await this.reader.readConnectionsAndChunkInfoAsync(indexPosition, connectionCount, chunkCount);
+    }
 
     this.connections = {};
 
@@ -67,19 +236,126 @@ export default class Bag {
 
     this.chunkInfos = result.chunkInfos;
 
-    if (chunkCount > 0) {
-      this.startTime = this.chunkInfos[0].startTime;
-      this.endTime = this.chunkInfos[chunkCount - 1].endTime;
+    // chunks are usually in time order, but their time ranges can overlap
+    // e.g. in bags recorded by multiple writers
+    if (this.chunkInfos.length > 0) {
+      let { startTime, endTime } = this.chunkInfos[0];
+      this.chunkInfos.forEach((info) => {
+        if (TimeUtil.isLessThan(info.startTime, startTime)) {
+          startTime = info.startTime;
+        }
+        if (TimeUtil.isGreaterThan(info.endTime, endTime)) {
+          endTime = info.endTime;
+        }
+      });
+      this.startTime = startTime;
+      this.endTime = endTime;
     }
   }
 
+  // releases the bag's file & drops its cached chunks - reads made after closing, including the remaining
+  // reads of iterators & streams, reject with an error. files the caller opened, like file descriptors, are
+  // left open, and closing a bag more than once is fine
+  close(): Promise<void> {
+    return this.reader.disposeAsync();
+  }
+
+  // describes the bag with raw sizes, exact times & message counts - see BagInfo & formatRosbagInfo
+  // the record header of every chunk is read for its compression, and unless frequencies is false
+  // the index records behind every chunk are read for the topic frequencies - no chunk data is read
+  async getInfo(opts?: InfoOptions): Promise<BagInfo> {
+    const { frequencies = true, signal } = opts || {};
+    const connections = Object.keys(this.connections)
+      .map((id) => this.connections[+id])
+      .sort((a, b) => a.conn - b.conn);
+    const messageCounts = {};
+    connections.forEach(({ conn }) => {
+      messageCounts[conn] = 0;
+    });
+    this.chunkInfos.forEach((info) => {
+      info.connections.forEach(({ conn, count }) => {
+        messageCounts[conn] += count;
+      });
+    });
+
+    // v1.2 bags don't have chunk records, their chunk infos describe ranges of messages
+    const chunkInfos = this.reader.version === "1.2" ? [] : this.chunkInfos;
+    const compression: { [compression: string]: CompressionInfo } = {};
+    for (const info of chunkInfos) {
+      const { compression: type, compressedSize, uncompressedSize } = await this.reader.readChunkHeaderAsync(
+        info,
+        signal
+      );
+      const total = compression[type] || { chunkCount: 0, compressedSize: 0, uncompressedSize: 0 };
+      compression[type] = {
+        chunkCount: total.chunkCount + 1,
+        compressedSize: total.compressedSize + compressedSize,
+        uncompressedSize: total.uncompressedSize + uncompressedSize,
+      };
+    }
+
+    const times: { [topic: string]: number[] } = {};
+    if (frequencies) {
+      const entries = await this.readMessageIndex({ signal });
+      entries.forEach(({ topic, time }) => {
+        times[topic] = times[topic] || [];
+        times[topic].push(time.sec + time.nsec / 1e9);
+      });
+    }
+
+    const topicNames = connections.map(({ topic }) => topic).filter((topic, i, all) => all.indexOf(topic) === i);
+    const topics = topicNames.sort().map((topic) => {
+      const topicConnections = connections.filter((connection) => connection.topic === topic);
+      return {
+        topic,
+        type: topicConnections[0].type || "",
+        messageCount: topicConnections.reduce((total, { conn }) => total + messageCounts[conn], 0),
+        connectionCount: topicConnections.length,
+        frequency: medianFrequency(times[topic] || []),
+      };
+    });
+    const types = connections
+      .filter((connection, i) => connections.findIndex(({ type }) => type === connection.type) === i)
+      .map(({ type, md5sum }) => ({ type: type || "", md5sum: md5sum || "" }))
+      .sort((a, b) => (a.type < b.type ? -1 : a.type > b.type ? 1 : 0));
+
+    const { startTime, endTime } = this;
+    const zero = { sec: 0, nsec: 0 };
+    const start = startTime || zero;
+    const end = endTime || zero;
+    return {
+      version: this.reader.version,
+      startTime,
+      endTime,
+      duration: TimeUtil.add(end, { sec: -start.sec, nsec: -start.nsec }),
+      size: this.reader.getFileSize(),
+      messageCount: connections.reduce((total, { conn }) => total + messageCounts[conn], 0),
+      chunkCount: chunkInfos.length,
+      indexed: !this.recovery,
+      compression,
+      types,
+      topics,
+      connections: connections.map(({ conn, topic, type, md5sum, callerid, latching }) => ({
+        conn,
+        topic,
+        type: type || "",
+        md5sum: md5sum || "",
+        callerid,
+        latching: !!latching,
+        messageCount: messageCounts[conn],
+      })),
+    };
+  }
+
+  // the bag info with sizes, times & durations formatted for display - getInfo describes the bag
+  // with raw values, along with the compression, connections & topic frequencies
   getRosbagInfo() {
     const startTime = this.startTime || { sec: 0, nsec: 0 };
     const endTime = this.endTime || { sec: 0, nsec: 0 };
     const connections = ((Object.values(this.connections): any): Connection[]);
 
     return {
-      version: "2.0",
+      version: this.reader.version,
       duration: TimeUtil.sub(endTime, startTime),
       start: TimeUtil.toDate(startTime).toString(),
       end: TimeUtil.toDate(endTime).toString(),
@@ -91,7 +367,10 @@ export default class Bag {
     };
   }
 
-  async readMessages(opts: ReadOptions, callback: (msg: ReadResult<any>) => void) {
+  // plans which chunks need to be read for the options without reading any of them
+  // only chunks which overlap the requested time range & contain messages on at least
+  // one of the requested topics are read, in start time order (or end time order in reverse)
+  getReadPlan(opts: ReadOptions): ReadPlan {
     const connections = this.connections;
 
     const startTime = opts.startTime || { sec: 0, nsec: 0 };
@@ -108,36 +387,378 @@ export default class Bag {
       })
       .map((id) => +id);
 
-    const { decompress = {} } = opts;
-
     // filter chunks to those which fall within the time range we're attempting to read
-    const chunkInfos = this.chunkInfos.filter((info) => {
-      return TimeUtil.compare(info.startTime, endTime) <= 0 && TimeUtil.compare(startTime, info.endTime) <= 0;
-    });
+    // and contain at least one of the connections, then sort them by start time
+    // keeping file order for chunks which start at the same time
+    // in reverse they're sorted by end time, latest first, in reverse file order
+    const { reverse = false } = opts;
+    let messageCount = 0;
+    const chunkInfos = this.chunkInfos
+      .filter((info) => {
+        if (TimeUtil.compare(info.startTime, endTime) > 0 || TimeUtil.compare(startTime, info.endTime) > 0) {
+          return false;
+        }
+        const chunkConnections = info.connections.filter(({ conn }) => filteredConnections.indexOf(conn) !== -1);
+        chunkConnections.forEach(({ count }) => {
+          messageCount += count;
+        });
+        return chunkConnections.length > 0;
+      })
+      .map((info, index) => ({ info, index }))
+      .sort(
+        (a, b) =>
+          reverse
+            ? TimeUtil.compare(b.info.endTime, a.info.endTime) || b.index - a.index
+            : TimeUtil.compare(a.info.startTime, b.info.startTime) || a.index - b.index
+      )
+      .map(({ info }) => info);
 
-    function parseMsg(msg: MessageData, chunkOffset: number): ReadResult<any> {
-      const connection = connections[msg.conn];
-      const { topic } = connection;
-      const { data, time: timestamp } = msg;
-      let message = null;
-      if (!opts.noParse) {
-        // lazily create a reader for this connection if it doesn't exist
-        connection.reader = connection.reader || new MessageReader(connection.messageDefinition);
-        message = connection.reader.readMessage(data);
-      }
-      return new ReadResult(topic, message, timestamp, data, chunkOffset, chunkInfos.length);
-    }
+    const byteCount = chunkInfos.reduce((total, info) => total + this.reader.getChunkReadLength(info), 0);
 
-    for (let i = 0; i < chunkInfos.length; i++) {
-      const info = chunkInfos[i];
-      const messages = await this.reader.readChunkMessagesAsync(
-        info,
+    return { connections: filteredConnections, chunkInfos, byteCount, messageCount };
+  }
+
+  // returns a function which reads the messages matching the options in batches,
+  // resolving with undefined once every chunk has been read
+  //
+  // chunks are read in start time order. when the time ranges of chunks overlap their
+  // messages are merged so every batch, and every batch after it, is in timestamp order.
+  // a message is only released once no unread chunk can contain an earlier one, so
+  // only the chunks overlapping the current read position are held in memory
+  //
+  // in reverse everything runs the other way - chunks are read in end time order, latest first,
+  // and a message is released once no unread chunk can contain a later one
+  _createBatchReader(opts: ReadOptions): ReadBatch<ReadResult<any>> {
+    const startTime = opts.startTime || { sec: 0, nsec: 0 };
+    const endTime = opts.endTime || { sec: Number.MAX_VALUE, nsec: Number.MAX_VALUE };
+    const { decompress = {}, reverse = false } = opts;
+    const { connections: filteredConnections, chunkInfos } = this.getReadPlan(opts);
+
+    const { noParse = false, lazy = false, fields, typedArrays = false } = opts;
+    const parseMsg = (msg: MessageData, chunkOffset: number) =>
+      this._parseMessage(msg, { noParse, lazy, fields, typedArrays }, chunkOffset, chunkInfos.length);
+
+    // orders times in the direction messages are released
+    const compare = reverse ? (a: Time, b: Time) => TimeUtil.compare(b, a) : TimeUtil.compare;
+    // the time of the first message an unread chunk could release
+    const chunkTime = (info: ChunkInfo) => (reverse ? info.endTime : info.startTime);
+
+    // the chunks which have been read are ordered by their next unreleased message
+    // messages with the same timestamp are released in chunk order
+    const nextTime = (chunk: ChunkMessages) => chunk.messages[chunk.index].time;
+    const heap: Heap<ChunkMessages> = new Heap((a, b) => {
+      return compare(nextTime(a), nextTime(b)) || a.chunkOffset - b.chunkOffset;
+    });
+
+    const { signal } = opts;
+    const readChunkMessages = (i: number) =>
+      this.reader.readChunkMessagesAsync(
+        chunkInfos[i],
         filteredConnections,
         startTime,
         endTime,
-        decompress
+        decompress,
+        signal,
+        reverse
       );
-      messages.forEach((msg) => callback(parseMsg(msg, i)));
+
+    // reads the chunk at an offset, and starts reading the chunks after it up to the readahead
+    // the reads which were started ahead of time are kept until they're needed
+    const { readahead = 0 } = opts;
+    const chunkReads: Map<number, Promise<MessageData[]>> = new Map();
+    const readChunk = (i: number): Promise<MessageData[]> => {
+      const read = chunkReads.get(i) || readChunkMessages(i);
+      chunkReads.delete(i);
+      for (let j = i + 1; j <= Math.min(i + readahead, chunkInfos.length - 1); j++) {
+        if (!chunkReads.has(j)) {
+          const prefetch = readChunkMessages(j);
+          // errors are surfaced once the chunk is needed, and ignored if reading stops before then
+          prefetch.catch(() => {});
+          chunkReads.set(j, prefetch);
+        }
+      }
+      return read;
+    };
+
+    let chunkOffset = 0;
+    return async () => {
+      if (signal && signal.aborted) {
+        throw new AbortError();
+      }
+      // read every chunk which starts at or before the earliest unreleased message
+      // as it may contain messages which need to be released first
+      while (
+        chunkOffset < chunkInfos.length &&
+        (heap.empty() || compare(nextTime(heap.front()), chunkTime(chunkInfos[chunkOffset])) >= 0)
+      ) {
+        const i = chunkOffset++;
+        const messages = await readChunk(i);
+        if (messages.length) {
+          heap.push({ messages, index: 0, chunkOffset: i });
+        }
+      }
+      if (heap.empty()) {
+        return undefined;
+      }
+
+      // release the messages which are earlier (or later in reverse) than anything in the unread chunks
+      const nextChunk = chunkInfos[chunkOffset];
+      const results = [];
+      while (!heap.empty()) {
+        const chunk = heap.front();
+        if (nextChunk && compare(nextTime(chunk), chunkTime(nextChunk)) >= 0) {
+          break;
+        }
+        results.push(parseMsg(chunk.messages[chunk.index], chunk.chunkOffset));
+        chunk.index++;
+        if (chunk.index < chunk.messages.length) {
+          heap.replace(chunk);
+        } else {
+          heap.pop();
+        }
+      }
+      return results;
+    };
+  }
+
+  // noParse takes precedence over lazy - a message which isn't parsed is null either way
+  _parseMessage(msg: MessageData, opts: ParseOptions, chunkOffset: number, totalChunks: number): ReadResult<any> {
+    const { noParse, lazy, fields, typedArrays } = opts;
+    const connection = this.connections[msg.conn];
+    const { topic } = connection;
+    const { data, time: timestamp } = msg;
+    const parse = () => {
+      const readerOptions = { fields: fields ? fields[topic] : undefined, typedArrays };
+      return this._getMessageReader(connection, readerOptions).readMessage(data);
+    };
+    if (lazy && !noParse) {
+      return ReadResult.lazy(topic, parse, timestamp, data, chunkOffset, totalChunks);
     }
+    const message = noParse ? null : parse();
+    return new ReadResult(topic, message, timestamp, data, chunkOffset, totalChunks);
+  }
+
+  // lazily creates the readers for a connection - readers created with options
+  // other than the defaults are kept by their options
+  _getMessageReader(connection: Connection, options: MessageReaderOptions): MessageReader {
+    if (!options.fields && !options.typedArrays) {
+      connection.reader = connection.reader || new MessageReader(connection.messageDefinition);
+      return connection.reader;
+    }
+    const key = JSON.stringify(options);
+    const reader = connection.readers.get(key) || new MessageReader(connection.messageDefinition, options);
+    connection.readers.set(key, reader);
+    return reader;
+  }
+
+  async readMessages(opts: ReadOptions, callback: (msg: ReadResult<any>) => void) {
+    const { signal } = opts;
+    const readBatch = this._createBatchReader(opts);
+    while (true) {
+      const messages = await readBatch();
+      if (!messages) {
+        return;
+      }
+      for (const message of messages) {
+        // the signal may be aborted from within the callback
+        if (signal && signal.aborted) {
+          throw new AbortError();
+        }
+        callback(message);
+      }
+    }
+  }
+
+  // returns an async iterator over the same messages readMessages would return
+  // `for await (const result of bag.messageIterator({ topics: ['/foo'] })) { ... }`
+  // chunks are read as the messages are pulled from the iterator, and breaking out
+  // of the loop (or otherwise returning from the iterator) stops any further reads
+  messageIterator(opts: ReadOptions): AsyncIterator<ReadResult<any>> {
+    // $FlowFixMe - the Symbol.asyncIterator method is added outside of the class
+    return new MessageIterator(this._createBatchReader(opts));
+  }
+
+  // returns an object mode node.js Readable of the same messages readMessages would return
+  // `bag.createReadStream({ topics: ['/foo'] }).pipe(sink)` - only available in node
+  // eslint-disable-next-line no-unused-vars
+  createReadStream(opts: ReadStreamOptions): stream$Readable {
+    throw new Error(
+      "This method should have been overridden based on the environment. Make sure you are correctly importing the node version of Bag."
+    );
+  }
+
+  // reads the time & position of every message matching the options from the index records
+  // behind each chunk, without reading, decompressing or parsing the messages themselves
+  // the entries are in timestamp order, and in chunk & offset order for identical timestamps
+  async readMessageIndex(opts?: IndexReadOptions): Promise<MessageIndexEntry[]> {
+    const { topics, signal } = opts || {};
+    const startTime = (opts && opts.startTime) || { sec: 0, nsec: 0 };
+    const endTime = (opts && opts.endTime) || { sec: Number.MAX_VALUE, nsec: Number.MAX_VALUE };
+    const { connections, chunkInfos } = this.getReadPlan({ topics, startTime, endTime });
+
+    const entries = [];
+    for (const chunkInfo of chunkInfos) {
+      const indices = await this.reader.readChunkIndicesAsync(chunkInfo, signal);
+      indices.forEach(({ conn, indices: connectionEntries }) => {
+        if (connections.indexOf(conn) === -1) {
+          return;
+        }
+        const { topic } = this.connections[conn];
+        const { chunkPosition } = chunkInfo;
+        connectionEntries.forEach(({ time, offset }) => {
+          if (!TimeUtil.isLessThan(time, startTime) && !TimeUtil.isGreaterThan(time, endTime)) {
+            entries.push({ topic, conn, time, chunkPosition, offset });
+          }
+        });
+      });
+    }
+    return entries.sort(
+      (a, b) => TimeUtil.compare(a.time, b.time) || a.chunkPosition - b.chunkPosition || a.offset - b.offset
+    );
+  }
+
+  // counts the messages on each topic in buckets of time, e.g. to draw the message density of a timeline
+  // by default the counts are estimated from the chunk infos read when the bag was opened, without
+  // reading anything - each chunk's message count is spread evenly over the chunk's time range, so the
+  // estimates can be fractional. with exact the messages are counted from the index records behind the
+  // chunks, which are read without reading or decompressing the chunk data
+  async getMessageHistogram(opts: HistogramOptions): Promise<MessageHistogram> {
+    const zero = { sec: 0, nsec: 0 };
+    const { bucketCount, bucketDuration, exact = false, signal } = opts;
+    const startTime = opts.startTime || this.startTime || zero;
+    const endTime = opts.endTime || this.endTime || zero;
+    const buckets = createBuckets(startTime, endTime, bucketCount, bucketDuration);
+
+    const topics =
+      opts.topics ||
+      Object.keys(this.connections)
+        .map((conn) => this.connections[+conn].topic)
+        .filter((topic, i, all) => all.indexOf(topic) === i);
+    const counts = {};
+    topics.forEach((topic) => {
+      counts[topic] = new Array(buckets.count).fill(0);
+    });
+
+    if (exact) {
+      const entries = await this.readMessageIndex({ topics, startTime, endTime, signal });
+      entries.forEach(({ topic, time }) => {
+        counts[topic][getBucketIndex(buckets, time)]++;
+      });
+    } else {
+      const { connections, chunkInfos } = this.getReadPlan({ topics, startTime, endTime });
+      chunkInfos.forEach((info) => {
+        info.connections.forEach(({ conn, count }) => {
+          if (connections.indexOf(conn) !== -1) {
+            addSpan(counts[this.connections[conn].topic], buckets, info.startTime, info.endTime, count);
+          }
+        });
+      });
+    }
+
+    return { startTime, endTime, bucketStartTimes: getBucketStartTimes(buckets), counts, exact };
+  }
+
+  // finds the message on a topic closest to a time - by default the latest message at or before it
+  // resolves with undefined if there is no such message, see MessageAtOptions for the other modes
+  // the chunks are binary searched by time & only their indices are searched for the message,
+  // so usually only one or two chunks are read
+  async getMessageAt(topic: string, time: Time, opts?: MessageAtOptions): Promise<?ReadResult<any>> {
+    const [result] = await this.getMessagesAt(topic, [time], opts);
+    return result;
+  }
+
+  // getMessageAt for many times on one topic, resolving with a result for each time in the same order
+  // the chunks are sorted for the search once, and chunks read for one time are cached for the next
+  async getMessagesAt(topic: string, times: Time[], opts?: MessageAtOptions): Promise<Array<?ReadResult<any>>> {
+    const { mode = "before", decompress = {}, noParse = false, lazy = false, fields, typedArrays = false, signal } =
+      opts || {};
+    const parseOptions = { noParse, lazy, fields: fields && { [topic]: fields }, typedArrays };
+    const connections = Object.keys(this.connections)
+      .map((id) => +id)
+      .filter((conn) => this.connections[conn].topic === topic);
+    const chunks = this.chunkInfos
+      .map((info, index) => ({ info, index }))
+      .filter(({ info }) => info.connections.some(({ conn }) => connections.indexOf(conn) !== -1));
+
+    const findBefore = mode === "after" ? undefined : this._createMessageFinder(chunks, connections, "before");
+    const findAfter = mode === "before" ? undefined : this._createMessageFinder(chunks, connections, "after");
+    const results = [];
+    for (const time of times) {
+      if (signal && signal.aborted) {
+        throw new AbortError();
+      }
+      const before = findBefore && (await findBefore(time, decompress, signal));
+      const after = findAfter && (await findAfter(time, decompress, signal));
+      // the closer of the two for nearest, preferring the earlier message when they're as close
+      // after is closer when after - time < time - before, i.e. when after + before < time + time
+      let found = before || after;
+      if (
+        before &&
+        after &&
+        TimeUtil.isLessThan(TimeUtil.add(after.message.time, before.message.time), TimeUtil.add(time, time))
+      ) {
+        found = after;
+      }
+      results.push(
+        found ? this._parseMessage(found.message, parseOptions, found.index, this.chunkInfos.length) : undefined
+      );
+    }
+    return results;
+  }
+
+  // returns a function which finds the message closest to a time on the connections - the latest at
+  // or before it, or the earliest at or after it. the search is written for "before", and "after"
+  // runs it with time reversed, so a chunk's start & end swap places
+  //
+  // the chunks which start at or before the time are binary searched for, then walked back from the
+  // latest start. the walk stops once no chunk left to walk can end after the closest message found,
+  // and chunks which end before it are skipped without being read
+  _createMessageFinder(
+    chunks: Array<{ info: ChunkInfo, index: number }>,
+    connections: number[],
+    mode: "before" | "after"
+  ): (time: Time, decompress: Decompress, signal?: AbortSignal) => Promise<?{ message: MessageData, index: number }> {
+    const compare = mode === "before" ? TimeUtil.compare : (a: Time, b: Time) => TimeUtil.compare(b, a);
+    const latest = (a: Time, b: Time) => (compare(a, b) >= 0 ? a : b);
+    const earliest = (a: Time, b: Time) => (compare(a, b) <= 0 ? a : b);
+    const chunkStart = (info: ChunkInfo) => (mode === "before" ? info.startTime : info.endTime);
+    const chunkEnd = (info: ChunkInfo) => (mode === "before" ? info.endTime : info.startTime);
+
+    const sorted = chunks.slice().sort((a, b) => compare(chunkStart(a.info), chunkStart(b.info)) || a.index - b.index);
+    // the latest end of the chunks up to & including each sorted chunk
+    const latestEnds = [];
+    sorted.forEach(({ info }, i) => {
+      latestEnds.push(i === 0 ? chunkEnd(info) : latest(latestEnds[i - 1], chunkEnd(info)));
+    });
+
+    return async (time, decompress, signal) => {
+      // the number of chunks which start at or before time
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (compare(chunkStart(sorted[mid].info), time) <= 0) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      let closest;
+      for (let i = low - 1; i >= 0; i--) {
+        if (closest && compare(earliest(latestEnds[i], time), closest.message.time) <= 0) {
+          break;
+        }
+        const { info, index } = sorted[i];
+        if (closest && compare(earliest(chunkEnd(info), time), closest.message.time) <= 0) {
+          continue;
+        }
+        const message = await this.reader.readChunkMessageAtAsync(info, connections, time, mode, decompress, signal);
+        if (message && (!closest || compare(message.time, closest.message.time) > 0)) {
+          closest = { message, index };
+        }
+      }
+      return closest;
+    };
   }
 }
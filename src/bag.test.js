@@ -8,11 +8,27 @@
 
 import compress from "compressjs";
 import fs from "fs";
+import int53 from "int53";
 import lz4 from "lz4js";
 
-import type { ReadOptions } from "./bag";
-import Bag from "./node";
+import { AbortError } from "./abort";
+import type { OpenOptions, ReadOptions } from "./bag";
+import BagReader from "./BagReader";
+import BagWriter from "./BagWriter";
+import * as decompressors from "./decompress";
+import Bag, { registerDecompressor } from "./node";
+import { MessageReader } from "./MessageReader";
+import { MessageWriter } from "./MessageWriter";
 import ReadResult from "./ReadResult";
+import { BagHeader, Chunk, MessageData, MessageDefinition, TopicIndex } from "./record";
+import {
+  BAG_HEADER_LENGTH,
+  serializeBagHeader,
+  serializeChunk,
+  serializeConnection,
+  serializeMessageData,
+  serializeRecord,
+} from "./serialize";
 import * as TimeUtil from "./TimeUtil";
 
 const FILENAME = "example";
@@ -32,6 +48,67 @@ async function fullyReadBag(name: string, opts?: ReadOptions): Promise<ReadResul
   return messages;
 }
 
+const messageDefinition = "int32 value\nuint8[] padding";
+
+// writes a bag to memory - each array of seconds is written as one chunk with its
+// messages on the chunk's topic (/foo by default), and message values count up in write order
+async function writeBag(chunks: number[][], chunkTopics?: string[]): Promise<Buffer> {
+  const chunkThreshold = 16 * 1024;
+  const writes = [];
+  const writer = new BagWriter(
+    {
+      write: (offset, buffer, cb) => {
+        writes.push({ offset, buffer: Buffer.from(buffer) });
+        cb(null);
+      },
+    },
+    { chunkThreshold }
+  );
+  const messageWriter = new MessageWriter(messageDefinition);
+  await writer.open();
+  const topics = chunks.map((seconds, i) => (chunkTopics ? chunkTopics[i] : "/foo"));
+  const conns = {};
+  topics.forEach((topic) => {
+    if (conns[topic] === undefined) {
+      conns[topic] = Object.keys(conns).length;
+      writer.writeConnection({ conn: conns[topic], topic, type: "test/Padded", md5sum: "", messageDefinition });
+    }
+  });
+  let value = 0;
+  for (const [chunk, seconds] of chunks.entries()) {
+    for (let i = 0; i < seconds.length; i++) {
+      // pad the last message of the chunk past the chunk threshold so the chunk is written
+      const padding = new Uint8Array(i === seconds.length - 1 ? chunkThreshold : 0);
+      const data = messageWriter.writeMessage({ value: value++, padding });
+      await writer.writeMessage(conns[topics[chunk]], { sec: seconds[i], nsec: 0 }, data);
+    }
+  }
+  await writer.close();
+
+  const buffer = Buffer.alloc(Math.max(...writes.map(({ offset, buffer }) => offset + buffer.length)));
+  writes.forEach((write) => write.buffer.copy(buffer, write.offset));
+  return buffer;
+}
+
+async function openBuffer(buffer: Buffer, options?: OpenOptions): Promise<Bag> {
+  const bag = new Bag(
+    new BagReader({
+      read: (offset, length, cb) => cb(null, buffer.slice(offset, offset + length)),
+      size: () => buffer.length,
+    })
+  );
+  await bag.open(options);
+  return bag;
+}
+
+// writes a bag to memory and opens it, see writeBag
+async function createBag(chunks: number[][], chunkTopics?: string[]): Promise<Bag> {
+  return openBuffer(await writeBag(chunks, chunkTopics));
+}
+
+// one message per chunk, one second apart
+const singleMessageChunks = (count: number) => Array.from({ length: count }, (_, i) => [i]);
+
 describe("basics", () => {
   expect(Bag.open(getFixture("NON_EXISTENT_FILE"))).rejects.toThrow("no such file or directory");
   expect(Bag.open(getFixture("empty-file"))).rejects.toThrow("Missing file header.");
@@ -157,6 +234,7 @@ describe("rosbag - high-level api", () => {
 
   describe("compression", () => {
     it("throws if compression scheme is not registered", async () => {
+      const getDecompressor = jest.spyOn(decompressors, "getDecompressor").mockReturnValue(undefined);
       let errorThrown = false;
       const bag = await Bag.open(getFixture("example-bz2"));
       try {
@@ -165,9 +243,35 @@ describe("rosbag - high-level api", () => {
         expect(e.message).toContain("compression");
         errorThrown = true;
       }
+      getDecompressor.mockRestore();
       expect(errorThrown).toBe(true);
     });
 
+    it("reads bz2 and lz4 with the built-in decompressors", async () => {
+      const expected = await fullyReadBag(FILENAME, { topics: ["/turtle1/color_sensor"] });
+      const bz2Messages = await fullyReadBag("example-bz2", { topics: ["/turtle1/color_sensor"] });
+      const lz4Messages = await fullyReadBag("example-lz4", { topics: ["/turtle1/color_sensor"] });
+      expect(bz2Messages).toHaveLength(1351);
+      expect(lz4Messages).toHaveLength(1351);
+      expect(bz2Messages.map((msg) => msg.message)).toEqual(expected.map((msg) => msg.message));
+      expect(lz4Messages.map((msg) => msg.message)).toEqual(expected.map((msg) => msg.message));
+    });
+
+    it("uses registered decompressors in place of the built-in ones", async () => {
+      const original = decompressors.getDecompressor("lz4");
+      const lz4Decompress = jest.fn((buffer: Buffer) => new Buffer(lz4.decompress(buffer)));
+      registerDecompressor("lz4", lz4Decompress);
+      try {
+        const messages = await fullyReadBag("example-lz4", { topics: ["/turtle1/color_sensor"] });
+        expect(messages).toHaveLength(1351);
+        expect(lz4Decompress).toHaveBeenCalled();
+      } finally {
+        if (original) {
+          registerDecompressor("lz4", original);
+        }
+      }
+    });
+
     it("reads bz2 with supplied decompression callback", async () => {
       const messages = await fullyReadBag("example-bz2", {
         topics: ["/turtle1/color_sensor"],
@@ -212,3 +316,1239 @@ describe("rosbag - high-level api", () => {
     });
   });
 });
+
+describe("messageIterator", () => {
+  it("iterates the same messages as readMessages", async () => {
+    const bag = await Bag.open(getFixture());
+    const expected = [];
+    await bag.readMessages({ topics: ["/tf"] }, (msg) => {
+      expected.push(msg);
+    });
+    const messages = [];
+    for await (const msg of bag.messageIterator({ topics: ["/tf"] })) {
+      messages.push(msg);
+    }
+    expect(messages).toHaveLength(expected.length);
+    expect(messages).toEqual(expected);
+  });
+
+  it("iterates messages across chunks", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    expect(bag.chunkInfos).toHaveLength(10);
+    const values = [];
+    for await (const { message, chunkOffset, totalChunks } of bag.messageIterator({})) {
+      expect(chunkOffset).toBe(message.value);
+      expect(totalChunks).toBe(10);
+      values.push(message.value);
+    }
+    expect(values).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it("reads chunks as messages are pulled", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const iterator: any = bag.messageIterator({});
+    expect(readChunk).not.toHaveBeenCalled();
+    expect((await iterator.next()).value.message.value).toBe(0);
+    expect((await iterator.next()).value.message.value).toBe(1);
+    expect(readChunk).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops reading when breaking out of the loop", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const values = [];
+    for await (const { message } of bag.messageIterator({})) {
+      values.push(message.value);
+      if (values.length === 3) {
+        break;
+      }
+    }
+    expect(values).toEqual([0, 1, 2]);
+    expect(readChunk).toHaveBeenCalledTimes(3);
+  });
+
+  it("stops reading when returned while a chunk is being read", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunkMessagesAsync = bag.reader.readChunkMessagesAsync.bind(bag.reader);
+    let readStarted;
+    const reading = new Promise((resolve) => {
+      readStarted = resolve;
+    });
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync").mockImplementation((...args) => {
+      readStarted();
+      return readChunkMessagesAsync(...args);
+    });
+    const iterator: any = bag.messageIterator({});
+    const next = iterator.next();
+    await reading;
+    expect(await iterator.return()).toEqual({ done: true, value: undefined });
+    expect(await next).toEqual({ done: true, value: undefined });
+    expect(await iterator.next()).toEqual({ done: true, value: undefined });
+    expect(readChunk).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops reading when thrown from", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const iterator: any = bag.messageIterator({});
+    await iterator.next();
+    await expect(iterator.throw(new Error("stop"))).rejects.toThrow("stop");
+    expect(await iterator.next()).toEqual({ done: true, value: undefined });
+    expect(readChunk).toHaveBeenCalledTimes(1);
+  });
+
+  it("returns values in order to concurrent callers", async () => {
+    const bag = await createBag(singleMessageChunks(4));
+    const iterator = bag.messageIterator({});
+    const results = await Promise.all([
+      iterator.next(),
+      iterator.next(),
+      iterator.next(),
+      iterator.next(),
+      iterator.next(),
+    ]);
+    expect(results.map(({ value }) => value && value.message.value)).toEqual([0, 1, 2, 3, undefined]);
+  });
+
+  it("rejects with read errors and then finishes", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    jest.spyOn(bag.reader, "readChunkMessagesAsync").mockImplementation(() => Promise.reject(new Error("bad chunk")));
+    const iterator = bag.messageIterator({});
+    await expect(iterator.next()).rejects.toThrow("bad chunk");
+    expect(await iterator.next()).toEqual({ done: true, value: undefined });
+  });
+});
+
+describe("lazy parsing", () => {
+  it("delivers the same messages as parsing every message", async () => {
+    const eager = await fullyReadBag(FILENAME);
+    const lazy = await fullyReadBag(FILENAME, { lazy: true });
+    expect(lazy).toHaveLength(eager.length);
+    lazy.forEach((result, i) => {
+      expect(result.topic).toBe(eager[i].topic);
+      expect(result.message).toEqual(eager[i].message);
+    });
+  });
+
+  it("only parses the messages which are read, once each", async () => {
+    const readMessage = jest.spyOn(MessageReader.prototype, "readMessage");
+    try {
+      const bag = await Bag.open(getFixture());
+      const results = [];
+      await bag.readMessages({ lazy: true }, (result) => {
+        results.push(result);
+      });
+      expect(readMessage).not.toHaveBeenCalled();
+      const read = results.filter((result, i) => i % 10 === 0);
+      read.forEach((result) => {
+        expect(result.message).toBe(result.message);
+      });
+      expect(readMessage).toHaveBeenCalledTimes(read.length);
+    } finally {
+      readMessage.mockRestore();
+    }
+  });
+
+  it("parses nothing with noParse", async () => {
+    const readMessage = jest.spyOn(MessageReader.prototype, "readMessage");
+    try {
+      const messages = await fullyReadBag(FILENAME, { lazy: true, noParse: true, topics: ["/tf"] });
+      expect(messages.length).toBeGreaterThan(0);
+      messages.forEach((result) => expect(result.message).toBeNull());
+      expect(readMessage).not.toHaveBeenCalled();
+    } finally {
+      readMessage.mockRestore();
+    }
+  });
+
+  it("allows the message to be replaced", async () => {
+    const [result] = await fullyReadBag(FILENAME, { lazy: true, topics: ["/tf"] });
+    const message = { replaced: true };
+    result.message = message;
+    expect(result.message).toBe(message);
+    expect(Object.keys(result)).toContain("message");
+  });
+
+  it("parses messages found by time lazily", async () => {
+    const bag = await createBag([[1, 2], [3]]);
+    const readMessage = jest.spyOn(MessageReader.prototype, "readMessage");
+    try {
+      const result = await bag.getMessageAt("/foo", { sec: 2, nsec: 0 }, { lazy: true });
+      expect(readMessage).not.toHaveBeenCalled();
+      expect(result && result.message.value).toBe(1);
+      expect(readMessage).toHaveBeenCalledTimes(1);
+    } finally {
+      readMessage.mockRestore();
+    }
+  });
+});
+
+describe("fields", () => {
+  it("parses only the requested fields of a topic", async () => {
+    const topics = ["/tf", "/turtle1/pose"];
+    const eager = await fullyReadBag(FILENAME, { topics });
+    const projected = await fullyReadBag(FILENAME, {
+      topics,
+      fields: { "/tf": ["transforms.header.stamp", "transforms.child_frame_id"] },
+    });
+    expect(projected).toHaveLength(eager.length);
+    projected.forEach((result, i) => {
+      const { message } = eager[i];
+      if (result.topic === "/tf") {
+        const transforms = message.transforms.map(({ header, child_frame_id }) => ({
+          header: { stamp: header.stamp },
+          child_frame_id,
+        }));
+        expect(result.message).toEqual({ transforms });
+      } else {
+        // other topics are parsed whole
+        expect(result.message).toEqual(message);
+      }
+    });
+  });
+
+  it("reuses the readers for the same fields", async () => {
+    const bag = await Bag.open(getFixture());
+    const read = (fields) =>
+      bag.readMessages({ topics: ["/tf"], fields: { "/tf": fields } }, (result) => {
+        expect(result.message).toBeDefined();
+      });
+    await read(["transforms.header.stamp"]);
+    await read(["transforms.header.stamp"]);
+    await read(["transforms.header"]);
+    const [connection] = Object.keys(bag.connections)
+      .map((conn) => bag.connections[+conn])
+      .filter(({ topic }) => topic === "/tf");
+    expect(connection.readers.size).toBe(2);
+  });
+
+  it("rejects reads of fields which don't exist", async () => {
+    const read = fullyReadBag(FILENAME, { topics: ["/tf"], fields: { "/tf": ["transforms.stamp"] } });
+    await expect(read).rejects.toThrow("Field transforms.stamp does not exist in the message definition.");
+  });
+
+  it("parses the requested fields of messages found by time", async () => {
+    const bag = await createBag([[1, 2], [3]]);
+    const result = await bag.getMessageAt("/foo", { sec: 2, nsec: 0 }, { fields: ["value"] });
+    expect(result && result.message).toEqual({ value: 1 });
+    expect(result && Object.keys(result.message)).toEqual(["value"]);
+
+    const lazy = await bag.getMessageAt("/foo", { sec: 3, nsec: 0 }, { fields: ["value"], lazy: true });
+    expect(lazy && lazy.message).toEqual({ value: 2 });
+  });
+});
+
+describe("typed arrays", () => {
+  it("creates readers with the typedArrays option", async () => {
+    const bag = await Bag.open(getFixture());
+    const [connection] = Object.keys(bag.connections)
+      .map((conn) => bag.connections[+conn])
+      .filter(({ topic }) => topic === "/tf");
+    const eager = await fullyReadBag(FILENAME, { topics: ["/tf"] });
+    const results = [];
+    await bag.readMessages({ topics: ["/tf"], typedArrays: true }, (result) => {
+      results.push(result);
+    });
+    // the transforms have no numeric arrays, so they're parsed the same way
+    expect(results.map(({ message }) => message)).toEqual(eager.map(({ message }) => message));
+    const found = await bag.getMessageAt("/tf", eager[0].timestamp, { typedArrays: true, fields: ["transforms"] });
+    expect(found && found.message).toEqual(eager[0].message);
+    expect([...connection.readers.keys()]).toEqual([
+      JSON.stringify({ typedArrays: true }),
+      JSON.stringify({ fields: ["transforms"], typedArrays: true }),
+    ]);
+    expect(connection.reader).toBeUndefined();
+  });
+});
+
+describe("overlapping chunks", () => {
+  async function readSeconds(bag: Bag, opts?: ReadOptions): Promise<number[]> {
+    const seconds = [];
+    await bag.readMessages(opts || {}, ({ timestamp }) => {
+      seconds.push(timestamp.sec);
+    });
+    return seconds;
+  }
+
+  it("merges messages from overlapping chunks in timestamp order", async () => {
+    const bag = await createBag([[0, 2, 4], [1, 3, 5]]);
+    expect(bag.chunkInfos).toHaveLength(2);
+    const results = [];
+    await bag.readMessages({}, (result) => {
+      results.push(result);
+    });
+    expect(results.map(({ timestamp }) => timestamp.sec)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(results.map(({ message }) => message.value)).toEqual([0, 3, 1, 4, 2, 5]);
+    expect(results.map(({ chunkOffset }) => chunkOffset)).toEqual([0, 1, 0, 1, 0, 1]);
+  });
+
+  it("reads chunks in start time order", async () => {
+    const bag = await createBag([[5, 6], [0, 1], [3, 4]]);
+    expect(bag.startTime).toEqual({ sec: 0, nsec: 0 });
+    expect(bag.endTime).toEqual({ sec: 6, nsec: 0 });
+    expect(await readSeconds(bag)).toEqual([0, 1, 3, 4, 5, 6]);
+  });
+
+  it("releases messages with the same timestamp in chunk order", async () => {
+    const bag = await createBag([[0, 1], [1, 2]]);
+    const values = [];
+    await bag.readMessages({}, ({ message }) => {
+      values.push(message.value);
+    });
+    expect(values).toEqual([0, 1, 2, 3]);
+  });
+
+  it("merges within the requested time range", async () => {
+    const bag = await createBag([[0, 2, 4], [1, 3, 5]]);
+    expect(await readSeconds(bag, { startTime: { sec: 2, nsec: 0 }, endTime: { sec: 4, nsec: 0 } })).toEqual([2, 3, 4]);
+  });
+
+  it("only reads the chunks which overlap the messages being released", async () => {
+    const bag = await createBag([[0, 2], [1, 3], [10, 11], [12]]);
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const reads = [];
+    for await (const { timestamp } of bag.messageIterator({})) {
+      reads.push([timestamp.sec, readChunk.mock.calls.length]);
+    }
+    expect(reads).toEqual([[0, 1], [1, 2], [2, 2], [3, 2], [10, 3], [11, 3], [12, 4]]);
+  });
+});
+
+describe("reverse", () => {
+  async function readSeconds(bag: Bag, opts?: ReadOptions): Promise<number[]> {
+    const seconds = [];
+    await bag.readMessages({ ...opts, reverse: true }, ({ timestamp }) => {
+      seconds.push(timestamp.sec);
+    });
+    return seconds;
+  }
+
+  it("delivers the messages of every topic latest first", async () => {
+    const forward = await fullyReadBag(FILENAME);
+    const reverse = await fullyReadBag(FILENAME, { reverse: true });
+    const summary = ({ timestamp, topic }) => `${timestamp.sec}.${timestamp.nsec} ${topic}`;
+    expect(reverse.map(({ timestamp }) => timestamp)).toEqual(forward.map(({ timestamp }) => timestamp).reverse());
+    expect(reverse.map(summary).sort()).toEqual(forward.map(summary).sort());
+  });
+
+  it("merges messages from overlapping chunks latest first", async () => {
+    const bag = await createBag([[0, 2, 4], [1, 3, 5]]);
+    const results = [];
+    await bag.readMessages({ reverse: true }, (result) => {
+      results.push(result);
+    });
+    expect(results.map(({ timestamp }) => timestamp.sec)).toEqual([5, 4, 3, 2, 1, 0]);
+    expect(results.map(({ message }) => message.value)).toEqual([5, 2, 4, 1, 3, 0]);
+  });
+
+  it("reads chunks in end time order", async () => {
+    const bag = await createBag([[5, 6], [0, 1], [3, 4]]);
+    const { chunkInfos } = bag;
+    expect(bag.getReadPlan({ reverse: true }).chunkInfos).toEqual([chunkInfos[0], chunkInfos[2], chunkInfos[1]]);
+    expect(await readSeconds(bag)).toEqual([6, 5, 4, 3, 1, 0]);
+  });
+
+  it("reads within the requested time range", async () => {
+    const bag = await createBag([[0, 2, 4], [1, 3, 5]]);
+    expect(await readSeconds(bag, { startTime: { sec: 2, nsec: 0 }, endTime: { sec: 4, nsec: 0 } })).toEqual([4, 3, 2]);
+  });
+
+  it("only reads the chunks at the end of the bag for the last messages", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const seconds = [];
+    for await (const { timestamp } of bag.messageIterator({ reverse: true, endTime: { sec: 7, nsec: 0 } })) {
+      seconds.push(timestamp.sec);
+      if (seconds.length === 3) {
+        break;
+      }
+    }
+    expect(seconds).toEqual([7, 6, 5]);
+    expect(readChunk.mock.calls.map(([info]) => info)).toEqual(bag.chunkInfos.slice(5, 8).reverse());
+  });
+});
+
+describe("getMessageAt", () => {
+  const time = (sec: number, nsec?: number) => ({ sec, nsec: nsec || 0 });
+  const seconds = (results: Array<?ReadResult<any>>) => results.map((result) => result && result.timestamp.sec);
+
+  it("finds the message before, after or nearest to a time", async () => {
+    const bag = await createBag([[0, 2, 4], [6, 8]]);
+    const before = await bag.getMessageAt("/foo", time(5));
+    expect(before && [before.timestamp, before.message.value, before.chunkOffset]).toEqual([time(4), 2, 0]);
+    const after = await bag.getMessageAt("/foo", time(5), { mode: "after" });
+    expect(after && [after.timestamp, after.message.value, after.chunkOffset]).toEqual([time(6), 3, 1]);
+
+    const times = [time(4), time(5), time(5, 1), time(9)];
+    expect(seconds(await bag.getMessagesAt("/foo", times))).toEqual([4, 4, 4, 8]);
+    expect(seconds(await bag.getMessagesAt("/foo", times, { mode: "after" }))).toEqual([4, 6, 6, undefined]);
+    expect(seconds(await bag.getMessagesAt("/foo", times, { mode: "nearest" }))).toEqual([4, 4, 6, 8]);
+  });
+
+  it("resolves with undefined when there is no message", async () => {
+    const bag = await createBag([[2, 4]]);
+    expect(await bag.getMessageAt("/foo", time(1))).toBeUndefined();
+    expect(await bag.getMessageAt("/foo", time(5), { mode: "after" })).toBeUndefined();
+    expect(await bag.getMessageAt("/bar", time(3), { mode: "nearest" })).toBeUndefined();
+  });
+
+  it("only reads the chunk containing the time", async () => {
+    const bag = await createBag(singleMessageChunks(20));
+    const readChunk = jest.spyOn(bag.reader, "readChunk");
+    const result = await bag.getMessageAt("/foo", time(12, 5e8));
+    expect(result && result.timestamp).toEqual(time(12));
+    expect(readChunk.mock.calls.map(([info]) => info)).toEqual([bag.chunkInfos[12]]);
+
+    readChunk.mockClear();
+    const nearest = await bag.getMessageAt("/foo", time(12, 6e8), { mode: "nearest", noParse: true });
+    expect(nearest && [nearest.timestamp, nearest.message]).toEqual([time(13), null]);
+    expect(readChunk.mock.calls.map(([info]) => info)).toEqual([bag.chunkInfos[12], bag.chunkInfos[13]]);
+  });
+
+  it("searches earlier chunks when a chunk has no message before the time on the topic", async () => {
+    const bag = await createBag([[0, 1], [2, 3], [4, 5]], ["/foo", "/bar", "/bar"]);
+    const readChunk = jest.spyOn(bag.reader, "readChunk");
+    expect(seconds(await bag.getMessagesAt("/foo", [time(4, 5e8)]))).toEqual([1]);
+    expect(readChunk.mock.calls.map(([info]) => info)).toEqual([bag.chunkInfos[0]]);
+    expect(seconds(await bag.getMessagesAt("/bar", [time(1), time(4)], { mode: "after" }))).toEqual([2, 4]);
+  });
+
+  it("searches overlapping chunks", async () => {
+    const bag = await createBag([[0, 10], [2, 4]]);
+    const times = [time(3), time(5), time(11)];
+    expect(seconds(await bag.getMessagesAt("/foo", times))).toEqual([2, 4, 10]);
+    expect(seconds(await bag.getMessagesAt("/foo", times, { mode: "after" }))).toEqual([4, 10, undefined]);
+  });
+
+  it("finds the same messages as a full read", async () => {
+    const messages = await fullyReadBag(FILENAME, { topics: ["/tf"] });
+    const bag = await Bag.open(getFixture());
+    const times = [0.1, 0.3, 0.5, 0.7, 0.9].map(
+      (fraction) => messages[Math.floor(messages.length * fraction)].timestamp
+    );
+    // each time is the time of a message, which is found rather than the message before it
+    const results = await bag.getMessagesAt("/tf", times);
+    results.forEach((result, i) => {
+      const expected = messages.filter(({ timestamp }) => !TimeUtil.isGreaterThan(timestamp, times[i])).pop();
+      expect(result && result.timestamp).toEqual(expected.timestamp);
+      expect(result && result.data.equals(expected.data)).toBe(true);
+    });
+  });
+
+  it("rejects with an AbortError when the signal is aborted", async () => {
+    const bag = await createBag([[0, 1]]);
+    const signal = { aborted: true, addEventListener: () => {}, removeEventListener: () => {} };
+    await expect(bag.getMessageAt("/foo", time(1), { signal })).rejects.toBeInstanceOf(AbortError);
+  });
+});
+
+describe("readMessageIndex", () => {
+  it("finds every message without reading the chunk data", async () => {
+    const messages = await fullyReadBag(FILENAME);
+    for (const name of [FILENAME, "example-lz4", "example-bz2"]) {
+      const bag = await Bag.open(getFixture(name));
+      const readChunk = jest.spyOn(bag.reader, "readChunk");
+      const entries = await bag.readMessageIndex();
+      expect(readChunk).not.toHaveBeenCalled();
+      expect(entries.map(({ time }) => time)).toEqual(messages.map(({ timestamp }) => timestamp));
+      expect(entries.map(({ topic }) => topic).sort()).toEqual(messages.map(({ topic }) => topic).sort());
+    }
+  });
+
+  it("filters by topic & time", async () => {
+    const bag = await createBag([[0, 1], [2, 3], [4, 5]], ["/foo", "/bar", "/foo"]);
+    const entries = await bag.readMessageIndex({ topics: ["/foo"], startTime: { sec: 1, nsec: 0 } });
+    expect(entries.map(({ time, topic, conn }) => [time.sec, topic, conn])).toEqual([
+      [1, "/foo", 0],
+      [4, "/foo", 0],
+      [5, "/foo", 0],
+    ]);
+    expect(entries.map(({ chunkPosition }) => chunkPosition)).toEqual([
+      bag.chunkInfos[0].chunkPosition,
+      bag.chunkInfos[2].chunkPosition,
+      bag.chunkInfos[2].chunkPosition,
+    ]);
+  });
+
+  it("points at the message data records within the chunks", async () => {
+    const bag = await createBag([[0, 2, 4], [1, 3]]);
+    const entries = await bag.readMessageIndex();
+    expect(entries.map(({ time }) => time.sec)).toEqual([0, 1, 2, 3, 4]);
+    const values = [];
+    for (const { chunkPosition, offset } of entries) {
+      const [chunkInfo] = bag.chunkInfos.filter((info) => info.chunkPosition === chunkPosition);
+      const { chunk } = await bag.reader.readChunkRecordAsync(chunkInfo);
+      const message = bag.reader.readRecordFromBuffer(chunk.data.slice(offset), chunk.dataOffset, MessageData);
+      values.push(new MessageReader(messageDefinition).readMessage(message.data).value);
+    }
+    expect(values).toEqual([0, 3, 1, 4, 2]);
+  });
+});
+
+describe("getMessageHistogram", () => {
+  const time = (sec: number, nsec?: number) => ({ sec, nsec: nsec || 0 });
+
+  it("estimates the counts from the chunk infos without reading any chunks", async () => {
+    const bag = await createBag([[0, 1, 2, 3], [4, 5], [6, 8]], ["/foo", "/bar", "/foo"]);
+    const read = jest.spyOn(bag.reader, "readChunkIndicesAsync");
+    const histogram = await bag.getMessageHistogram({ bucketCount: 4 });
+    expect(read).not.toHaveBeenCalled();
+    expect(histogram).toEqual({
+      startTime: time(0),
+      endTime: time(8),
+      bucketStartTimes: [time(0), time(2), time(4), time(6)],
+      counts: { "/foo": [4 * (2 / 3), 4 * (1 / 3), 0, 2], "/bar": [0, 0, 2, 0] },
+      exact: false,
+    });
+  });
+
+  it("counts every message from the index with exact", async () => {
+    const bag = await createBag([[0, 1, 2, 3], [4, 5], [6, 8]], ["/foo", "/bar", "/foo"]);
+    const histogram = await bag.getMessageHistogram({ bucketDuration: time(2), exact: true });
+    expect(histogram.bucketStartTimes).toEqual([time(0), time(2), time(4), time(6)]);
+    expect(histogram.counts).toEqual({ "/foo": [2, 2, 0, 2], "/bar": [0, 0, 2, 0] });
+  });
+
+  it("counts the requested topics within the requested time range", async () => {
+    const bag = await createBag([[0, 1, 2, 3], [4, 5], [6, 8]], ["/foo", "/bar", "/foo"]);
+    const opts = { topics: ["/foo", "/missing"], startTime: time(2), endTime: time(6), bucketCount: 2 };
+    expect((await bag.getMessageHistogram({ ...opts, exact: true })).counts).toEqual({
+      "/foo": [2, 1],
+      "/missing": [0, 0],
+    });
+    expect((await bag.getMessageHistogram(opts)).counts).toEqual({ "/foo": [4 / 3, 0], "/missing": [0, 0] });
+  });
+
+  it("matches the messages read from the bag", async () => {
+    const bag = await Bag.open(getFixture());
+    const { counts, bucketStartTimes } = await bag.getMessageHistogram({ bucketCount: 10, exact: true });
+    const messages = await fullyReadBag(FILENAME);
+    Object.keys(counts).forEach((topic) => {
+      const expected = bucketStartTimes.map((start, i) => {
+        const next = bucketStartTimes[i + 1];
+        return messages.filter(
+          ({ topic: messageTopic, timestamp }) =>
+            messageTopic === topic &&
+            !TimeUtil.isLessThan(timestamp, start) &&
+            (!next || TimeUtil.isLessThan(timestamp, next))
+        ).length;
+      });
+      expect(counts[topic]).toEqual(expected);
+    });
+    const estimate = await bag.getMessageHistogram({ bucketCount: 10 });
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    Object.keys(counts).forEach((topic) => {
+      expect(sum(estimate.counts[topic])).toBeCloseTo(sum(counts[topic]));
+    });
+  });
+});
+
+describe("getInfo", () => {
+  it("describes the bag with raw values", async () => {
+    const bag = await createBag([[0, 1, 2, 3], [4, 5], [6, 8]], ["/foo", "/bar", "/foo"]);
+    const info = await bag.getInfo();
+    expect(info).toEqual({
+      version: "2.0",
+      startTime: { sec: 0, nsec: 0 },
+      endTime: { sec: 8, nsec: 0 },
+      duration: { sec: 8, nsec: 0 },
+      size: bag.reader.getFileSize(),
+      messageCount: 8,
+      chunkCount: 3,
+      indexed: true,
+      compression: {
+        none: { chunkCount: 3, compressedSize: expect.any(Number), uncompressedSize: expect.any(Number) },
+      },
+      types: [{ type: "test/Padded", md5sum: "" }],
+      topics: [
+        { topic: "/bar", type: "test/Padded", messageCount: 2, connectionCount: 1, frequency: 1 },
+        { topic: "/foo", type: "test/Padded", messageCount: 6, connectionCount: 1, frequency: 1 },
+      ],
+      connections: [
+        {
+          conn: 0,
+          topic: "/foo",
+          type: "test/Padded",
+          md5sum: "",
+          callerid: undefined,
+          latching: false,
+          messageCount: 6,
+        },
+        {
+          conn: 1,
+          topic: "/bar",
+          type: "test/Padded",
+          md5sum: "",
+          callerid: undefined,
+          latching: false,
+          messageCount: 2,
+        },
+      ],
+    });
+    const { compressedSize, uncompressedSize } = info.compression.none;
+    expect(compressedSize).toBe(uncompressedSize);
+    expect(compressedSize).toBeGreaterThan(3 * 16 * 1024);
+  });
+
+  it("reads the compression of each chunk", async () => {
+    const bag = await Bag.open(getFixture("example-lz4"));
+    const info = await bag.getInfo({ frequencies: false });
+    const { chunk } = await bag.reader.readChunkRecordAsync(bag.chunkInfos[0]);
+    expect(info.compression).toEqual({
+      lz4: { chunkCount: 1, compressedSize: chunk.data.length, uncompressedSize: chunk.size },
+    });
+    expect(chunk.data.length).toBeLessThan(chunk.size);
+  });
+
+  it("counts the messages & connections of the fixture", async () => {
+    const bag = await Bag.open(getFixture());
+    const info = await bag.getInfo();
+    const messages = await fullyReadBag(FILENAME);
+    expect(info.messageCount).toBe(messages.length);
+    info.topics.forEach(({ topic, messageCount, frequency }) => {
+      expect(messageCount).toBe(messages.filter((message) => message.topic === topic).length);
+      if (messageCount > 1) {
+        expect(frequency).toBeGreaterThan(0);
+      }
+    });
+    expect(info.connections.map(({ topic }) => topic).sort()).toEqual(
+      Object.keys(bag.connections)
+        .map((id) => bag.connections[+id].topic)
+        .sort()
+    );
+    info.connections.forEach(({ conn, callerid, latching }) => {
+      expect(callerid).toBe(bag.connections[conn].callerid);
+      expect(latching).toBe(!!bag.connections[conn].latching);
+    });
+  });
+
+  it("skips reading the index without frequencies", async () => {
+    const bag = await createBag([[0, 1], [2]]);
+    const read = jest.spyOn(bag.reader, "readChunkIndicesAsync");
+    const info = await bag.getInfo({ frequencies: false });
+    expect(read).not.toHaveBeenCalled();
+    expect(info.topics).toEqual([
+      { topic: "/foo", type: "test/Padded", messageCount: 3, connectionCount: 1, frequency: undefined },
+    ]);
+  });
+
+  it("keeps the exact duration", async () => {
+    const bag = await createBag([[1]]);
+    bag.startTime = { sec: 1, nsec: 999999999 };
+    bag.endTime = { sec: 1000000002, nsec: 1 };
+    expect((await bag.getInfo({ frequencies: false })).duration).toEqual({ sec: 1000000000, nsec: 2 });
+  });
+
+  it("counts the messages on each topic in getRosbagInfo", async () => {
+    const bag = await createBag([[0, 1, 2, 3], [4, 5], [6, 8]], ["/foo", "/bar", "/foo"]);
+    const { messageCount } = bag.getRosbagInfo();
+    expect(messageCount.totalNum).toBe(8);
+    expect(messageCount.topics).toEqual({
+      "/foo": { datatype: "test/Padded", count: 6 },
+      "/bar": { datatype: "test/Padded", count: 2 },
+    });
+  });
+});
+
+describe("getReadPlan", () => {
+  it("plans to read every chunk in the time range", async () => {
+    const bag = await createBag([[0, 1], [2, 3], [4, 5]]);
+    const plan = bag.getReadPlan({});
+    expect(plan.connections).toEqual([0]);
+    expect(plan.chunkInfos).toEqual(bag.chunkInfos);
+    expect(plan.messageCount).toBe(6);
+    expect(plan.byteCount).toBe(bag.reader.getFileSize() - bag.chunkInfos[0].chunkPosition);
+
+    const ranged = bag.getReadPlan({ startTime: { sec: 2, nsec: 0 }, endTime: { sec: 3, nsec: 0 } });
+    expect(ranged.chunkInfos).toEqual([bag.chunkInfos[1]]);
+    expect(ranged.messageCount).toBe(2);
+    expect(ranged.byteCount).toBe(bag.chunkInfos[2].chunkPosition - bag.chunkInfos[1].chunkPosition);
+  });
+
+  it("skips chunks without messages on the requested topics", async () => {
+    const bag = await createBag([[0, 1], [2, 3], [4], [5]], ["/foo", "/bar", "/foo", "/bar"]);
+    const plan = bag.getReadPlan({ topics: ["/bar"] });
+    expect(plan.connections).toEqual([1]);
+    expect(plan.chunkInfos).toEqual([bag.chunkInfos[1], bag.chunkInfos[3]]);
+    expect(plan.messageCount).toBe(3);
+    expect(plan.byteCount).toBe(
+      bag.reader.getChunkReadLength(bag.chunkInfos[1]) + bag.reader.getChunkReadLength(bag.chunkInfos[3])
+    );
+
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const results = [];
+    await bag.readMessages({ topics: ["/bar"] }, (result) => {
+      results.push(result);
+    });
+    expect(readChunk).toHaveBeenCalledTimes(2);
+    expect(results.map(({ message }) => message.value)).toEqual([2, 3, 5]);
+    expect(results.map(({ totalChunks }) => totalChunks)).toEqual([2, 2, 2]);
+  });
+
+  it("plans no reads for unknown topics", async () => {
+    const bag = await createBag([[0, 1], [2, 3]]);
+    expect(bag.getReadPlan({ topics: ["/missing"] })).toEqual({
+      connections: [],
+      chunkInfos: [],
+      byteCount: 0,
+      messageCount: 0,
+    });
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    await bag.readMessages({ topics: ["/missing"] }, () => {});
+    expect(readChunk).not.toHaveBeenCalled();
+  });
+
+  it("counts the messages on the requested topics", async () => {
+    const bag = await Bag.open(getFixture());
+    const plan = bag.getReadPlan({ topics: ["/tf"] });
+    const messages = await fullyReadBag(FILENAME, { topics: ["/tf"] });
+    expect(plan.chunkInfos).toHaveLength(1);
+    expect(plan.messageCount).toBe(messages.length);
+  });
+});
+
+describe("readahead", () => {
+  async function readValues(bag: Bag, opts: ReadOptions): Promise<number[]> {
+    const values = [];
+    await bag.readMessages(opts, ({ message }) => {
+      values.push(message.value);
+    });
+    return values;
+  }
+
+  it("delivers the same messages in the same order", async () => {
+    const bag = await createBag([[0, 2], [1, 3], [4, 5], [6], [7, 8]]);
+    const expected = await readValues(bag, { readahead: 0 });
+    expect(await readValues(bag, { readahead: 1 })).toEqual(expected);
+    expect(await readValues(bag, { readahead: 3 })).toEqual(expected);
+    expect(await readValues(bag, { readahead: 100 })).toEqual(expected);
+  });
+
+  it("starts reading the next chunks before they are needed", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const iterator: any = bag.messageIterator({ readahead: 3 });
+    await iterator.next();
+    expect(readChunk.mock.calls.map(([info]) => info)).toEqual(bag.chunkInfos.slice(0, 4));
+    await iterator.next();
+    expect(readChunk).toHaveBeenCalledTimes(5);
+
+    // reads never go past the last chunk, and every chunk is only read once
+    for await (const result of iterator) {
+      expect(result).toBeDefined();
+    }
+    expect(readChunk.mock.calls.map(([info]) => info)).toEqual(bag.chunkInfos);
+  });
+
+  it("overlaps the file reads of the chunks ahead", async () => {
+    const buffer = await writeBag(singleMessageChunks(10));
+    // a file whose reads take a while, recording how many are in flight at once
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const file = {
+      read: (offset, length, cb) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          cb(null, buffer.slice(offset, offset + length));
+        }, 1);
+      },
+      size: () => buffer.length,
+    };
+    const bag = new Bag(new BagReader(file, { cacheSizeInBytes: 0 }));
+    await bag.open();
+
+    await readValues(bag, { readahead: 0 });
+    expect(maxInFlight).toBe(1);
+    maxInFlight = 0;
+    expect(await readValues(bag, { readahead: 3 })).toEqual(singleMessageChunks(10).map(([value]) => value));
+    expect(maxInFlight).toBe(4);
+  });
+
+  it("rejects once a chunk which failed to read ahead is needed", async () => {
+    const bag = await createBag(singleMessageChunks(5));
+    const readChunkMessagesAsync = bag.reader.readChunkMessagesAsync.bind(bag.reader);
+    jest.spyOn(bag.reader, "readChunkMessagesAsync").mockImplementation((info, ...args) => {
+      if (info === bag.chunkInfos[2]) {
+        return Promise.reject(new Error("bad chunk"));
+      }
+      return readChunkMessagesAsync(info, ...args);
+    });
+    const iterator: any = bag.messageIterator({ readahead: 4 });
+    expect((await iterator.next()).value.message.value).toBe(0);
+    expect((await iterator.next()).value.message.value).toBe(1);
+    await expect(iterator.next()).rejects.toThrow("bad chunk");
+  });
+});
+
+describe("closing", () => {
+  // a filelike over a buffer which delays its reads & records when it's closed
+  function createFile(buffer: Buffer, events: string[]) {
+    return {
+      read: (offset, length, cb) => {
+        events.push("read");
+        setTimeout(() => {
+          events.push("read done");
+          cb(null, buffer.slice(offset, offset + length));
+        }, 1);
+      },
+      size: () => buffer.length,
+      close: jest.fn((cb) => {
+        events.push("close");
+        setImmediate(cb, null);
+      }),
+    };
+  }
+
+  it("closes the file & rejects later reads", async () => {
+    const bag = await Bag.open(getFixture());
+    await bag.readMessages({ topics: ["/tf"] }, () => {});
+    expect(bag.reader.getCacheStats().count).toBe(1);
+    const file: any = bag.reader._file;
+    const close = jest.spyOn(file, "close");
+    await bag.close();
+    expect(close).toHaveBeenCalledTimes(1);
+    expect(file._fd).toBeUndefined();
+    expect(bag.reader.getCacheStats().count).toBe(0);
+    expect(bag.reader.isDisposed()).toBe(true);
+
+    const error = "Cannot read from a closed bag.";
+    await expect(bag.readMessages({}, () => {})).rejects.toThrow(error);
+    await expect(bag.messageIterator({}).next()).rejects.toThrow(error);
+    await expect(bag.getMessageAt("/tf", bag.startTime || { sec: 0, nsec: 0 })).rejects.toThrow(error);
+    await expect(bag.readMessageIndex()).rejects.toThrow(error);
+    await expect(bag.getInfo()).rejects.toThrow(error);
+    // the file isn't reopened by the failed reads
+    expect(file._fd).toBeUndefined();
+
+    await bag.close();
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+
+  it("closes the file once the reads in flight have finished", async () => {
+    const events = [];
+    const file = createFile(await writeBag([[1, 2], [3, 4]]), events);
+    const bag = new Bag(new BagReader(file));
+    await bag.open();
+    events.length = 0;
+    const values = [];
+    const read = bag.readMessages({}, ({ message }) => {
+      values.push(message.value);
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(events).toEqual(["read"]);
+
+    await bag.close();
+    expect(events).toEqual(["read", "read done", "close"]);
+    // the messages of the chunk which was being read are still released
+    await expect(read).rejects.toThrow("Cannot read from a closed bag.");
+    expect(values).toEqual([0, 1]);
+  });
+
+  it("stops iterators which are being read", async () => {
+    const bag = await createBag([[1, 2], [3, 4]]);
+    const iterator: any = bag.messageIterator({});
+    expect((await iterator.next()).value.message.value).toBe(0);
+    await bag.close();
+    expect((await iterator.next()).value.message.value).toBe(1);
+    await expect(iterator.next()).rejects.toThrow("Cannot read from a closed bag.");
+  });
+});
+
+describe("Bag.using", () => {
+  it("closes the bag once the callback resolves", async () => {
+    let opened;
+    const result = await Bag.using(getFixture(), async (bag) => {
+      opened = bag;
+      return (await bag.getInfo({ frequencies: false })).messageCount;
+    });
+    expect(result).toBe(8647);
+    expect(opened && opened.reader.isDisposed()).toBe(true);
+  });
+
+  it("closes the bag when the callback throws", async () => {
+    let opened;
+    await expect(
+      Bag.using(getFixture(), (bag) => {
+        opened = bag;
+        throw new Error("callback error");
+      })
+    ).rejects.toThrow("callback error");
+    expect(opened && opened.reader.isDisposed()).toBe(true);
+  });
+
+  it("rejects with the callback's error when closing fails too", async () => {
+    const closeError = new Error("close error");
+    await expect(
+      Bag.using(getFixture(), (bag) => {
+        jest.spyOn(bag.reader, "disposeAsync").mockImplementation(() => Promise.reject(closeError));
+        return Promise.reject(new Error("callback error"));
+      })
+    ).rejects.toThrow("callback error");
+    await expect(
+      Bag.using(getFixture(), (bag) => {
+        jest.spyOn(bag.reader, "disposeAsync").mockImplementation(() => Promise.reject(closeError));
+        return 1;
+      })
+    ).rejects.toThrow("close error");
+  });
+
+  it("rejects when the bag can't be opened", async () => {
+    const fn = jest.fn();
+    await expect(Bag.using(getFixture("NON_EXISTENT_FILE"), fn)).rejects.toThrow("no such file or directory");
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe("aborting reads", () => {
+  // node doesn't have AbortController yet
+  const createAbortController = () => {
+    let listeners = [];
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => {
+        listeners.push(listener);
+      },
+      removeEventListener: (type, listener) => {
+        listeners = listeners.filter((l) => l !== listener);
+      },
+    };
+    const abort = () => {
+      signal.aborted = true;
+      listeners.forEach((listener) => listener());
+    };
+    return { signal, abort };
+  };
+
+  it("rejects with an AbortError and stops reading chunks", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    const { signal, abort } = createAbortController();
+    const values = [];
+    const read = bag.readMessages({ signal }, ({ message }) => {
+      values.push(message.value);
+      if (message.value === 2) {
+        abort();
+      }
+    });
+    await expect(read).rejects.toBeInstanceOf(AbortError);
+    expect(values).toEqual([0, 1, 2]);
+    expect(readChunk).toHaveBeenCalledTimes(3);
+  });
+
+  it("stops delivering the messages of a chunk which was already read", async () => {
+    const bag = await createBag([[0, 1, 2, 3]]);
+    const { signal, abort } = createAbortController();
+    const values = [];
+    const read = bag.readMessages({ signal }, ({ message }) => {
+      values.push(message.value);
+      abort();
+    });
+    await expect(read).rejects.toThrow("aborted");
+    expect(values).toEqual([0]);
+  });
+
+  it("rejects while a chunk is being read", async () => {
+    const bag = await createBag(singleMessageChunks(3));
+    jest.spyOn(bag.reader, "readChunk").mockImplementation(() => {});
+    const { signal, abort } = createAbortController();
+    const read = bag.readMessages({ signal }, () => {});
+    abort();
+    await expect(read).rejects.toBeInstanceOf(AbortError);
+  });
+
+  it("does not read anything if the signal is already aborted", async () => {
+    const bag = await createBag(singleMessageChunks(3));
+    const readChunk = jest.spyOn(bag.reader, "readChunk");
+    const { signal, abort } = createAbortController();
+    abort();
+    await expect(bag.readMessages({ signal, readahead: 2 }, () => {})).rejects.toBeInstanceOf(AbortError);
+    expect(readChunk).not.toHaveBeenCalled();
+  });
+
+  it("aborts message iterators", async () => {
+    const bag = await createBag(singleMessageChunks(10));
+    const readChunk = jest.spyOn(bag.reader, "readChunk");
+    const { signal, abort } = createAbortController();
+    const iterator: any = bag.messageIterator({ signal, readahead: 1 });
+    expect((await iterator.next()).value.message.value).toBe(0);
+    abort();
+    await expect(iterator.next()).rejects.toBeInstanceOf(AbortError);
+    expect(await iterator.next()).toEqual({ done: true, value: undefined });
+    // the first chunk and the one read ahead of it
+    expect(readChunk).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("recovery", () => {
+  const readValues = async (bag: Bag) => {
+    const values = [];
+    await bag.readMessages({}, ({ message }) => {
+      values.push(message.value);
+    });
+    return values;
+  };
+
+  // cuts the index section off the end of a bag & zeroes the index position in its header,
+  // the way a bag is left when a recording crashes
+  const removeIndex = async (buffer: Buffer) => {
+    const { indexPosition } = (await openBuffer(buffer)).header;
+    const broken = Buffer.from(buffer.slice(0, indexPosition));
+    const field = broken.indexOf("index_pos=") + "index_pos=".length;
+    broken.fill(0, field, field + 8);
+    return broken;
+  };
+
+  it("rebuilds the index from the chunks", async () => {
+    const buffer = await writeBag([[0, 1], [2, 3], [4]]);
+    const bag = await openBuffer(await removeIndex(buffer), { recover: true });
+    expect(await readValues(bag)).toEqual([0, 1, 2, 3, 4]);
+    const original = await openBuffer(buffer);
+    expect(bag.chunkInfos.map(({ chunkPosition }) => chunkPosition)).toEqual(
+      original.chunkInfos.map(({ chunkPosition }) => chunkPosition)
+    );
+    expect(bag.startTime).toEqual(original.startTime);
+    expect(bag.endTime).toEqual(original.endTime);
+    expect(Object.keys(bag.connections)).toEqual(["0"]);
+    expect(bag.header.chunkCount).toBe(3);
+    expect(bag.recovery).toEqual({ truncated: undefined, skippedChunks: [] });
+  });
+
+  it("reads the message index of recovered chunks", async () => {
+    const buffer = await writeBag([[0, 1], [2, 3]]);
+    const bag = await openBuffer(await removeIndex(buffer), { recover: true });
+    const original = await openBuffer(buffer);
+    expect(await bag.readMessageIndex()).toEqual(await original.readMessageIndex());
+  });
+
+  it("does not set a recovery report when reading the index", async () => {
+    const bag = await createBag([[0]]);
+    expect(bag.recovery).toBeUndefined();
+  });
+
+  it("recovers the complete messages of a truncated chunk", async () => {
+    const buffer = await removeIndex(await writeBag([[0, 1], [2, 3, 4]]));
+    const { chunkInfos } = await openBuffer(buffer, { recover: true });
+    // cut part way through the padding of the last message
+    const bag = await openBuffer(buffer.slice(0, buffer.length - 1000), { recover: true });
+    expect(await readValues(bag)).toEqual([0, 1, 2, 3]);
+    expect(bag.chunkInfos).toHaveLength(2);
+    expect(bag.recovery).toEqual({
+      truncated: {
+        offset: chunkInfos[1].chunkPosition,
+        message: `Chunk at position ${chunkInfos[1].chunkPosition} is truncated after 2 messages.`,
+      },
+      skippedChunks: [],
+    });
+  });
+
+  it("recovers the chunk which was being written", async () => {
+    const messageWriter = new MessageWriter(messageDefinition);
+    const message = (value: number) => messageWriter.writeMessage({ value, padding: new Uint8Array(0) });
+    const chunkPosition = 13 + BAG_HEADER_LENGTH;
+    const lastMessage = serializeMessageData(0, { sec: 3, nsec: 0 }, message(2));
+    const buffer = Buffer.concat([
+      Buffer.from("#ROSBAG V2.0\n"),
+      serializeBagHeader(0, 0, 0),
+      // rosbag writes the sizes of a chunk once it is finished
+      serializeChunk("none", 0, Buffer.alloc(0)),
+      serializeConnection({ conn: 0, topic: "/foo", type: "test/Padded", md5sum: "", messageDefinition }),
+      serializeMessageData(0, { sec: 2, nsec: 0 }, message(1)),
+      serializeMessageData(0, { sec: 1, nsec: 0 }, message(0)),
+      lastMessage.slice(0, lastMessage.length - 2),
+    ]);
+    const bag = await openBuffer(buffer, { recover: true });
+    expect(await readValues(bag)).toEqual([0, 1]);
+    expect(bag.startTime).toEqual({ sec: 1, nsec: 0 });
+    expect(bag.endTime).toEqual({ sec: 2, nsec: 0 });
+    expect(bag.recovery && bag.recovery.truncated).toEqual({
+      offset: chunkPosition,
+      message: `Chunk at position ${chunkPosition} is truncated after 2 messages.`,
+    });
+  });
+
+  it("recovers compressed bags", async () => {
+    for (const name of ["example-lz4", "example-bz2"]) {
+      const bag = await Bag.open(getFixture(name), { recover: true });
+      const messages = [];
+      await bag.readMessages({}, ({ topic, timestamp }) => {
+        messages.push({ topic, timestamp });
+      });
+      const expected = (await fullyReadBag(name)).map(({ topic, timestamp }) => ({ topic, timestamp }));
+      expect(messages).toEqual(expected);
+      expect(bag.recovery).toEqual({ truncated: undefined, skippedChunks: [] });
+    }
+  });
+
+  it("reports compressed chunks which are truncated", async () => {
+    const buffer = fs.readFileSync(getFixture("example-lz4"));
+    const { chunkInfos } = await openBuffer(buffer);
+    const { chunkPosition } = chunkInfos[0];
+    const bag = await openBuffer(buffer.slice(0, chunkPosition + 1000), { recover: true });
+    expect(bag.chunkInfos).toEqual([]);
+    expect(bag.recovery).toEqual({
+      truncated: { offset: chunkPosition, message: `Chunk at position ${chunkPosition} is truncated.` },
+      skippedChunks: [],
+    });
+  });
+
+  it("skips chunks which can't be decompressed", async () => {
+    const buffer = Buffer.from(fs.readFileSync(getFixture("example-lz4")));
+    const { chunkInfos } = await openBuffer(buffer);
+    const { chunkPosition } = chunkInfos[0];
+    const { dataOffset } = (await openBuffer(buffer)).reader.readRecordFromBuffer(
+      buffer.slice(chunkPosition),
+      chunkPosition,
+      Chunk
+    );
+    buffer.fill(0, dataOffset, dataOffset + 16);
+    const bag = await openBuffer(buffer, { recover: true });
+    expect(bag.chunkInfos).toEqual([]);
+    expect(bag.recovery && bag.recovery.skippedChunks.map(({ offset }) => offset)).toEqual([chunkPosition]);
+  });
+
+  it("rejects files which aren't bags", async () => {
+    await expect(openBuffer(Buffer.from("not a bag at all"), { recover: true })).rejects.toThrow(
+      "Cannot identify bag format."
+    );
+  });
+});
+
+describe("v1.2 bags", () => {
+  const uint32 = (value: number) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value, 0);
+    return buffer;
+  };
+
+  // writes a v1.2 bag to memory - a message definition record before the first message on each topic,
+  // message data records naming their topic, and a topic index record per topic at the end of the file
+  // message values count up in write order
+  const writeBag102 = (messages: Array<{ topic: string, sec: number, padding?: number }>): Buffer => {
+    const magic = Buffer.from("#ROSRECORD V1.2\n");
+    const headerLength = BAG_HEADER_LENGTH;
+    const messageWriter = new MessageWriter(messageDefinition);
+    const records = [];
+    const indices: { [topic: string]: Array<{ sec: number, offset: number }> } = {};
+    let position = magic.length + headerLength;
+    messages.forEach(({ topic, sec, padding = 0 }, value) => {
+      const topicFields = { topic: Buffer.from(topic), md5: Buffer.from("abc"), type: Buffer.from("test/Padded") };
+      // the first message on a topic is indexed at its message definition record
+      (indices[topic] = indices[topic] || []).push({ sec, offset: position });
+      if (indices[topic].length === 1) {
+        const definition = { ...topicFields, def: Buffer.from(messageDefinition) };
+        records.push(serializeRecord(MessageDefinition.opcode, definition, Buffer.alloc(0)));
+        position += records[records.length - 1].length;
+      }
+      const data = messageWriter.writeMessage({ value, padding: new Uint8Array(padding) });
+      records.push(serializeRecord(MessageData.opcode, topicFields, data));
+      position += records[records.length - 1].length;
+    });
+
+    const indexPosition = Buffer.alloc(8);
+    int53.writeUInt64LE(position, indexPosition, 0);
+    const header = serializeRecord(BagHeader.opcode, { index_pos: indexPosition }, Buffer.alloc(0));
+    const padding = Buffer.alloc(headerLength - header.length, 0x20);
+    Object.keys(indices).forEach((topic) => {
+      const data = Buffer.alloc(indices[topic].length * 16);
+      indices[topic].forEach(({ sec, offset }, i) => {
+        data.writeUInt32LE(sec, i * 16);
+        int53.writeUInt64LE(offset, data, i * 16 + 8);
+      });
+      const fields = { ver: uint32(0), topic: Buffer.from(topic), count: uint32(indices[topic].length) };
+      records.push(serializeRecord(TopicIndex.opcode, fields, data));
+    });
+    return Buffer.concat([magic, serializeRecord(BagHeader.opcode, { index_pos: indexPosition }, padding), ...records]);
+  };
+
+  const readValues = async (bag: Bag, opts?: ReadOptions) => {
+    const values = [];
+    await bag.readMessages(opts || {}, ({ topic, message, timestamp }) => {
+      values.push({ topic, value: message.value, sec: timestamp.sec });
+    });
+    return values;
+  };
+
+  it("reads messages through the same interface as v2.0 bags", async () => {
+    const bag = await openBuffer(
+      writeBag102([{ topic: "/foo", sec: 1 }, { topic: "/bar", sec: 2 }, { topic: "/foo", sec: 3 }])
+    );
+    expect(await readValues(bag)).toEqual([
+      { topic: "/foo", value: 0, sec: 1 },
+      { topic: "/bar", value: 1, sec: 2 },
+      { topic: "/foo", value: 2, sec: 3 },
+    ]);
+    expect(await readValues(bag, { topics: ["/foo"], startTime: { sec: 2, nsec: 0 } })).toEqual([
+      { topic: "/foo", value: 2, sec: 3 },
+    ]);
+    expect(bag.startTime).toEqual({ sec: 1, nsec: 0 });
+    expect(bag.endTime).toEqual({ sec: 3, nsec: 0 });
+    const connections = Object.keys(bag.connections).map((conn) => bag.connections[+conn]);
+    expect(connections.map(({ topic, type, md5sum }) => ({ topic, type, md5sum }))).toEqual([
+      { topic: "/foo", type: "test/Padded", md5sum: "abc" },
+      { topic: "/bar", type: "test/Padded", md5sum: "abc" },
+    ]);
+  });
+
+  it("reports the version in the bag info", async () => {
+    const bag = await openBuffer(writeBag102([{ topic: "/foo", sec: 1 }]));
+    expect(bag.getRosbagInfo().version).toBe("1.2");
+    expect((await createBag([[1]])).getRosbagInfo().version).toBe("2.0");
+    const info = await bag.getInfo();
+    expect(info.version).toBe("1.2");
+    expect(info.chunkCount).toBe(0);
+    expect(info.compression).toEqual({});
+  });
+
+  it("reads large bags in ranges of messages", async () => {
+    const messages = Array.from({ length: 20 }, (_, i) => ({
+      topic: i % 2 ? "/foo" : "/bar",
+      sec: i,
+      padding: 100000,
+    }));
+    const bag = await openBuffer(writeBag102(messages));
+    expect(bag.chunkInfos.length).toBeGreaterThan(1);
+    const values = await readValues(bag);
+    expect(values.map(({ value }) => value)).toEqual(messages.map((_, i) => i));
+    const plan = bag.getReadPlan({ startTime: { sec: 15, nsec: 0 } });
+    expect(plan.chunkInfos.length).toBeLessThan(bag.chunkInfos.length);
+    expect((await readValues(bag, { startTime: { sec: 15, nsec: 0 } })).map(({ value }) => value)).toEqual([
+      15,
+      16,
+      17,
+      18,
+      19,
+    ]);
+  });
+
+  it(
+    "opens bags with more messages on a topic than a function takes arguments",
+    async () => {
+      // spreading this many index entries into a call overflows the stack
+      // writing the bag takes a few seconds, hence the longer timeout
+      const count = 200000;
+      const bag = await openBuffer(writeBag102(Array.from({ length: count }, (_, sec) => ({ topic: "/busy", sec }))));
+      expect(bag.getReadPlan({}).messageCount).toBe(count);
+      const last = await bag.getMessageAt("/busy", { sec: count, nsec: 0 });
+      expect(last && last.message.value).toBe(count - 1);
+    },
+    30000
+  );
+
+  it("iterates messages in timestamp order", async () => {
+    const bag = await openBuffer(writeBag102([{ topic: "/foo", sec: 2 }, { topic: "/bar", sec: 1 }]));
+    const values = [];
+    for await (const { message } of bag.messageIterator({})) {
+      values.push(message.value);
+    }
+    expect(values).toEqual([1, 0]);
+  });
+
+  it("can't be recovered", async () => {
+    await expect(openBuffer(writeBag102([{ topic: "/foo", sec: 1 }]), { recover: true })).rejects.toThrow(
+      "Cannot recover v1.2 bags."
+    );
+  });
+});
@@ -0,0 +1,71 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Buffer } from "buffer";
+
+// a byte buffer the decompressors write their output into
+// it is allocated once when the uncompressed size is known up front
+// and grows by doubling when it isn't
+export default class OutputBuffer {
+  buffer: Buffer;
+  length: number;
+
+  constructor(size: ?number) {
+    this.buffer = Buffer.allocUnsafe(size || 64 * 1024);
+    this.length = 0;
+  }
+
+  reserve(count: number) {
+    const required = this.length + count;
+    if (required <= this.buffer.length) {
+      return;
+    }
+    const buffer = Buffer.allocUnsafe(Math.max(required, this.buffer.length * 2));
+    this.buffer.copy(buffer, 0, 0, this.length);
+    this.buffer = buffer;
+  }
+
+  push(byte: number) {
+    if (this.length === this.buffer.length) {
+      this.reserve(1);
+    }
+    this.buffer[this.length++] = byte;
+  }
+
+  // appends count copies of byte
+  fill(byte: number, count: number) {
+    this.reserve(count);
+    this.buffer.fill(byte, this.length, this.length + count);
+    this.length += count;
+  }
+
+  // appends bytes [start, end) of source
+  copyFrom(source: Buffer, start: number, end: number) {
+    this.reserve(end - start);
+    source.copy(this.buffer, this.length, start, end);
+    this.length += end - start;
+  }
+
+  // appends count bytes starting distance bytes back from the end of the output
+  // the source & destination may overlap, which repeats the copied bytes
+  copyWithin(distance: number, count: number) {
+    if (distance <= 0 || distance > this.length) {
+      throw new Error(`Invalid back reference ${distance} bytes into ${this.length} bytes of output.`);
+    }
+    this.reserve(count);
+    const { buffer } = this;
+    let source = this.length - distance;
+    for (let i = 0; i < count; i++) {
+      buffer[this.length++] = buffer[source++];
+    }
+  }
+
+  result(): Buffer {
+    return this.length === this.buffer.length ? this.buffer : this.buffer.slice(0, this.length);
+  }
+}
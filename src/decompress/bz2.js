@@ -0,0 +1,339 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import OutputBuffer from "./OutputBuffer";
+
+// decompresses data in the bzip2 stream format written by `rosbag record --bz2`
+// each block is huffman decoded into move-to-front values, which are turned back
+// into the block's bytes and run through the inverse burrows-wheeler transform
+// block & stream crcs are not verified
+
+const BLOCK_MAGIC_HIGH = 0x314159;
+const BLOCK_MAGIC_LOW = 0x265359;
+const END_MAGIC_HIGH = 0x177245;
+const END_MAGIC_LOW = 0x385090;
+const GROUP_SIZE = 50;
+const MAX_CODE_LENGTH = 20;
+const RUN_B = 1;
+
+// reads big endian bit fields of up to 24 bits
+class BitReader {
+  _buffer: Buffer;
+  _offset: number;
+  _bits: number;
+  _bitCount: number;
+
+  constructor(buffer: Buffer) {
+    this._buffer = buffer;
+    this._offset = 0;
+    this._bits = 0;
+    this._bitCount = 0;
+  }
+
+  read(count: number): number {
+    while (this._bitCount < count) {
+      if (this._offset >= this._buffer.length) {
+        throw new Error("bz2 data is truncated.");
+      }
+      this._bits = (this._bits << 8) | this._buffer[this._offset++];
+      this._bitCount += 8;
+    }
+    this._bitCount -= count;
+    return (this._bits >>> this._bitCount) & ((1 << count) - 1);
+  }
+
+  // discards the bits remaining in the current byte
+  alignToByte() {
+    this._bitCount -= this._bitCount % 8;
+  }
+
+  hasMoreBytes() {
+    return this._bitCount >= 8 || this._offset < this._buffer.length;
+  }
+}
+
+type HuffmanTable = {
+  minLength: number,
+  maxLength: number,
+  limit: Int32Array,
+  base: Int32Array,
+  symbols: Uint16Array,
+};
+
+// builds canonical huffman decoding tables from the code length of each symbol
+function createHuffmanTable(lengths: Uint8Array): HuffmanTable {
+  let minLength = MAX_CODE_LENGTH;
+  let maxLength = 0;
+  lengths.forEach((length) => {
+    minLength = Math.min(minLength, length);
+    maxLength = Math.max(maxLength, length);
+  });
+
+  const symbols = new Uint16Array(lengths.length);
+  let index = 0;
+  for (let length = minLength; length <= maxLength; length++) {
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      if (lengths[symbol] === length) {
+        symbols[index++] = symbol;
+      }
+    }
+  }
+
+  // base starts out as the number of codes shorter than each length
+  const base = new Int32Array(MAX_CODE_LENGTH + 2);
+  lengths.forEach((length) => {
+    base[length + 1]++;
+  });
+  for (let i = 1; i < base.length; i++) {
+    base[i] += base[i - 1];
+  }
+
+  // limit is the largest code of each length, and base becomes the offset
+  // from a code of that length to its index in symbols
+  const limit = new Int32Array(MAX_CODE_LENGTH + 2);
+  let code = 0;
+  for (let length = minLength; length <= maxLength; length++) {
+    code += base[length + 1] - base[length];
+    limit[length] = code - 1;
+    code <<= 1;
+  }
+  for (let length = minLength + 1; length <= maxLength; length++) {
+    base[length] = ((limit[length - 1] + 1) << 1) - base[length];
+  }
+
+  return { minLength, maxLength, limit, base, symbols };
+}
+
+function decodeSymbol(reader: BitReader, table: HuffmanTable): number {
+  let length = table.minLength;
+  let code = reader.read(length);
+  while (length <= table.maxLength) {
+    if (code <= table.limit[length]) {
+      return table.symbols[code - table.base[length]];
+    }
+    code = (code << 1) | reader.read(1);
+    length++;
+  }
+  throw new Error("Invalid bz2 huffman code.");
+}
+
+// decodes a single block into output - tt is scratch space sized to the stream's block size
+function decompressBlock(reader: BitReader, tt: Uint32Array, output: OutputBuffer) {
+  // skip the block crc
+  reader.read(16);
+  reader.read(16);
+  if (reader.read(1)) {
+    throw new Error("Randomized bz2 blocks are not supported.");
+  }
+  const origPtr = reader.read(24);
+
+  // the bytes used in the block are stored as a two level bitmap
+  const byteValues = new Uint8Array(256);
+  let byteCount = 0;
+  const usedRanges = reader.read(16);
+  for (let i = 0; i < 16; i++) {
+    if (usedRanges & (0x8000 >> i)) {
+      const used = reader.read(16);
+      for (let j = 0; j < 16; j++) {
+        if (used & (0x8000 >> j)) {
+          byteValues[byteCount++] = i * 16 + j;
+        }
+      }
+    }
+  }
+  if (byteCount === 0) {
+    throw new Error("bz2 block does not use any bytes.");
+  }
+  // every used byte has a symbol, plus the two run length symbols and end of block
+  const alphabetSize = byteCount + 2;
+  const endOfBlock = byteCount + 1;
+
+  const groupCount = reader.read(3);
+  const selectorCount = reader.read(15);
+  if (groupCount < 2 || groupCount > 6 || selectorCount < 1) {
+    throw new Error("Invalid bz2 huffman group header.");
+  }
+
+  // the selectors pick a huffman table for every 50 symbols
+  // and are stored as unary coded move-to-front indices
+  const groupOrder = [];
+  for (let i = 0; i < groupCount; i++) {
+    groupOrder.push(i);
+  }
+  const selectors = new Uint8Array(selectorCount);
+  for (let i = 0; i < selectorCount; i++) {
+    let j = 0;
+    while (reader.read(1)) {
+      j++;
+      if (j >= groupCount) {
+        throw new Error("Invalid bz2 huffman selector.");
+      }
+    }
+    const group = groupOrder[j];
+    groupOrder.splice(j, 1);
+    groupOrder.unshift(group);
+    selectors[i] = group;
+  }
+
+  // code lengths are delta encoded from a 5 bit starting length
+  const tables = [];
+  for (let i = 0; i < groupCount; i++) {
+    const lengths = new Uint8Array(alphabetSize);
+    let length = reader.read(5);
+    for (let symbol = 0; symbol < alphabetSize; symbol++) {
+      while (true) {
+        if (length < 1 || length > MAX_CODE_LENGTH) {
+          throw new Error("Invalid bz2 huffman code length.");
+        }
+        if (!reader.read(1)) {
+          break;
+        }
+        length += reader.read(1) ? -1 : 1;
+      }
+      lengths[symbol] = length;
+    }
+    tables.push(createHuffmanTable(lengths));
+  }
+
+  // decode the move-to-front values into tt, expanding the zero runs
+  // which are written in bijective base 2 using the RUN_A & RUN_B symbols
+  const moveToFront = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    moveToFront[i] = i;
+  }
+  const byteCounts = new Uint32Array(256);
+  let blockLength = 0;
+  let runLength = 0;
+  let runWeight = 1;
+  let selectorIndex = 0;
+  let groupRemaining = 0;
+  let table = tables[0];
+  while (true) {
+    if (groupRemaining === 0) {
+      if (selectorIndex >= selectorCount) {
+        throw new Error("bz2 block has too few huffman selectors.");
+      }
+      table = tables[selectors[selectorIndex++]];
+      groupRemaining = GROUP_SIZE;
+    }
+    groupRemaining--;
+
+    const symbol = decodeSymbol(reader, table);
+    if (symbol <= RUN_B) {
+      runLength += (symbol + 1) * runWeight;
+      runWeight <<= 1;
+      if (runLength > tt.length) {
+        throw new Error("bz2 block is larger than its block size.");
+      }
+      continue;
+    }
+
+    if (runLength > 0) {
+      if (blockLength + runLength > tt.length) {
+        throw new Error("bz2 block is larger than its block size.");
+      }
+      const byte = byteValues[moveToFront[0]];
+      byteCounts[byte] += runLength;
+      tt.fill(byte, blockLength, blockLength + runLength);
+      blockLength += runLength;
+      runLength = 0;
+      runWeight = 1;
+    }
+
+    if (symbol === endOfBlock) {
+      break;
+    }
+
+    if (blockLength >= tt.length) {
+      throw new Error("bz2 block is larger than its block size.");
+    }
+    const index = symbol - 1;
+    const value = moveToFront[index];
+    moveToFront.copyWithin(1, 0, index);
+    moveToFront[0] = value;
+    const byte = byteValues[value];
+    byteCounts[byte]++;
+    tt[blockLength++] = byte;
+  }
+
+  if (origPtr >= blockLength) {
+    throw new Error("Invalid bz2 block origin pointer.");
+  }
+
+  // inverse burrows-wheeler transform: store the position of the next byte
+  // in the upper 24 bits next to each byte in the lower 8 bits
+  const cumulativeCounts = new Uint32Array(256);
+  let sum = 0;
+  for (let i = 0; i < 256; i++) {
+    cumulativeCounts[i] = sum;
+    sum += byteCounts[i];
+  }
+  for (let i = 0; i < blockLength; i++) {
+    const byte = tt[i] & 0xff;
+    tt[cumulativeCounts[byte]++] |= i << 8;
+  }
+
+  // walk the transform, undoing the initial run length encoding which
+  // follows every 4 repeated bytes with a count of additional repeats
+  let position = tt[origPtr] >>> 8;
+  let previous = -1;
+  let repeats = 0;
+  for (let i = 0; i < blockLength; i++) {
+    position = tt[position];
+    const byte = position & 0xff;
+    position >>>= 8;
+    if (repeats === 4) {
+      output.fill(previous, byte);
+      repeats = 0;
+      previous = -1;
+      continue;
+    }
+    if (byte === previous) {
+      repeats++;
+    } else {
+      previous = byte;
+      repeats = 1;
+    }
+    output.push(byte);
+  }
+}
+
+export default function decompress(buffer: Buffer, size?: number): Buffer {
+  const reader = new BitReader(buffer);
+  const output = new OutputBuffer(size);
+
+  // concatenated streams are decoded one after another
+  do {
+    if (reader.read(8) !== 0x42 || reader.read(8) !== 0x5a || reader.read(8) !== 0x68) {
+      throw new Error("Invalid bz2 stream header.");
+    }
+    const level = reader.read(8) - 0x30;
+    if (level < 1 || level > 9) {
+      throw new Error(`Invalid bz2 block size ${level}.`);
+    }
+    const tt = new Uint32Array(level * 100000);
+
+    while (true) {
+      const magicHigh = reader.read(24);
+      const magicLow = reader.read(24);
+      if (magicHigh === BLOCK_MAGIC_HIGH && magicLow === BLOCK_MAGIC_LOW) {
+        decompressBlock(reader, tt, output);
+      } else if (magicHigh === END_MAGIC_HIGH && magicLow === END_MAGIC_LOW) {
+        // skip the stream crc, streams are padded to a whole byte
+        reader.read(16);
+        reader.read(16);
+        reader.alignToByte();
+        break;
+      } else {
+        throw new Error("Invalid bz2 block header.");
+      }
+    }
+  } while (reader.hasMoreBytes());
+
+  return output.result();
+}
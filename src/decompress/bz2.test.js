@@ -0,0 +1,54 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import compress from "compressjs";
+
+import decompress from "./bz2";
+import { pseudoRandomBytes, readCompressedChunk } from "./testHelpers";
+
+const bzip2 = (input: Buffer, level?: number) => Buffer.from(compress.Bzip2.compressFile(input, null, level));
+
+describe("bz2", () => {
+  it("decompresses rosbag chunks", async () => {
+    const { data, size } = await readCompressedChunk("bz2");
+    const result = decompress(data, size);
+    expect(result).toHaveLength(size);
+    expect(result.equals(Buffer.from(compress.Bzip2.decompressFile(data)))).toBe(true);
+  });
+
+  it("decompresses without a size hint", async () => {
+    const { data, size } = await readCompressedChunk("bz2");
+    expect(decompress(data)).toHaveLength(size);
+  });
+
+  it("round trips data written by compressjs", () => {
+    const text = Buffer.from("the quick brown fox jumps over the lazy dog ".repeat(2000));
+    const runs = Buffer.alloc(5000, 0x61);
+    const random = pseudoRandomBytes(50000);
+    [text, runs, random, Buffer.from("a")].forEach((input) => {
+      expect(decompress(bzip2(input)).equals(input)).toBe(true);
+    });
+  });
+
+  it("decompresses multiple blocks & concatenated streams", () => {
+    const input = Buffer.alloc(250000);
+    for (let i = 0; i < input.length; i++) {
+      input[i] = (i * 7919) % 251;
+    }
+    // a 100k block size forces several blocks
+    expect(decompress(bzip2(input, 1)).equals(input)).toBe(true);
+    const concatenated = Buffer.concat([bzip2(Buffer.from("foo")), bzip2(Buffer.from("bar"))]);
+    expect(decompress(concatenated).toString()).toBe("foobar");
+  });
+
+  it("throws on invalid data", () => {
+    expect(() => decompress(Buffer.from("not bz2 at all"))).toThrow("stream header");
+    const compressed = bzip2(Buffer.from("hello hello hello hello hello"));
+    expect(() => decompress(compressed.slice(0, compressed.length - 12))).toThrow();
+  });
+});
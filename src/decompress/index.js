@@ -0,0 +1,30 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import type { Decompress } from "../BagReader";
+import decompressBZ2 from "./bz2";
+import decompressLZ4 from "./lz4";
+
+type DecompressFn = $ElementType<Decompress, string>;
+
+const decompressors: Decompress = {};
+
+// registers the function used to decompress chunks of the given compression type
+// when no function for it is passed through the `decompress` read option
+// lz4 & bz2 are registered by default, registering them again replaces the
+// built-in decoders, e.g. with faster native implementations
+export function registerDecompressor(compression: string, decompress: DecompressFn) {
+  decompressors[compression] = decompress;
+}
+
+export function getDecompressor(compression: string): ?DecompressFn {
+  return decompressors[compression];
+}
+
+registerDecompressor("lz4", decompressLZ4);
+registerDecompressor("bz2", decompressBZ2);
@@ -0,0 +1,119 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import OutputBuffer from "./OutputBuffer";
+
+// decompresses data in the lz4 frame format written by roslz4
+// see https://github.com/lz4/lz4/blob/dev/doc/lz4_Frame_format.md
+// checksums are skipped - the blocks roslz4 writes are linked, so the
+// whole frame is decoded into a single output buffer which later blocks
+// can reference back into
+
+const MAGIC_NUMBER = 0x184d2204;
+const FLAG_VERSION_MASK = 0xc0;
+const FLAG_VERSION = 0x40;
+const FLAG_BLOCK_CHECKSUM = 0x10;
+const FLAG_CONTENT_SIZE = 0x08;
+const FLAG_CONTENT_CHECKSUM = 0x04;
+const FLAG_DICT_ID = 0x01;
+const BLOCK_UNCOMPRESSED = 0x80000000;
+const MIN_MATCH = 4;
+
+function decompressBlock(buffer: Buffer, start: number, end: number, output: OutputBuffer) {
+  let offset = start;
+  while (offset < end) {
+    const token = buffer[offset++];
+
+    // lengths of 15 continue in the following bytes for as long as they are 255
+    let literalLength = token >> 4;
+    if (literalLength === 15) {
+      let byte;
+      do {
+        byte = buffer[offset++];
+        literalLength += byte;
+      } while (byte === 255);
+    }
+    if (offset + literalLength > end) {
+      throw new Error("lz4 literals run past the end of the block.");
+    }
+    output.copyFrom(buffer, offset, offset + literalLength);
+    offset += literalLength;
+
+    // the last sequence in a block only has literals
+    if (offset >= end) {
+      break;
+    }
+
+    const distance = buffer[offset] | (buffer[offset + 1] << 8);
+    offset += 2;
+    let matchLength = token & 0xf;
+    if (matchLength === 15) {
+      let byte;
+      do {
+        byte = buffer[offset++];
+        matchLength += byte;
+      } while (byte === 255);
+    }
+    output.copyWithin(distance, matchLength + MIN_MATCH);
+  }
+}
+
+export default function decompress(buffer: Buffer, size?: number): Buffer {
+  if (buffer.length < 7 || buffer.readUInt32LE(0) !== MAGIC_NUMBER) {
+    throw new Error("Invalid lz4 frame magic number.");
+  }
+  const flags = buffer[4];
+  if ((flags & FLAG_VERSION_MASK) !== FLAG_VERSION) {
+    throw new Error(`Unsupported lz4 frame version ${flags >> 6}.`);
+  }
+  if (flags & FLAG_DICT_ID) {
+    throw new Error("lz4 frames with a dictionary are not supported.");
+  }
+
+  // skip the flags & block descriptor bytes
+  let offset = 6;
+  let contentSize;
+  if (flags & FLAG_CONTENT_SIZE) {
+    contentSize = buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000;
+    offset += 8;
+  }
+  // skip the header checksum
+  offset += 1;
+
+  const output = new OutputBuffer(size || contentSize);
+  while (true) {
+    if (offset + 4 > buffer.length) {
+      throw new Error("lz4 frame is truncated.");
+    }
+    const blockSize = buffer.readUInt32LE(offset);
+    offset += 4;
+    if (blockSize === 0) {
+      break;
+    }
+
+    const length = blockSize & ~BLOCK_UNCOMPRESSED;
+    if (offset + length > buffer.length) {
+      throw new Error("lz4 frame is truncated.");
+    }
+    if (blockSize & BLOCK_UNCOMPRESSED) {
+      output.copyFrom(buffer, offset, offset + length);
+    } else {
+      decompressBlock(buffer, offset, offset + length, output);
+    }
+    offset += length;
+
+    if (flags & FLAG_BLOCK_CHECKSUM) {
+      offset += 4;
+    }
+  }
+
+  if (flags & FLAG_CONTENT_CHECKSUM && offset + 4 > buffer.length) {
+    throw new Error("lz4 frame is truncated.");
+  }
+  return output.result();
+}
@@ -0,0 +1,41 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import lz4js from "lz4js";
+
+import decompress from "./lz4";
+import { pseudoRandomBytes, readCompressedChunk } from "./testHelpers";
+
+describe("lz4", () => {
+  it("decompresses roslz4 chunks", async () => {
+    const { data, size } = await readCompressedChunk("lz4");
+    const result = decompress(data, size);
+    expect(result).toHaveLength(size);
+    expect(result.equals(Buffer.from(lz4js.decompress(data)))).toBe(true);
+  });
+
+  it("decompresses without a size hint", async () => {
+    const { data, size } = await readCompressedChunk("lz4");
+    expect(decompress(data)).toHaveLength(size);
+  });
+
+  it("round trips frames written by lz4js", () => {
+    const repetitive = Buffer.from("the quick brown fox jumps over the lazy dog ".repeat(5000));
+    const random = pseudoRandomBytes(100000);
+    [repetitive, random, Buffer.alloc(0), Buffer.alloc(300000, 7)].forEach((input) => {
+      const compressed = Buffer.from(lz4js.compress(input));
+      expect(decompress(compressed, input.length).equals(input)).toBe(true);
+    });
+  });
+
+  it("throws on invalid data", () => {
+    expect(() => decompress(Buffer.from("not lz4 at all"))).toThrow("magic number");
+    const compressed = Buffer.from(lz4js.compress(Buffer.from("hello hello hello hello hello")));
+    expect(() => decompress(compressed.slice(0, compressed.length - 6))).toThrow("truncated");
+  });
+});
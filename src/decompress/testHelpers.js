@@ -0,0 +1,45 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import Bag from "../node";
+
+// helpers shared by the tests of the decompressors
+
+// returns the compressed data & uncompressed size of the first chunk in the fixture for the compression
+export async function readCompressedChunk(compression: "bz2" | "lz4"): Promise<{ data: Buffer, size: number }> {
+  const bag = await Bag.open(`${__dirname}/../../fixtures/example-${compression}.bag`);
+  let result;
+  const capture = (data: Buffer, size: number) => {
+    result = { data: Buffer.from(data), size };
+    return Buffer.alloc(size);
+  };
+  await bag.reader.readChunkMessagesAsync(
+    bag.chunkInfos[0],
+    [],
+    { sec: 0, nsec: 0 },
+    { sec: 0, nsec: 0 },
+    { [compression]: capture }
+  );
+  await bag.close();
+  if (!result) {
+    throw new Error("chunk was not decompressed");
+  }
+  return result;
+}
+
+// bytes which don't compress, the same for every run so failures can be reproduced
+// a linear congruential generator seeded with seed, keeping the high byte of each state
+export function pseudoRandomBytes(length: number, seed: number = 1): Buffer {
+  const bytes = Buffer.alloc(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    bytes[i] = state >>> 24;
+  }
+  return bytes;
+}
@@ -6,6 +6,7 @@
 
 // @flow
 
+import { Buffer } from "buffer";
 import type { Time } from "./types";
 
 // reads through a buffer and extracts { [key: string]: value: string }
@@ -46,3 +47,22 @@ export function extractTime(buffer: Buffer, offset: number): Time {
   const nsec = buffer.readUInt32LE(offset + 4);
   return { sec, nsec };
 }
+
+// the inverse of extractFields - writes { [key: string]: value: Buffer }
+// pairs into a buffer as length prefixed key=value entries
+export function serializeFields(fields: { [key: string]: Buffer }): Buffer {
+  const buffers = [];
+  Object.keys(fields).forEach((key) => {
+    const field = Buffer.concat([Buffer.from(`${key}=`), fields[key]]);
+    const length = Buffer.alloc(4);
+    length.writeInt32LE(field.length, 0);
+    buffers.push(length, field);
+  });
+  return Buffer.concat(buffers);
+}
+
+// writes a Time object into a buffer at the given offset
+export function writeTime(time: Time, buffer: Buffer, offset: number) {
+  buffer.writeUInt32LE(time.sec, offset);
+  buffer.writeUInt32LE(time.nsec, offset + 4);
+}
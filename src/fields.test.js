@@ -6,7 +6,7 @@
 
 // @flow
 
-import { extractFields } from "./fields";
+import { extractFields, extractTime, serializeFields, writeTime } from "./fields";
 
 describe("fields", () => {
   it("should extract fields from a buffer", () => {
@@ -20,4 +20,18 @@ describe("fields", () => {
     const expected = { foo: new Buffer("bar"), key: new Buffer("value") };
     expect(result).toEqual(expected);
   });
+
+  it("should serialize fields which extractFields can read back", () => {
+    const fields = { foo: new Buffer("bar"), key: new Buffer("value"), empty: new Buffer(0) };
+    const buffer = serializeFields(fields);
+    expect(buffer.readUInt32LE(0)).toBe(7);
+    expect(buffer.toString("utf8", 4, 11)).toBe("foo=bar");
+    expect(extractFields(buffer)).toEqual(fields);
+  });
+
+  it("should write times which extractTime can read back", () => {
+    const buffer = new Buffer(12);
+    writeTime({ sec: 1396293887, nsec: 846735850 }, buffer, 4);
+    expect(extractTime(buffer, 4)).toEqual({ sec: 1396293887, nsec: 846735850 });
+  });
 });
@@ -0,0 +1,88 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import type { Time } from "./types";
+import * as TimeUtil from "./TimeUtil";
+
+// a time range divided into buckets of equal duration
+// times are handled as nanoseconds since startTime, which are exact for ranges of up to ~100 days
+export type Buckets = {|
+  startTime: Time,
+  count: number,
+  // the duration of each bucket in nanoseconds, which can be fractional
+  duration: number,
+  // the duration of the whole range in nanoseconds
+  rangeDuration: number,
+|};
+
+function toNanos(time: Time, origin: Time): number {
+  return (time.sec - origin.sec) * 1e9 + (time.nsec - origin.nsec);
+}
+
+// divides the range from startTime to endTime into either bucketCount buckets
+// or into buckets of bucketDuration, with the last bucket cut short at endTime
+export function createBuckets(startTime: Time, endTime: Time, bucketCount?: number, bucketDuration?: Time): Buckets {
+  if ((bucketCount == null) === (bucketDuration == null)) {
+    throw new Error("Expected either bucketCount or bucketDuration.");
+  }
+  const rangeDuration = Math.max(0, toNanos(endTime, startTime));
+  if (bucketDuration != null) {
+    const duration = toNanos(bucketDuration, { sec: 0, nsec: 0 });
+    if (!(duration > 0)) {
+      throw new Error("bucketDuration must be greater than zero.");
+    }
+    return { startTime, count: Math.max(1, Math.ceil(rangeDuration / duration)), duration, rangeDuration };
+  }
+  if (bucketCount == null || !Number.isInteger(bucketCount) || bucketCount < 1) {
+    throw new Error("bucketCount must be a positive integer.");
+  }
+  return { startTime, count: bucketCount, duration: rangeDuration / bucketCount, rangeDuration };
+}
+
+// the start time of each bucket, rounded down to the nanosecond
+export function getBucketStartTimes({ startTime, count, duration }: Buckets): Time[] {
+  return Array.from({ length: count }, (_, i) => {
+    const nanos = Math.floor(i * duration);
+    return TimeUtil.add(startTime, { sec: Math.floor(nanos / 1e9), nsec: nanos % 1e9 });
+  });
+}
+
+// the bucket containing a time, or -1 if the time is outside of the range
+// the last bucket includes the end of the range
+export function getBucketIndex({ startTime, count, duration, rangeDuration }: Buckets, time: Time): number {
+  const nanos = toNanos(time, startTime);
+  if (nanos < 0 || nanos > rangeDuration) {
+    return -1;
+  }
+  return duration > 0 ? Math.min(count - 1, Math.floor(nanos / duration)) : 0;
+}
+
+// adds messageCount messages spread evenly over the time span to the counts of the buckets,
+// leaving out the part of the span which is outside of the range
+export function addSpan(counts: number[], buckets: Buckets, start: Time, end: Time, messageCount: number) {
+  const { count, duration, rangeDuration } = buckets;
+  const spanStart = toNanos(start, buckets.startTime);
+  const spanEnd = toNanos(end, buckets.startTime);
+  if (spanEnd <= spanStart || duration === 0) {
+    const index = getBucketIndex(buckets, start);
+    if (index !== -1) {
+      counts[index] += messageCount;
+    }
+    return;
+  }
+  const first = Math.max(0, Math.floor(spanStart / duration));
+  const last = Math.min(count - 1, Math.floor(spanEnd / duration));
+  for (let i = first; i <= last; i++) {
+    // the last bucket runs to the end of the range
+    const bucketEnd = i === count - 1 ? rangeDuration : (i + 1) * duration;
+    const overlap = Math.min(spanEnd, bucketEnd) - Math.max(spanStart, i * duration);
+    if (overlap > 0) {
+      counts[i] += (messageCount * overlap) / (spanEnd - spanStart);
+    }
+  }
+}
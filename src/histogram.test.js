@@ -0,0 +1,79 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { addSpan, createBuckets, getBucketIndex, getBucketStartTimes } from "./histogram";
+
+const time = (sec: number, nsec?: number) => ({ sec, nsec: nsec || 0 });
+
+describe("createBuckets", () => {
+  it("divides the range into a number of buckets", () => {
+    const buckets = createBuckets(time(10), time(20), 4);
+    expect(buckets).toEqual({ startTime: time(10), count: 4, duration: 2.5e9, rangeDuration: 10e9 });
+    expect(getBucketStartTimes(buckets)).toEqual([time(10), time(12, 5e8), time(15), time(17, 5e8)]);
+  });
+
+  it("divides the range into buckets of a duration", () => {
+    const buckets = createBuckets(time(10), time(20, 5e8), undefined, time(5));
+    expect(buckets.count).toBe(3);
+    expect(getBucketStartTimes(buckets)).toEqual([time(10), time(15), time(20)]);
+    expect(createBuckets(time(10), time(10), undefined, time(5)).count).toBe(1);
+  });
+
+  it("requires exactly one of bucketCount & bucketDuration", () => {
+    expect(() => createBuckets(time(0), time(1))).toThrow("Expected either bucketCount or bucketDuration.");
+    expect(() => createBuckets(time(0), time(1), 2, time(1))).toThrow("Expected either bucketCount or bucketDuration.");
+    expect(() => createBuckets(time(0), time(1), 0)).toThrow("bucketCount must be a positive integer.");
+    expect(() => createBuckets(time(0), time(1), undefined, time(0))).toThrow(
+      "bucketDuration must be greater than zero."
+    );
+  });
+});
+
+describe("getBucketIndex", () => {
+  const buckets = createBuckets(time(10), time(20), 4);
+
+  it("finds the bucket containing a time", () => {
+    expect([time(10), time(12, 4e8), time(12, 5e8), time(19), time(20)].map((t) => getBucketIndex(buckets, t))).toEqual(
+      [0, 0, 1, 3, 3]
+    );
+  });
+
+  it("returns -1 outside of the range", () => {
+    expect(getBucketIndex(buckets, time(9))).toBe(-1);
+    expect(getBucketIndex(buckets, time(20, 1))).toBe(-1);
+  });
+
+  it("puts everything in one bucket for an empty range", () => {
+    expect(getBucketIndex(createBuckets(time(10), time(10), 4), time(10))).toBe(0);
+  });
+});
+
+describe("addSpan", () => {
+  it("spreads messages evenly over the span", () => {
+    const buckets = createBuckets(time(0), time(10), 5);
+    const counts = [0, 0, 0, 0, 0];
+    addSpan(counts, buckets, time(1), time(5), 8);
+    expect(counts).toEqual([2, 4, 2, 0, 0]);
+  });
+
+  it("leaves out the part of the span outside of the range", () => {
+    const buckets = createBuckets(time(0), time(10), 5);
+    const counts = [0, 0, 0, 0, 0];
+    addSpan(counts, buckets, time(8), time(12), 4);
+    addSpan(counts, buckets, time(-2), time(-1), 4);
+    expect(counts).toEqual([0, 0, 0, 0, 2]);
+  });
+
+  it("adds spans without a duration to a single bucket", () => {
+    const buckets = createBuckets(time(0), time(10), 5);
+    const counts = [0, 0, 0, 0, 0];
+    addSpan(counts, buckets, time(3), time(3), 5);
+    addSpan(counts, buckets, time(11), time(11), 5);
+    expect(counts).toEqual([0, 5, 0, 0, 0]);
+  });
+});
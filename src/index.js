@@ -9,9 +9,17 @@
 import * as TimeUtil from "./TimeUtil";
 
 export * from "./bag";
+export { AbortError } from "./abort";
+export { registerDecompressor } from "./decompress";
 export * from "./BagReader";
+export * from "./BagWriter";
+export * from "./ChunkCache";
+export * from "./HttpReader";
+export * from "./info";
 export * from "./MessageReader";
+export * from "./MessageWriter";
 export * from "./parseMessageDefinition";
+export * from "./reindex";
 export * from "./types";
 export { TimeUtil };
 
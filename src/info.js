@@ -0,0 +1,258 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import type { Time } from "./types";
+
+export type CompressionInfo = {|
+  chunkCount: number,
+  // the size of the chunk data as stored in the bag
+  compressedSize: number,
+  // the size of the chunk data once decompressed
+  uncompressedSize: number,
+|};
+
+export type TopicInfo = {|
+  topic: string,
+  type: string,
+  messageCount: number,
+  connectionCount: number,
+  // messages per second, from the median time between messages - undefined when
+  // the topic has fewer than two messages or frequencies weren't computed
+  frequency: ?number,
+|};
+
+export type ConnectionInfo = {|
+  conn: number,
+  topic: string,
+  type: string,
+  md5sum: string,
+  callerid: ?string,
+  latching: boolean,
+  messageCount: number,
+|};
+
+// a description of a bag with raw sizes, times & counts - see bag.getInfo
+export type BagInfo = {|
+  version: string,
+  // undefined for bags without messages
+  startTime: ?Time,
+  endTime: ?Time,
+  // the exact time from startTime to endTime
+  duration: Time,
+  // the size of the file in bytes
+  size: number,
+  messageCount: number,
+  chunkCount: number,
+  // false for bags which were opened with the recover option
+  indexed: boolean,
+  // the chunk count & sizes by compression type, e.g. "none", "lz4" or "bz2"
+  compression: { [compression: string]: CompressionInfo },
+  // every message type in the bag, sorted by type
+  types: Array<{| type: string, md5sum: string |}>,
+  // sorted by topic
+  topics: TopicInfo[],
+  // sorted by connection id
+  connections: ConnectionInfo[],
+|};
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function toSeconds(time: Time): number {
+  return time.sec + time.nsec / 1e9;
+}
+
+function twoDigits(value: number): string {
+  return String(value).padStart(2, "0");
+}
+
+// e.g. "Mar 22 2017 02:26:20.10", in local time like rosbag
+function formatTime(time: Time): string {
+  const date = new Date(time.sec * 1000);
+  const fraction = (time.nsec / 1e9).toFixed(2).slice(1);
+  return (
+    `${MONTHS[date.getMonth()]} ${twoDigits(date.getDate())} ${date.getFullYear()} ` +
+    `${twoDigits(date.getHours())}:${twoDigits(date.getMinutes())}:${twoDigits(date.getSeconds())}${fraction}`
+  );
+}
+
+// e.g. "1hr 2:03s (3723s)", "2:03s (123s)" or "12.3s"
+function formatDuration(duration: number): string {
+  const seconds = Math.floor(duration % 60);
+  const minutes = Math.floor(duration / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours > 0) {
+    return `${hours}hr ${minutes % 60}:${twoDigits(seconds)}s (${Math.floor(duration)}s)`;
+  }
+  if (minutes > 0) {
+    return `${minutes}:${twoDigits(seconds)}s (${Math.floor(duration)}s)`;
+  }
+  return `${duration.toFixed(1)}s`;
+}
+
+function formatSize(bytes: number): string {
+  let size = bytes;
+  for (const suffix of ["KB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"]) {
+    size /= 1024;
+    if (size < 1024) {
+      return `${size.toFixed(1)} ${suffix}`;
+    }
+  }
+  return "-";
+}
+
+function formatFrequency(hertz: number): string {
+  let frequency = hertz;
+  for (const suffix of ["Hz", "kHz", "MHz", "GHz", "THz", "PHz", "EHz", "ZHz", "YHz"]) {
+    if (frequency < 1000) {
+      return `${frequency.toFixed(1)} ${suffix}`;
+    }
+    frequency /= 1000;
+  }
+  return "-";
+}
+
+// compression types by chunk count, most used first, with ties in reverse name order like rosbag
+function sortCompressions(info: BagInfo): string[] {
+  return Object.keys(info.compression).sort(
+    (a, b) => info.compression[b].chunkCount - info.compression[a].chunkCount || (a < b ? 1 : -1)
+  );
+}
+
+// the total sizes of the chunk data, or undefined if every chunk is uncompressed
+function compressedSizes(info: BagInfo): ?{ compressed: number, uncompressed: number } {
+  const types = Object.keys(info.compression);
+  if (types.every((type) => type === "none")) {
+    return undefined;
+  }
+  const sum = (key) => types.reduce((total, type) => total + info.compression[type][key], 0);
+  return { compressed: sum("compressedSize"), uncompressed: sum("uncompressedSize") };
+}
+
+const maxLength = (values: string[]) => values.reduce((max, value) => Math.max(max, value.length), 0);
+
+// formats the info the way `rosbag info` prints it - path is printed if it's passed in
+export function formatRosbagInfo(info: BagInfo, path?: string): string {
+  const rows: Array<[string, string]> = [];
+  if (path !== undefined) {
+    rows.push(["path", path]);
+  }
+  rows.push(["version", info.version]);
+  const { startTime, endTime } = info;
+  const duration = toSeconds(info.duration);
+  if (startTime && endTime) {
+    rows.push(["duration", formatDuration(duration)]);
+    rows.push(["start", `${formatTime(startTime)} (${toSeconds(startTime).toFixed(2)})`]);
+    rows.push(["end", `${formatTime(endTime)} (${toSeconds(endTime).toFixed(2)})`]);
+  }
+  rows.push(["size", formatSize(info.size)]);
+  rows.push(["messages", String(info.messageCount)]);
+
+  const compressions = sortCompressions(info);
+  if (compressions.length === 0) {
+    rows.push(["compression", "none"]);
+  } else {
+    const descriptions = compressions.map((type) => {
+      const { chunkCount, compressedSize, uncompressedSize } = info.compression[type];
+      if (type === "none") {
+        return `${type} [${chunkCount}/${info.chunkCount} chunks]`;
+      }
+      const percentage = ((100 * compressedSize) / uncompressedSize).toFixed(2);
+      return `${type} [${chunkCount}/${info.chunkCount} chunks; ${percentage}%]`;
+    });
+    rows.push(["compression", descriptions.join(", ")]);
+  }
+  const sizes = compressedSizes(info);
+  if (sizes) {
+    const uncompressed = formatSize(sizes.uncompressed);
+    const compressed = formatSize(sizes.compressed);
+    const sizeLength = maxLength([uncompressed, compressed]);
+    if (duration > 0) {
+      const uncompressedRate = formatSize(sizes.uncompressed / duration);
+      const compressedRate = formatSize(sizes.compressed / duration);
+      const rateLength = maxLength([uncompressedRate, compressedRate]);
+      const percentage = ((100 * sizes.compressed) / sizes.uncompressed).toFixed(2);
+      rows.push(["uncompressed", `${uncompressed.padStart(sizeLength)} @ ${uncompressedRate.padStart(rateLength)}/s`]);
+      rows.push([
+        "compressed",
+        `${compressed.padStart(sizeLength)} @ ${compressedRate.padStart(rateLength)}/s (${percentage}%)`,
+      ]);
+    } else {
+      rows.push(["uncompressed", uncompressed.padStart(sizeLength)]);
+      rows.push(["compressed", compressed.padStart(sizeLength)]);
+    }
+  }
+
+  const typeLength = maxLength(info.types.map(({ type }) => type));
+  info.types.forEach(({ type, md5sum }, i) => {
+    rows.push([i === 0 ? "types" : "", `${type.padEnd(typeLength)} [${md5sum}]`]);
+  });
+  const topicLength = maxLength(info.topics.map(({ topic }) => topic));
+  const countLength = maxLength(info.topics.map(({ messageCount }) => String(messageCount)));
+  const frequencyLength = maxLength(
+    info.topics.map(({ frequency }) => (frequency != null ? formatFrequency(frequency) : ""))
+  );
+  info.topics.forEach(({ topic, type, messageCount, connectionCount, frequency }, i) => {
+    let row = `${topic.padEnd(topicLength)}   ${String(messageCount).padStart(countLength)} `;
+    row += messageCount > 1 ? "msgs" : "msg ";
+    row +=
+      frequency != null
+        ? ` @ ${formatFrequency(frequency).padStart(frequencyLength)}`
+        : `   ${"".padStart(frequencyLength)}`;
+    row += ` : ${type.padEnd(typeLength)}`;
+    if (connectionCount > 1) {
+      row += ` (${connectionCount} connections)`;
+    }
+    rows.push([i === 0 ? "topics" : "", row]);
+  });
+
+  const fieldLength = maxLength(rows.map(([field]) => field)) + 1;
+  return rows
+    .map(([field, value]) => `${(field ? `${field}:` : "").padEnd(fieldLength)} ${value}`)
+    .join("\n")
+    .replace(/\s+$/, "");
+}
+
+// formats the info the way `rosbag info --yaml` prints it - path is printed if it's passed in
+export function formatRosbagInfoYaml(info: BagInfo, path?: string): string {
+  const lines = [];
+  if (path !== undefined) {
+    lines.push(`path: ${path}`);
+  }
+  lines.push(`version: ${info.version}`);
+  lines.push(`duration: ${toSeconds(info.duration).toFixed(6)}`);
+  lines.push(`start: ${info.startTime ? toSeconds(info.startTime).toFixed(6) : "0.000000"}`);
+  lines.push(`end: ${info.endTime ? toSeconds(info.endTime).toFixed(6) : "0.000000"}`);
+  lines.push(`size: ${info.size}`);
+  lines.push(`messages: ${info.messageCount}`);
+  lines.push(`indexed: ${info.indexed ? "True" : "False"}`);
+  const [compression = "none"] = sortCompressions(info);
+  lines.push(`compression: ${compression}`);
+  const sizes = compressedSizes(info);
+  if (sizes) {
+    lines.push(`uncompressed: ${sizes.uncompressed}`);
+    lines.push(`compressed: ${sizes.compressed}`);
+  }
+  lines.push("types:");
+  info.types.forEach(({ type, md5sum }) => {
+    lines.push(`    - type: ${type}`);
+    lines.push(`      md5: ${md5sum}`);
+  });
+  lines.push("topics:");
+  info.topics.forEach(({ topic, type, messageCount, connectionCount, frequency }) => {
+    lines.push(`    - topic: ${topic}`);
+    lines.push(`      type: ${type}`);
+    lines.push(`      messages: ${messageCount}`);
+    if (connectionCount > 1) {
+      lines.push(`      connections: ${connectionCount}`);
+    }
+    if (frequency != null) {
+      lines.push(`      frequency: ${frequency.toFixed(4)}`);
+    }
+  });
+  return `${lines.join("\n")}\n`;
+}
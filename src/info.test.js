@@ -0,0 +1,103 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { formatRosbagInfo, formatRosbagInfoYaml, type BagInfo } from "./info";
+
+const connection = { callerid: "/node", latching: false, md5sum: "" };
+
+const info: BagInfo = {
+  version: "2.0",
+  startTime: { sec: 1396293887, nsec: 844783943 },
+  endTime: { sec: 1396297611, nsec: 0 },
+  duration: { sec: 3723, nsec: 155216057 },
+  size: 3 * 1024 * 1024,
+  messageCount: 2001,
+  chunkCount: 3,
+  indexed: true,
+  compression: {
+    none: { chunkCount: 1, compressedSize: 1024, uncompressedSize: 1024 },
+    lz4: { chunkCount: 2, compressedSize: 1024 * 1024, uncompressedSize: 4 * 1024 * 1024 },
+  },
+  types: [{ type: "std_msgs/Int32", md5sum: "da5909fbe378aeaf85e547e830cc1bb7" }],
+  topics: [
+    { topic: "/count", type: "std_msgs/Int32", messageCount: 2000, connectionCount: 2, frequency: 1500 },
+    { topic: "/once", type: "std_msgs/Int32", messageCount: 1, connectionCount: 1, frequency: undefined },
+  ],
+  connections: [
+    { ...connection, conn: 0, topic: "/count", type: "std_msgs/Int32", messageCount: 1000 },
+    { ...connection, conn: 1, topic: "/count", type: "std_msgs/Int32", messageCount: 1000 },
+    { ...connection, conn: 2, topic: "/once", type: "std_msgs/Int32", messageCount: 1 },
+  ],
+};
+
+describe("formatRosbagInfo", () => {
+  it("formats the info like rosbag info", () => {
+    const lines = formatRosbagInfo(info, "test.bag").split("\n");
+    // the dates are in local time
+    expect(lines[3]).toMatch(/^start: {8}\w{3} \d{2} 2014 \d{2}:\d{2}:\d{2}\.84 \(1396293887\.84\)$/);
+    expect(lines[4]).toMatch(/^end: {10}\w{3} \d{2} 2014 \d{2}:\d{2}:\d{2}\.00 \(1396297611\.00\)$/);
+    expect([...lines.slice(0, 3), ...lines.slice(5)]).toEqual([
+      "path:         test.bag",
+      "version:      2.0",
+      "duration:     1hr 2:03s (3723s)",
+      "size:         3.0 MB",
+      "messages:     2001",
+      "compression:  lz4 [2/3 chunks; 25.00%], none [1/3 chunks]",
+      "uncompressed: 4.0 MB @ 1.1 KB/s",
+      "compressed:   1.0 MB @ 0.3 KB/s (25.02%)",
+      "types:        std_msgs/Int32 [da5909fbe378aeaf85e547e830cc1bb7]",
+      "topics:       /count   2000 msgs @ 1.5 kHz : std_msgs/Int32 (2 connections)",
+      "              /once       1 msg            : std_msgs/Int32",
+    ]);
+  });
+
+  it("formats short durations & uncompressed bags", () => {
+    const text = formatRosbagInfo({
+      ...info,
+      duration: { sec: 12, nsec: 340000000 },
+      compression: { none: { chunkCount: 3, compressedSize: 100, uncompressedSize: 100 } },
+    });
+    expect(text).toContain("\nduration:    12.3s\n");
+    expect(text).toContain("\ncompression: none [3/3 chunks]\n");
+    expect(text).not.toContain("uncompressed:");
+    expect(text.startsWith("version:")).toBe(true);
+  });
+});
+
+describe("formatRosbagInfoYaml", () => {
+  it("formats the info like rosbag info --yaml", () => {
+    expect(formatRosbagInfoYaml(info, "test.bag")).toEqual(
+      [
+        "path: test.bag",
+        "version: 2.0",
+        "duration: 3723.155216",
+        "start: 1396293887.844784",
+        "end: 1396297611.000000",
+        `size: ${3 * 1024 * 1024}`,
+        "messages: 2001",
+        "indexed: True",
+        "compression: lz4",
+        `uncompressed: ${4 * 1024 * 1024 + 1024}`,
+        `compressed: ${1024 * 1024 + 1024}`,
+        "types:",
+        "    - type: std_msgs/Int32",
+        "      md5: da5909fbe378aeaf85e547e830cc1bb7",
+        "topics:",
+        "    - topic: /count",
+        "      type: std_msgs/Int32",
+        "      messages: 2000",
+        "      connections: 2",
+        "      frequency: 1500.0000",
+        "    - topic: /once",
+        "      type: std_msgs/Int32",
+        "      messages: 1",
+        "",
+      ].join("\n")
+    );
+  });
+});
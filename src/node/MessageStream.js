@@ -0,0 +1,82 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Readable } from "stream";
+
+import type { ReadBatch } from "../MessageIterator";
+
+// an object mode stream of values which are read in batches as the stream is consumed
+// see `bag.createReadStream` - a batch is only read once the stream's buffer has room,
+// so a slow consumer holds back reading instead of the whole bag being buffered.
+// read errors are emitted as stream errors, and destroying the stream (which an error
+// also does) stops any further reads. when the stream is given a close function, like
+// fs.ReadStream's autoClose, it's destroyed once it ends & calls close after the pending read settles
+export default class MessageStream<T> extends Readable {
+  _readBatch: ReadBatch<T>;
+  _close: ?(callback: (error: ?Error) => void) => void;
+  // the batch currently being read, which settles without rejecting
+  _pending: ?Promise<void>;
+  _finished: boolean;
+
+  constructor(readBatch: ReadBatch<T>, close?: (callback: (error: ?Error) => void) => void) {
+    super({ objectMode: true });
+    this._readBatch = readBatch;
+    this._close = close;
+    this._pending = undefined;
+    this._finished = false;
+    if (close) {
+      // $FlowFixMe - flow doesn't know about destroy
+      this.on("end", () => this.destroy());
+    }
+  }
+
+  _read() {
+    if (this._pending || this._finished) {
+      return;
+    }
+    this._pending = this._readBatch().then(
+      (batch) => {
+        this._pending = undefined;
+        if (this._finished) {
+          return;
+        }
+        if (!batch) {
+          this._finished = true;
+          this.push(null);
+          return;
+        }
+        // $FlowFixMe - flow's Readable only allows pushing buffers & strings
+        batch.forEach((value) => this.push(value));
+        // nothing was pushed so the stream won't ask for more by itself
+        if (!batch.length) {
+          this._read();
+        }
+      },
+      (error) => {
+        this._pending = undefined;
+        if (!this._finished) {
+          // $FlowFixMe - flow doesn't know about destroy
+          this.destroy(error);
+        }
+      }
+    );
+  }
+
+  _destroy(error: ?Error, callback: (error: ?Error) => void) {
+    // a read which is still in flight settles without pushing anything
+    this._finished = true;
+    const close = this._close;
+    if (!close) {
+      callback(error);
+      return;
+    }
+    // the pending read may still be using the file, so close it afterwards
+    const pending = this._pending || Promise.resolve();
+    pending.then(() => close((closeError) => callback(error || closeError)));
+  }
+}
@@ -0,0 +1,161 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Writable } from "stream";
+
+import Bag, { BagReader, BagWriter, MessageWriter, Reader, Writer } from ".";
+
+const messageDefinition = "int32 value\nuint8[] padding";
+const chunkCount = 5;
+const chunkLength = 40;
+
+// writes a bag with chunkCount chunks of chunkLength messages, one second apart
+async function writeBag(filename: string) {
+  const chunkThreshold = 16 * 1024;
+  const writer = new BagWriter(new Writer(filename), { chunkThreshold });
+  const messageWriter = new MessageWriter(messageDefinition);
+  await writer.open();
+  writer.writeConnection({ conn: 0, topic: "/foo", type: "test/Padded", md5sum: "", messageDefinition });
+  for (let value = 0; value < chunkCount * chunkLength; value++) {
+    // pad the last message of each chunk past the chunk threshold so the chunk is written
+    const padding = new Uint8Array(value % chunkLength === chunkLength - 1 ? chunkThreshold : 0);
+    await writer.writeMessage(0, { sec: value, nsec: 0 }, messageWriter.writeMessage({ value, padding }));
+  }
+  await writer.close();
+}
+
+function readAll(stream: any): Promise<number[]> {
+  return new Promise((resolve, reject) => {
+    const values = [];
+    stream.on("data", ({ message }) => values.push(message.value));
+    stream.on("end", () => resolve(values));
+    stream.on("error", reject);
+  });
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("bag.createReadStream", () => {
+  const filename = path.join(os.tmpdir(), `rosbag-stream-${process.pid}.bag`);
+  const expected = Array.from({ length: chunkCount * chunkLength }, (v, i) => i);
+
+  beforeAll(() => writeBag(filename));
+  afterAll(() => fs.unlinkSync(filename));
+
+  it("streams the messages readMessages would return", async () => {
+    const bag = await Bag.open(filename);
+    expect(bag.chunkInfos).toHaveLength(chunkCount);
+    expect(await readAll(bag.createReadStream({ autoClose: false }))).toEqual(expected);
+    const results = [];
+    await bag.readMessages({ topics: ["/foo"], startTime: { sec: 50, nsec: 0 } }, ({ message }) => {
+      results.push(message.value);
+    });
+    expect(await readAll(bag.createReadStream({ topics: ["/foo"], startTime: { sec: 50, nsec: 0 } }))).toEqual(results);
+  });
+
+  it("reads chunks only as the consumer makes room for more messages", async () => {
+    const bag = await Bag.open(filename);
+    const readChunk = jest.spyOn(bag.reader, "readChunkMessagesAsync");
+    // a sink which holds on to its first message until it's released
+    const values = [];
+    let release;
+    const sink = new Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write({ message }, encoding, callback) {
+        values.push(message.value);
+        if (values.length === 1) {
+          release = callback;
+        } else {
+          setImmediate(callback);
+        }
+      },
+    });
+    const finished = new Promise((resolve) => sink.on("finish", resolve));
+    bag.createReadStream({}).pipe(sink);
+    for (let i = 0; i < 10; i++) {
+      await tick();
+    }
+    // a single chunk fills the stream's buffer
+    expect(readChunk).toHaveBeenCalledTimes(1);
+    expect(values).toEqual([0]);
+
+    if (release) {
+      release();
+    }
+    await finished;
+    expect(values).toEqual(expected);
+    expect(readChunk).toHaveBeenCalledTimes(chunkCount);
+  });
+
+  it("emits read errors as stream errors & closes the bag", async () => {
+    const bag = await Bag.open(filename);
+    jest.spyOn(bag.reader, "readChunkMessagesAsync").mockImplementation(() => Promise.reject(new Error("bad chunk")));
+    const stream = bag.createReadStream({});
+    const closed = new Promise((resolve) => stream.on("close", resolve));
+    await expect(readAll(stream)).rejects.toThrow("bad chunk");
+    await closed;
+    expect(bag.reader.isDisposed()).toBe(true);
+  });
+
+  it("closes the bag's file once it ends", async () => {
+    const bag = await Bag.open(filename);
+    const file: any = bag.reader._file;
+    const stream = bag.createReadStream({});
+    const closed = new Promise((resolve) => stream.on("close", resolve));
+    expect(await readAll(stream)).toEqual(expected);
+    await closed;
+    expect(file._fd).toBeUndefined();
+    expect(bag.reader.isDisposed()).toBe(true);
+  });
+
+  it("closes the bag's file when destroyed, once the pending read has settled", async () => {
+    const bag = await Bag.open(filename);
+    const file: any = bag.reader._file;
+    const stream = bag.createReadStream({});
+    const values = [];
+    await new Promise((resolve) => {
+      stream.on("data", ({ message }) => {
+        values.push(message.value);
+        if (values.length === 10) {
+          stream.destroy();
+        }
+      });
+      stream.on("close", resolve);
+    });
+    expect(values).toEqual(expected.slice(0, 10));
+    expect(file._fd).toBeUndefined();
+    await expect(bag.readMessages({}, () => {})).rejects.toThrow("Cannot read from a closed bag.");
+  });
+
+  it("leaves the bag open for its other reads with autoClose: false", async () => {
+    const bag = await Bag.open(filename);
+    const file: any = bag.reader._file;
+    const other = readAll(bag.createReadStream({ autoClose: false }));
+    const stream = bag.createReadStream({ autoClose: false });
+    stream.on("data", () => stream.destroy());
+    await new Promise((resolve) => stream.on("close", resolve));
+    expect(file._fd).toBeDefined();
+    expect(await other).toEqual(expected);
+    expect(file._fd).toBeDefined();
+
+    await bag.close();
+    expect(file._fd).toBeUndefined();
+  });
+
+  it("leaves bags which weren't opened from a path open by default", async () => {
+    const bag = new Bag(new BagReader(new Reader(filename)));
+    await bag.open();
+    expect(await readAll(bag.createReadStream({}))).toEqual(expected);
+    expect(bag.reader.isDisposed()).toBe(false);
+    await bag.close();
+  });
+});
@@ -0,0 +1,95 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Buffer } from "buffer";
+import * as fs from "fs";
+
+import type { Callback } from "../types";
+
+// reader using nodejs fs api
+// safe to use for concurrent reads - the file is opened once and every read gets its own buffer
+export default class Reader {
+  _filename: string;
+  _fd: ?number;
+  _size: number;
+  _openCallbacks: ?Array<(error: ?Error) => void>;
+
+  constructor(filename: string) {
+    this._filename = filename;
+    this._fd = undefined;
+    this._size = 0;
+    this._openCallbacks = undefined;
+  }
+
+  // open a file for reading, queueing callers while the open is in flight
+  _open(cb: (error: ?Error) => void): void {
+    if (this._openCallbacks) {
+      this._openCallbacks.push(cb);
+      return;
+    }
+    const callbacks = [cb];
+    this._openCallbacks = callbacks;
+    const done = (error: ?Error) => {
+      this._openCallbacks = undefined;
+      callbacks.forEach((callback) => callback(error));
+    };
+
+    fs.stat(this._filename, (error, stat) => {
+      if (error) {
+        return done(error);
+      }
+
+      return fs.open(this._filename, "r", (err, fd) => {
+        if (err) {
+          return done(err);
+        }
+
+        this._fd = fd;
+        this._size = stat.size;
+        return done(null);
+      });
+    });
+  }
+
+  // a file which is still being opened is closed once it's open, so its descriptor isn't leaked
+  close(cb: (error: ?Error) => void) {
+    if (this._openCallbacks) {
+      this._openCallbacks.push(() => this.close(cb));
+      return;
+    }
+    if (this._fd != null) {
+      const fd = this._fd;
+      this._fd = undefined;
+      fs.close(fd, cb);
+      return;
+    }
+    setImmediate(cb, null);
+  }
+
+  // read length (bytes) starting from offset (bytes)
+  // callback(err, buffer)
+  read(offset: number, length: number, cb: Callback<Buffer>): void {
+    const fd = this._fd;
+    if (fd == null) {
+      return this._open((err) => {
+        return err ? cb(err) : this.read(offset, length, cb);
+      });
+    }
+    // every read gets its own buffer as callers hold on to slices of it,
+    // e.g. message data read from an uncompressed chunk
+    const buffer = Buffer.alloc(length);
+    return fs.read(fd, buffer, 0, length, offset, (err, bytes, buff) => {
+      return err ? cb(err) : cb(null, buff);
+    });
+  }
+
+  // return the size of the file
+  size() {
+    return this._size;
+  }
+}
@@ -0,0 +1,72 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import * as fs from "fs";
+
+import type { Callback } from "../types";
+
+// writer using nodejs fs api
+// the file is created (or truncated) on the first write
+export default class Writer {
+  _filename: string;
+  _fd: ?number;
+  _openCallbacks: ?Array<(error: ?Error) => void>;
+
+  constructor(filename: string) {
+    this._filename = filename;
+    this._fd = undefined;
+    this._openCallbacks = undefined;
+  }
+
+  // open the file for writing, queueing callers while the open is in flight
+  _open(cb: (error: ?Error) => void): void {
+    if (this._openCallbacks) {
+      this._openCallbacks.push(cb);
+      return;
+    }
+    const callbacks = [cb];
+    this._openCallbacks = callbacks;
+    fs.open(this._filename, "w", (err, fd) => {
+      this._openCallbacks = undefined;
+      if (!err) {
+        this._fd = fd;
+      }
+      callbacks.forEach((callback) => callback(err));
+    });
+  }
+
+  close(cb: (error: ?Error) => void) {
+    if (this._fd != null) {
+      const fd = this._fd;
+      this._fd = undefined;
+      fs.close(fd, cb);
+      return;
+    }
+    setImmediate(cb, null);
+  }
+
+  // write the whole buffer starting at offset (bytes)
+  // callback(err)
+  write(offset: number, buffer: Buffer, cb: Callback<void>): void {
+    const fd = this._fd;
+    if (fd == null) {
+      return this._open((err) => {
+        return err ? cb(err) : this.write(offset, buffer, cb);
+      });
+    }
+    return fs.write(fd, buffer, 0, buffer.length, offset, (err, written) => {
+      if (err) {
+        return cb(err);
+      }
+      if (written < buffer.length) {
+        return this.write(offset + written, buffer.slice(written), cb);
+      }
+      return cb(null);
+    });
+  }
+}
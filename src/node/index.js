@@ -8,84 +8,244 @@
 
 import { Buffer } from "buffer";
 import * as fs from "fs";
-import { MessageReader, parseMessageDefinition, rosPrimitiveTypes, TimeUtil } from "../index";
-import type { Callback } from "../types";
-import Bag from "../bag";
+import * as http from "http";
+import * as https from "https";
+import { parse, resolve } from "url";
+import {
+  AbortError,
+  formatRosbagInfo,
+  formatRosbagInfoYaml,
+  MessageReader,
+  MessageWriter,
+  parseMessageDefinition,
+  registerDecompressor,
+  reindex,
+  rosPrimitiveTypes,
+  TimeUtil,
+} from "../index";
+import type { Callback, FileHandle, Filelike } from "../types";
+import Bag, { type BagSource, type OpenOptions, type ReadStreamOptions } from "../bag";
 import BagReader from "../BagReader";
+import BagWriter from "../BagWriter";
+import BufferReader, { isBufferSource } from "../BufferReader";
+import HttpReader, {
+  isHttpUrl,
+  type HttpReaderOptions,
+  type HttpRequestOptions,
+  type HttpResponse,
+} from "../HttpReader";
+import MessageStream from "./MessageStream";
+import Reader from "./Reader";
+import { reindexCommand } from "./reindexCommand";
+import Writer from "./Writer";
 
-// reader using nodejs fs api
-export class Reader {
-  _filename: string;
-  _fd: ?number;
-  _size: number;
-  _buffer: Buffer;
-
-  constructor(filename: string) {
-    this._filename = filename;
-    this._fd = undefined;
-    this._size = 0;
-    this._buffer = Buffer.allocUnsafe(0);
-  }
-
-  // open a file for reading
-  _open(cb: (error: ?Error) => void): void {
-    fs.stat(this._filename, (error, stat) => {
-      if (error) {
-        return cb(error);
-      }
+// reader for a file which is already open, from a file descriptor
+// the caller owns the file descriptor and closes it once the bag is no longer read, unless autoClose
+// is set, which closes it when the reader is closed - after which the reader can't be read from again
+export class FdReader {
+  _fd: number;
+  _autoClose: boolean;
+  _closed: boolean;
+  _size: ?number;
+  _statCallbacks: ?Array<(error: ?Error) => void>;
 
-      return fs.open(this._filename, "r", (err, fd) => {
-        if (err) {
-          return cb(err);
-        }
+  constructor(fd: number, options?: {| autoClose?: boolean |}) {
+    this._fd = fd;
+    this._autoClose = !!(options && options.autoClose);
+    this._closed = false;
+    this._size = undefined;
+    this._statCallbacks = undefined;
+  }
 
-        this._fd = fd;
+  // read the size of the file, queueing callers while the stat is in flight
+  _stat(cb: (error: ?Error) => void): void {
+    if (this._statCallbacks) {
+      this._statCallbacks.push(cb);
+      return;
+    }
+    const callbacks = [cb];
+    this._statCallbacks = callbacks;
+    fs.fstat(this._fd, (err, stat) => {
+      this._statCallbacks = undefined;
+      if (!err) {
         this._size = stat.size;
-        return cb(null);
-      });
+      }
+      callbacks.forEach((callback) => callback(err));
     });
   }
 
+  _closeFile(cb: (error: ?Error) => void) {
+    fs.close(this._fd, cb);
+  }
+
   close(cb: (error: ?Error) => void) {
-    if (this._fd != null) {
-      fs.close(this._fd, cb);
+    if (this._autoClose && !this._closed) {
+      this._closed = true;
+      this._closeFile(cb);
+      return;
     }
+    setImmediate(cb, null);
   }
 
   // read length (bytes) starting from offset (bytes)
   // callback(err, buffer)
   read(offset: number, length: number, cb: Callback<Buffer>): void {
-    if (this._fd == null) {
-      return this._open((err) => {
+    if (this._closed) {
+      setImmediate(cb, new Error("Can't read from a closed file."));
+      return undefined;
+    }
+    if (this._size == null) {
+      return this._stat((err) => {
         return err ? cb(err) : this.read(offset, length, cb);
       });
     }
-    if (length > this._buffer.byteLength) {
-      this._buffer = Buffer.alloc(length);
-    }
-    return fs.read(this._fd, this._buffer, 0, length, offset, (err, bytes, buff) => {
+    // every read gets its own buffer as callers hold on to slices of it
+    const buffer = Buffer.alloc(length);
+    return fs.read(this._fd, buffer, 0, length, offset, (err, bytes, buff) => {
       return err ? cb(err) : cb(null, buff);
     });
   }
 
   // return the size of the file
   size() {
-    return this._size;
+    return this._size || 0;
+  }
+}
+
+// reader for a file which is already open, from a fs.promises FileHandle
+// the caller owns the FileHandle the same way it owns the file descriptor of an FdReader
+export class FileHandleReader extends FdReader {
+  _handle: FileHandle;
+
+  constructor(handle: FileHandle, options?: {| autoClose?: boolean |}) {
+    super(handle.fd, options);
+    this._handle = handle;
+  }
+
+  _closeFile(cb: (error: ?Error) => void) {
+    this._handle.close().then(() => cb(null), cb);
   }
 }
 
-const open = async (filename: File | string) => {
-  if (typeof filename !== "string") {
-    throw new Error(
-      "Expected filename to be a string. Make sure you are correctly importing the node or web version of Bag."
+// the number of redirects a request follows before it fails
+const MAX_REDIRECTS = 5;
+
+// requests using the nodejs http & https apis
+// redirects are followed, without the credentials when they lead to another origin, and a request
+// fails once the server has sent nothing for the timeout
+// $FlowFixMe - flow doesn't allow overriding methods on the prototype
+HttpReader.prototype._request = function request(
+  url: string,
+  options: HttpRequestOptions,
+  cb: Callback<HttpResponse>,
+  redirects: number = 0
+) {
+  const { method, headers, timeout } = options;
+  // the request finishes once, even if it's aborted after the response started
+  let finished = false;
+  const finish = (callback: () => void) => {
+    if (!finished) {
+      finished = true;
+      callback();
+    }
+  };
+  const target = parse(url);
+  const client = target.protocol === "https:" ? https : http;
+  const req = client.request({ ...target, method, headers }, (response) => {
+    const { location } = response.headers;
+    // once there have been too many, the redirect is passed on like any other response
+    if (response.statusCode >= 300 && response.statusCode < 400 && location && redirects < MAX_REDIRECTS) {
+      response.resume();
+      const next = resolve(url, location);
+      const { protocol, host } = parse(next);
+      const sameOrigin = protocol === target.protocol && host === target.host;
+      const nextHeaders = {};
+      Object.keys(headers).forEach((name) => {
+        if (sameOrigin || !/^(authorization|cookie)$/i.test(name)) {
+          nextHeaders[name] = headers[name];
+        }
+      });
+      finish(() => request.call(this, next, { ...options, headers: nextHeaders }, cb, redirects + 1));
+      return;
+    }
+    const buffers = [];
+    response.on("data", (buffer) => buffers.push(buffer));
+    response.on("error", (error) => finish(() => cb(error)));
+    response.on("end", () =>
+      finish(() => cb(null, { status: response.statusCode, headers: response.headers, body: Buffer.concat(buffers) }))
     );
+  });
+  req.setTimeout(timeout, () => {
+    finish(() => cb(new Error(`Request for ${url} timed out after ${timeout}ms.`)));
+    req.abort();
+  });
+  req.on("error", (error) => finish(() => cb(error)));
+  req.end();
+};
+
+function createReader(file: BagSource, options?: OpenOptions): Filelike {
+  if (typeof file === "string") {
+    return isHttpUrl(file) ? new HttpReader(file, options && options.http) : new Reader(file);
+  }
+  if (typeof file === "number") {
+    return new FdReader(file);
+  }
+  if (isBufferSource(file)) {
+    return new BufferReader((file: any));
+  }
+  if (file && typeof file.fd === "number" && typeof file.close === "function") {
+    return new FileHandleReader((file: any));
+  }
+  throw new Error(
+    "Expected a path, url, Buffer, ArrayBuffer, Uint8Array, file descriptor or FileHandle. Make sure you are correctly importing the node or web version of Bag."
+  );
+}
+
+// the bags which open created from a path or url, whose streams close them by default
+const openedBags: WeakSet<Bag> = new WeakSet();
+
+// file is a path, an http(s) url, the bytes of a bag, or a file descriptor or FileHandle of an open file
+// file descriptors & FileHandles are left open - they belong to the caller, who closes them
+const open = async (file: BagSource, options?: OpenOptions) => {
+  const bag = new Bag(new BagReader(createReader(file, options)));
+  await bag.open(options);
+  if (typeof file === "string") {
+    openedBags.add(bag);
   }
-  const bag = new Bag(new BagReader(new Reader(filename)));
-  await bag.open();
   return bag;
 };
 Bag.open = open;
 
+// chunks are read as the stream's consumer makes room for more messages
+// with autoClose the stream closes the bag once it ends or is destroyed, after its pending read has settled.
+// the bag's other reads share its file, so pass autoClose: false to keep reading the bag afterwards
+// $FlowFixMe - flow doesn't allow overriding methods on the prototype
+Bag.prototype.createReadStream = function(opts: ReadStreamOptions) {
+  const { autoClose = openedBags.has(this), ...readOptions } = opts;
+  const close = autoClose ? (cb) => this.close().then(() => cb(null), cb) : undefined;
+  return new MessageStream(this._createBatchReader(readOptions), close);
+};
+
 export * from "../types";
-export { TimeUtil, BagReader, MessageReader, open, parseMessageDefinition, rosPrimitiveTypes };
+export type { HttpReaderOptions };
+export {
+  TimeUtil,
+  AbortError,
+  BagReader,
+  BagWriter,
+  BufferReader,
+  formatRosbagInfo,
+  formatRosbagInfoYaml,
+  HttpReader,
+  MessageReader,
+  MessageWriter,
+  open,
+  parseMessageDefinition,
+  Reader,
+  registerDecompressor,
+  reindex,
+  reindexCommand,
+  rosPrimitiveTypes,
+  Writer,
+};
 export default Bag;
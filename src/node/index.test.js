@@ -9,11 +9,15 @@
 import assert from "assert";
 import path from "path";
 import fs from "fs";
+import http from "http";
 
-import { Reader } from ".";
+import BagReader from "../BagReader";
+import Bag, { BufferReader, FdReader, FileHandleReader, HttpReader, open, Reader } from ".";
+
+const fixtures = path.join(__dirname, "..", "..", "fixtures");
 
 describe("Reader", () => {
-  const fixture = path.join(__dirname, "..", "..", "fixtures", "asci-file.txt");
+  const fixture = path.join(fixtures, "asci-file.txt");
 
   it("should read bytes from a file", (done) => {
     const reader = new Reader(fixture);
@@ -24,4 +28,248 @@ describe("Reader", () => {
       reader.close(done);
     });
   });
+
+  it("should not reuse buffers between reads", (done) => {
+    const reader = new Reader(fixture);
+    reader.read(0, 10, (err: Error | null, first: any) => {
+      assert(!err);
+      reader.read(5, 5, (error: Error | null, second: any) => {
+        assert(!error);
+        assert.equal("1234567890", first.toString());
+        assert.equal("67890", second.toString());
+        reader.close(done);
+      });
+    });
+  });
+
+  it("should open the file once for concurrent reads", (done) => {
+    const reader = new Reader(fixture);
+    const expected = fs.readFileSync(fixture);
+    let remaining = 10;
+    for (let i = 0; i < 10; i++) {
+      reader.read(i, 5, (err: Error | null, buff: any) => {
+        assert(!err);
+        assert.equal(expected.slice(i, i + 5).toString(), buff.toString());
+        remaining--;
+        if (remaining === 0) {
+          reader.close(done);
+        }
+      });
+    }
+    // the reads made while the file is being opened wait on the same open
+    assert.equal(reader._openCallbacks && reader._openCallbacks.length, 10);
+  });
+
+  it("should call back when closing an unopened file", (done) => {
+    new Reader(fixture).close(done);
+  });
+
+  it("should close a file which is still being opened", (done) => {
+    const reader = new Reader(fixture);
+    reader.read(0, 5, (err: Error | null, buff: any) => {
+      assert(!err);
+      assert.equal("12345", buff.toString());
+    });
+    reader.close((err) => {
+      assert(!err);
+      assert.equal(reader._fd, undefined);
+      done();
+    });
+  });
+});
+
+describe("open from memory & open files", () => {
+  const filename = path.join(fixtures, "example.bag");
+
+  async function readValues(bag: Bag) {
+    const messages = [];
+    await bag.readMessages({ topics: ["/tf"] }, ({ timestamp, message }) => {
+      messages.push({ timestamp, message });
+    });
+    return messages;
+  }
+
+  let expected;
+  beforeAll(async () => {
+    expected = await readValues(await open(filename));
+  });
+
+  it("opens Buffers, ArrayBuffers & Uint8Arrays", async () => {
+    const buffer = fs.readFileSync(filename);
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    for (const data of [buffer, arrayBuffer, new Uint8Array(arrayBuffer)]) {
+      const bag = await open(data);
+      expect(bag.reader._file).toBeInstanceOf(BufferReader);
+      expect(await readValues(bag)).toEqual(expected);
+    }
+  });
+
+  it("opens file descriptors & leaves them open", async () => {
+    const fd = fs.openSync(filename, "r");
+    const bag = await open(fd);
+    expect(bag.reader._file).toBeInstanceOf(FdReader);
+    expect(await readValues(bag)).toEqual(expected);
+    await bag.reader.closeAsync();
+    expect(fs.fstatSync(fd).size).toBe(bag.reader.getFileSize());
+    // the bag can still be read as the caller owns the file descriptor
+    expect(await readValues(bag)).toHaveLength(expected.length);
+    fs.closeSync(fd);
+  });
+
+  it("opens FileHandles & leaves them open", async () => {
+    const handle = await fs.promises.open(filename, "r");
+    const bag = await open(handle);
+    expect(bag.reader._file).toBeInstanceOf(FileHandleReader);
+    expect(await readValues(bag)).toEqual(expected);
+    await bag.reader.closeAsync();
+    expect((await handle.stat()).size).toBe(bag.reader.getFileSize());
+    await handle.close();
+  });
+
+  it("closes file descriptors & FileHandles with autoClose", async () => {
+    const fd = fs.openSync(filename, "r");
+    const fdBag = new Bag(new BagReader(new FdReader(fd, { autoClose: true })));
+    await fdBag.open();
+    await fdBag.reader.closeAsync();
+    expect(() => fs.fstatSync(fd)).toThrow("EBADF");
+    await expect(readValues(fdBag)).rejects.toThrow("Can't read from a closed file.");
+
+    const handle = await fs.promises.open(filename, "r");
+    const close = jest.spyOn(handle, "close");
+    const handleBag = new Bag(new BagReader(new FileHandleReader(handle, { autoClose: true })));
+    await handleBag.open();
+    await handleBag.reader.closeAsync();
+    await handleBag.reader.closeAsync();
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects anything else", async () => {
+    await expect(open((({}: any): Buffer))).rejects.toThrow(
+      "Expected a path, url, Buffer, ArrayBuffer, Uint8Array, file descriptor or FileHandle."
+    );
+  });
+});
+
+// serves the fixtures directory with support for HEAD & range requests
+function serveFixtures(requests: string[]): Promise<http.Server> {
+  const server = http.createServer((request, response) => {
+    requests.push(`${request.method} ${request.url} ${request.headers.range || ""}`.trim());
+    const filename = path.join(fixtures, path.basename(request.url));
+    const [, directory] = request.url.split("/");
+    if (directory === "redirect") {
+      response.writeHead(302, { Location: `/${path.basename(request.url)}` });
+      response.end();
+      return;
+    }
+    if (directory === "loop") {
+      response.writeHead(301, { Location: request.url });
+      response.end();
+      return;
+    }
+    if (directory === "private" && request.headers.authorization !== "Bearer token") {
+      response.writeHead(401);
+      response.end();
+      return;
+    }
+    if (!fs.existsSync(filename)) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    const data = fs.readFileSync(filename);
+    const match = /^bytes=(\d+)-(\d+)$/.exec(request.headers.range || "");
+    if (!match) {
+      response.writeHead(200, { "Content-Length": String(data.length), "Accept-Ranges": "bytes" });
+      response.end(request.method === "HEAD" ? undefined : data);
+      return;
+    }
+    const [start, end] = [+match[1], Math.min(+match[2], data.length - 1)];
+    response.writeHead(206, {
+      "Content-Length": String(end - start + 1),
+      "Content-Range": `bytes ${start}-${end}/${data.length}`,
+    });
+    if (directory === "stall") {
+      // sends the start of the range & then stops
+      response.write(data.slice(start, start + 10));
+      return;
+    }
+    response.end(data.slice(start, end + 1));
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+describe("open over http", () => {
+  const requests = [];
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    server = await serveFixtures(requests);
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  async function readAll(bag: Bag) {
+    const messages = [];
+    await bag.readMessages({}, ({ topic, timestamp, message }) => {
+      messages.push({ topic, timestamp, message });
+    });
+    return messages;
+  }
+
+  it("reads the same messages as the file with range requests", async () => {
+    const bag = await open(`${url}/example.bag`);
+    expect(bag.reader._file).toBeInstanceOf(HttpReader);
+    expect(await readAll(bag)).toEqual(await readAll(await open(path.join(fixtures, "example.bag"))));
+    expect(requests[0]).toBe("HEAD /example.bag");
+    requests.slice(1).forEach((request) => expect(request).toMatch(/^GET \/example\.bag bytes=\d+-\d+$/));
+  });
+
+  it("reads the cached blocks without requesting them again", async () => {
+    const bag = await open(`${url}/example-lz4.bag`);
+    await readAll(bag);
+    const count = requests.length;
+    expect(await readAll(bag)).toHaveLength(8647);
+    expect(requests).toHaveLength(count);
+  });
+
+  it("reports missing files", async () => {
+    await expect(open(`${url}/missing.bag`)).rejects.toThrow(`Request for ${url}/missing.bag failed with status 404.`);
+  });
+
+  it("follows redirects", async () => {
+    const bag = await open(`${url}/redirect/example.bag`);
+    expect(await readAll(bag)).toHaveLength(8647);
+    expect(requests.slice(0, 4)).toEqual([
+      "HEAD /redirect/example.bag",
+      "HEAD /example.bag",
+      expect.stringMatching(/^GET \/redirect\/example\.bag bytes=\d+-\d+$/),
+      expect.stringMatching(/^GET \/example\.bag bytes=\d+-\d+$/),
+    ]);
+  });
+
+  it("stops following redirects after a few", async () => {
+    await expect(open(`${url}/loop/example.bag`)).rejects.toThrow(
+      `Request for ${url}/loop/example.bag was redirected with status 301, which wasn't followed.`
+    );
+    expect(requests).toHaveLength(6);
+  });
+
+  it("retries requests which stall & fails once they've timed out every time", async () => {
+    const bag = open(`${url}/stall/example.bag`, { http: { timeout: 50, retries: 1, retryDelay: 0 } });
+    await expect(bag).rejects.toThrow(`Request for ${url}/stall/example.bag timed out after 50ms.`);
+    expect(requests.filter((request) => request.startsWith("GET"))).toHaveLength(2);
+  });
+
+  it("passes the http options of open to the reader", async () => {
+    await expect(open(`${url}/private/example.bag`)).rejects.toThrow("failed with status 401.");
+    const headers = { Authorization: "Bearer token" };
+    const bag = await open(`${url}/private/example.bag`, { http: { headers, blockSize: 1024 } });
+    const file: any = bag.reader._file;
+    expect(file._blockSize).toBe(1024);
+    expect(await readAll(bag)).toHaveLength(8647);
+  });
 });
@@ -0,0 +1,71 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import path from "path";
+
+import BagReader from "../BagReader";
+import { reindex, type ReindexResult } from "../reindex";
+import Reader from "./Reader";
+import Writer from "./Writer";
+
+// where the command writes its messages, e.g. process.stdout & process.stderr
+export type CommandOutput = {|
+  stdout: { write(text: string): mixed },
+  stderr: { write(text: string): mixed },
+|};
+
+const close = (file: Reader | Writer) =>
+  new Promise((resolve, reject) => file.close((err) => (err ? reject(err) : resolve())));
+
+async function reindexFile(input: string, output: string): Promise<ReindexResult> {
+  const reader = new Reader(input);
+  const writer = new Writer(output);
+  try {
+    return await reindex(new BagReader(reader), writer);
+  } finally {
+    // reindex's BagWriter closes the writer once the copy is written - it's only still open after a failure
+    await Promise.all([close(reader), close(writer)]);
+  }
+}
+
+// the rosbag-reindex command - writes an indexed copy of a bag with a missing or broken index,
+// e.g. a .bag.active file left behind by a crashed recording
+// args are the command line arguments after the command, and it resolves with the exit code
+export async function reindexCommand(args: string[], { stdout, stderr }: CommandOutput): Promise<number> {
+  if (args.length !== 2) {
+    stderr.write("usage: rosbag-reindex <input.bag> <output.bag>\n");
+    return 1;
+  }
+  const [input, output] = args;
+  if (path.resolve(input) === path.resolve(output)) {
+    stderr.write("The output must be written to a different file than the input.\n");
+    return 1;
+  }
+
+  let result;
+  try {
+    result = await reindexFile(input, output);
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 1;
+  }
+
+  const { messageCount, chunkCount, connectionCount, report } = result;
+  stdout.write(
+    `Wrote ${messageCount} messages in ${chunkCount} chunks on ${connectionCount} connections to ${output}.\n`
+  );
+  if (report.truncated) {
+    stdout.write(
+      `The data was cut off in the record at byte ${report.truncated.offset}: ${report.truncated.message}\n`
+    );
+  }
+  report.skippedChunks.forEach(({ offset, message }) => {
+    stdout.write(`Skipped the chunk at byte ${offset}: ${message}\n`);
+  });
+  return 0;
+}
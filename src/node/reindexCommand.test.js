@@ -0,0 +1,82 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import Bag, { reindexCommand } from ".";
+
+const fixture = `${__dirname}/../../fixtures/example.bag`;
+const tempFile = (name: string) => path.join(os.tmpdir(), `rosbag-reindex-${process.pid}-${name}.bag`);
+
+// runs the command, collecting what it writes
+async function run(args: string[]) {
+  const output = { stdout: "", stderr: "" };
+  const code = await reindexCommand(args, {
+    stdout: { write: (text) => (output.stdout += text) },
+    stderr: { write: (text) => (output.stderr += text) },
+  });
+  return { code, ...output };
+}
+
+async function readTimes(filename: string) {
+  const bag = await Bag.open(filename);
+  const times = [];
+  await bag.readMessages({}, ({ topic, timestamp }) => {
+    times.push({ topic, timestamp });
+  });
+  await bag.close();
+  return times;
+}
+
+describe("reindexCommand", () => {
+  const input = tempFile("input");
+  const output = tempFile("output");
+
+  afterEach(() => {
+    [input, output].filter((file) => fs.existsSync(file)).forEach((file) => fs.unlinkSync(file));
+  });
+
+  it("writes an indexed copy of a bag without an index", async () => {
+    // cut the index section off the end of the fixture & zero the index position in its header
+    const bag = await Bag.open(fixture);
+    const { indexPosition } = bag.header;
+    await bag.close();
+    const broken = fs.readFileSync(fixture).slice(0, indexPosition);
+    const field = broken.indexOf("index_pos=") + "index_pos=".length;
+    broken.fill(0, field, field + 8);
+    fs.writeFileSync(input, broken);
+
+    const { code, stdout, stderr } = await run([input, output]);
+    expect({ code, stderr }).toEqual({ code: 0, stderr: "" });
+    const expected = await readTimes(fixture);
+    expect(stdout).toMatch(new RegExp(`^Wrote ${expected.length} messages in \\d+ chunks on \\d+ connections to `));
+    expect(await readTimes(output)).toEqual(expected);
+  });
+
+  it("prints the usage for the wrong number of arguments", async () => {
+    expect(await run([input])).toEqual({
+      code: 1,
+      stdout: "",
+      stderr: "usage: rosbag-reindex <input.bag> <output.bag>\n",
+    });
+  });
+
+  it("refuses to overwrite the input", async () => {
+    const { code, stderr } = await run([fixture, path.join(path.dirname(fixture), ".", "example.bag")]);
+    expect(code).toBe(1);
+    expect(stderr).toBe("The output must be written to a different file than the input.\n");
+  });
+
+  it("fails for files which can't be read", async () => {
+    const { code, stderr } = await run([tempFile("missing"), output]);
+    expect(code).toBe(1);
+    expect(stderr).toMatch(/ENOENT/);
+  });
+});
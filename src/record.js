@@ -36,8 +36,9 @@ export class BagHeader extends Record {
   constructor(fields: { [key: string]: Buffer }) {
     super(fields);
     this.indexPosition = readUInt64LE(fields.index_pos);
-    this.connectionCount = fields.conn_count.readInt32LE(0);
-    this.chunkCount = fields.chunk_count.readInt32LE(0);
+    // v1.2 bags have no connections or chunks, so their header only has the index position
+    this.connectionCount = fields.conn_count ? fields.conn_count.readInt32LE(0) : 0;
+    this.chunkCount = fields.chunk_count ? fields.chunk_count.readInt32LE(0) : 0;
   }
 }
 
@@ -75,6 +76,8 @@ export class Connection extends Record {
   callerid: ?string;
   latching: ?boolean;
   reader: ?MessageReader;
+  // readers created with MessageReaderOptions, by the options as json
+  readers: Map<string, MessageReader>;
 
   constructor(fields: { [key: string]: Buffer }) {
     super(fields);
@@ -83,6 +86,7 @@ export class Connection extends Record {
     this.type = undefined;
     this.md5sum = undefined;
     this.messageDefinition = "";
+    this.readers = new Map();
   }
 
   parseData(buffer: Buffer) {
@@ -170,3 +174,46 @@ export class ChunkInfo extends Record {
     }
   }
 }
+
+// v1.2 bags describe each topic with a message definition record written before its first message
+export class MessageDefinition extends Record {
+  static opcode = 1;
+  topic: string;
+  md5sum: string;
+  type: string;
+  messageDefinition: string;
+
+  constructor(fields: { [key: string]: Buffer }) {
+    super(fields);
+    this.topic = fields.topic.toString();
+    this.md5sum = fields.md5.toString();
+    this.type = fields.type.toString();
+    this.messageDefinition = fields.def.toString();
+  }
+}
+
+// the v1.2 index record, with the time & file position of every message on a topic
+export class TopicIndex extends Record {
+  static opcode = 4;
+  ver: number;
+  topic: string;
+  count: number;
+  indices: Array<{ time: Time, offset: number }>;
+
+  constructor(fields: { [key: string]: Buffer }) {
+    super(fields);
+    this.ver = fields.ver.readUInt32LE(0);
+    this.topic = fields.topic.toString();
+    this.count = fields.count.readUInt32LE(0);
+  }
+
+  parseData(buffer: Buffer) {
+    this.indices = [];
+    for (let i = 0; i < this.count; i++) {
+      this.indices.push({
+        time: extractTime(buffer, i * 16),
+        offset: int53.readUInt64LE(buffer, i * 16 + 8),
+      });
+    }
+  }
+}
@@ -0,0 +1,43 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import BagReader, { type RecoveryReport } from "./BagReader";
+import BagWriter from "./BagWriter";
+import type { WritableFilelike } from "./types";
+
+export type ReindexResult = {|
+  // the number of messages written to the reindexed bag
+  messageCount: number,
+  chunkCount: number,
+  connectionCount: number,
+  // where the data of the original bag was cut off & which chunks couldn't be read
+  report: RecoveryReport,
+|};
+
+// the equivalent of `rosbag reindex` - writes a copy of a bag with a missing or broken index
+// to file, with the index rebuilt from the records found by BagReader.recover
+// chunks are copied without being decompressed or recompressed, and a truncated final
+// chunk is cut down to its complete messages
+export async function reindex(reader: BagReader, file: WritableFilelike): Promise<ReindexResult> {
+  const { connections, chunkInfos, report } = await reader.recoverAsync();
+  const writer = new BagWriter(file);
+  await writer.open();
+  connections.forEach((connection) => writer.writeConnection(connection));
+
+  let messageCount = 0;
+  for (const chunkInfo of chunkInfos) {
+    const { chunk, indices } = await reader.readChunkRecordAsync(chunkInfo);
+    await writer.writeChunk(chunk, indices);
+    chunkInfo.connections.forEach(({ count }) => {
+      messageCount += count;
+    });
+  }
+  await writer.close();
+
+  return { messageCount, chunkCount: chunkInfos.length, connectionCount: connections.length, report };
+}
@@ -0,0 +1,105 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import fs from "fs";
+
+import Bag from "./bag";
+import BagReader from "./BagReader";
+import "./node";
+import { reindex } from "./reindex";
+
+function getFixture(filename = "example") {
+  return `${__dirname}/../fixtures/${filename}.bag`;
+}
+
+const memoryReader = (buffer: Buffer) =>
+  new BagReader({
+    read: (offset, length, cb) => cb(null, buffer.slice(offset, offset + length)),
+    size: () => buffer.length,
+  });
+
+async function openBuffer(buffer: Buffer): Promise<Bag> {
+  const bag = new Bag(memoryReader(buffer));
+  await bag.open();
+  return bag;
+}
+
+// cuts the index section off the end of a bag & zeroes the index position in its header
+async function removeIndex(name: string): Promise<Buffer> {
+  const buffer = fs.readFileSync(getFixture(name));
+  const { indexPosition } = (await openBuffer(buffer)).header;
+  const broken = Buffer.from(buffer.slice(0, indexPosition));
+  const field = broken.indexOf("index_pos=") + "index_pos=".length;
+  broken.fill(0, field, field + 8);
+  return broken;
+}
+
+async function reindexBuffer(buffer: Buffer) {
+  const writes = [];
+  const result = await reindex(memoryReader(buffer), {
+    write: (offset, data, cb) => {
+      writes.push({ offset, data: Buffer.from(data) });
+      cb(null);
+    },
+  });
+  const output = Buffer.alloc(Math.max(...writes.map(({ offset, data }) => offset + data.length)));
+  writes.forEach(({ offset, data }) => data.copy(output, offset));
+  return { result, bag: await openBuffer(output) };
+}
+
+async function readMessages(bag: Bag) {
+  const messages = [];
+  await bag.readMessages({}, ({ topic, timestamp, message }) => {
+    messages.push({ topic, timestamp, message });
+  });
+  return messages;
+}
+
+describe("reindex", () => {
+  it("writes an indexed copy of a bag without an index", async () => {
+    const { result, bag } = await reindexBuffer(await removeIndex("example"));
+    const original = await Bag.open(getFixture());
+    const messages = await readMessages(bag);
+    expect(messages).toEqual(await readMessages(original));
+    expect(result).toEqual({
+      messageCount: messages.length,
+      chunkCount: original.chunkInfos.length,
+      connectionCount: Object.keys(original.connections).length,
+      report: { truncated: undefined, skippedChunks: [] },
+    });
+    expect(bag.header.indexPosition).toBeGreaterThan(0);
+    expect(bag.chunkInfos).toHaveLength(original.chunkInfos.length);
+  });
+
+  it("copies compressed chunks without recompressing them", async () => {
+    const { bag } = await reindexBuffer(await removeIndex("example-lz4"));
+    const original = await Bag.open(getFixture("example-lz4"));
+    expect(await readMessages(bag)).toEqual(await readMessages(original));
+    const { chunk } = await bag.reader.readChunkRecordAsync(bag.chunkInfos[0]);
+    expect(chunk.compression).toBe("lz4");
+  });
+
+  it("keeps the complete messages of a truncated chunk", async () => {
+    const buffer = await removeIndex("example");
+    const { chunkInfos } = await Bag.open(getFixture());
+    const lastChunk = chunkInfos[chunkInfos.length - 1];
+    const truncated = buffer.slice(0, lastChunk.chunkPosition + 100 * 1024);
+    const { result, bag } = await reindexBuffer(truncated);
+
+    const messages = await readMessages(bag);
+    expect(messages.length).toBeGreaterThan(0);
+    expect(messages.length).toBeLessThan((await readMessages(await Bag.open(getFixture()))).length);
+    expect(result.messageCount).toBe(messages.length);
+    expect(result.report.truncated).toEqual({
+      offset: lastChunk.chunkPosition,
+      message: `Chunk at position ${lastChunk.chunkPosition} is truncated after ${bag.chunkInfos[
+        bag.chunkInfos.length - 1
+      ].connections.reduce((sum, { count }) => sum + count, 0)} messages.`,
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// Copyright (c) 2018-present, GM Cruise LLC
+
+// This source code is licensed under the Apache License, Version 2.0,
+// found in the LICENSE file in the root directory of this source tree.
+// You may not use this file except in compliance with the License.
+
+// @flow
+
+import { Buffer } from "buffer";
+import int53 from "int53";
+
+import { serializeFields, writeTime } from "./fields";
+import { BagHeader, Chunk, ChunkInfo, Connection, IndexData, MessageData } from "./record";
+import type { Time } from "./types";
+
+// the bag header record is padded with spaces to a fixed length
+// so it can be rewritten in place once the index position is known
+export const BAG_HEADER_LENGTH = 4096;
+
+// the fields needed to write a connection record
+export type ConnectionDescription = $ReadOnly<{
+  conn: number,
+  topic: string,
+  type: ?string,
+  md5sum: ?string,
+  messageDefinition: string,
+  callerid?: ?string,
+  latching?: ?boolean,
+}>;
+
+export type IndexEntry = { time: Time, offset: number };
+
+const uint8Buffer = (value: number) => Buffer.from([value]);
+
+const uint32Buffer = (value: number) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value, 0);
+  return buffer;
+};
+
+const uint64Buffer = (value: number) => {
+  const buffer = Buffer.alloc(8);
+  int53.writeUInt64LE(value, buffer, 0);
+  return buffer;
+};
+
+const timeBuffer = (time: Time) => {
+  const buffer = Buffer.alloc(8);
+  writeTime(time, buffer, 0);
+  return buffer;
+};
+
+// writes a single record in the `header_len | header | data_len | data` layout
+// read by BagReader.readRecordFromBuffer
+export function serializeRecord(opcode: number, fields: { [key: string]: Buffer }, data: Buffer): Buffer {
+  const header = serializeFields({ op: uint8Buffer(opcode), ...fields });
+  const buffer = Buffer.alloc(4 + header.length + 4 + data.length);
+  buffer.writeInt32LE(header.length, 0);
+  header.copy(buffer, 4);
+  buffer.writeInt32LE(data.length, 4 + header.length);
+  data.copy(buffer, 4 + header.length + 4);
+  return buffer;
+}
+
+export function serializeBagHeader(indexPosition: number, connectionCount: number, chunkCount: number): Buffer {
+  const fields = {
+    index_pos: uint64Buffer(indexPosition),
+    conn_count: uint32Buffer(connectionCount),
+    chunk_count: uint32Buffer(chunkCount),
+  };
+  const headerLength = serializeRecord(BagHeader.opcode, fields, Buffer.alloc(0)).length;
+  // the remaining space is padded with ascii spaces per the rosbag spec
+  return serializeRecord(BagHeader.opcode, fields, Buffer.alloc(BAG_HEADER_LENGTH - headerLength, 0x20));
+}
+
+export function serializeConnection(connection: ConnectionDescription): Buffer {
+  const data: { [key: string]: Buffer } = {
+    topic: Buffer.from(connection.topic),
+    type: Buffer.from(connection.type || ""),
+    md5sum: Buffer.from(connection.md5sum || ""),
+    message_definition: Buffer.from(connection.messageDefinition),
+  };
+  if (connection.callerid != null) {
+    data.callerid = Buffer.from(connection.callerid);
+  }
+  if (connection.latching != null) {
+    data.latching = Buffer.from(connection.latching ? "1" : "0");
+  }
+  const fields = { conn: uint32Buffer(connection.conn), topic: Buffer.from(connection.topic) };
+  return serializeRecord(Connection.opcode, fields, serializeFields(data));
+}
+
+export function serializeMessageData(conn: number, time: Time, data: Buffer): Buffer {
+  return serializeRecord(MessageData.opcode, { conn: uint32Buffer(conn), time: timeBuffer(time) }, data);
+}
+
+export function serializeChunk(compression: string, size: number, data: Buffer): Buffer {
+  return serializeRecord(Chunk.opcode, { compression: Buffer.from(compression), size: uint32Buffer(size) }, data);
+}
+
+// entry offsets are relative to the start of the uncompressed chunk data
+export function serializeIndexData(conn: number, entries: $ReadOnlyArray<IndexEntry>): Buffer {
+  const data = Buffer.alloc(entries.length * 12);
+  entries.forEach((entry, i) => {
+    writeTime(entry.time, data, i * 12);
+    data.writeUInt32LE(entry.offset, i * 12 + 8);
+  });
+  const fields = { ver: uint32Buffer(1), conn: uint32Buffer(conn), count: uint32Buffer(entries.length) };
+  return serializeRecord(IndexData.opcode, fields, data);
+}
+
+export function serializeChunkInfo(
+  chunkPosition: number,
+  startTime: Time,
+  endTime: Time,
+  connections: $ReadOnlyArray<{ conn: number, count: number }>
+): Buffer {
+  const data = Buffer.alloc(connections.length * 8);
+  connections.forEach(({ conn, count }, i) => {
+    data.writeUInt32LE(conn, i * 8);
+    data.writeUInt32LE(count, i * 8 + 4);
+  });
+  const fields = {
+    ver: uint32Buffer(1),
+    chunk_pos: uint64Buffer(chunkPosition),
+    start_time: timeBuffer(startTime),
+    end_time: timeBuffer(endTime),
+    count: uint32Buffer(connections.length),
+  };
+  return serializeRecord(ChunkInfo.opcode, fields, data);
+}
@@ -21,4 +21,28 @@ export interface Time {
 export interface Filelike {
   read(offset: number, length: number, callback: Callback<Buffer>): void;
   size(): number;
+  // optional - releases the underlying file, e.g. the node.js Reader closes its file descriptor
+  +close?: (callback: (error: ?Error) => void) => void;
+}
+
+// the write side counterpart of Filelike, used by BagWriter
+// writes are positional so records can be patched in place after they are written
+export interface WritableFilelike {
+  write(offset: number, buffer: Buffer, callback: Callback<void>): void;
+  // optional - releases the underlying file once the bag is written, e.g. the node.js Writer closes its file descriptor
+  +close?: (callback: (error: ?Error) => void) => void;
+}
+
+// the parts of the AbortSignal interface used to cancel reads
+// any AbortController's signal can be passed, or an object which behaves the same way
+export interface AbortSignal {
+  +aborted: boolean;
+  addEventListener(type: "abort", listener: () => void): void;
+  removeEventListener(type: "abort", listener: () => void): void;
+}
+
+// the parts of the node.js fs.promises FileHandle interface used to read a file which is already open
+export interface FileHandle {
+  +fd: number;
+  close(): Promise<void>;
 }
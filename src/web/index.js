@@ -7,10 +7,29 @@
 // @flow
 
 import { Buffer } from "buffer";
-import { MessageReader, parseMessageDefinition, rosPrimitiveTypes, TimeUtil } from "../index";
-import { type Callback } from "../types";
-import Bag from "../bag";
+import {
+  AbortError,
+  formatRosbagInfo,
+  formatRosbagInfoYaml,
+  MessageReader,
+  MessageWriter,
+  parseMessageDefinition,
+  registerDecompressor,
+  reindex,
+  rosPrimitiveTypes,
+  TimeUtil,
+} from "../index";
+import { type Callback, type Filelike } from "../types";
+import Bag, { type BagSource, type OpenOptions } from "../bag";
 import BagReader from "../BagReader";
+import BagWriter from "../BagWriter";
+import BufferReader, { isBufferSource } from "../BufferReader";
+import HttpReader, {
+  isHttpUrl,
+  type HttpReaderOptions,
+  type HttpRequestOptions,
+  type HttpResponse,
+} from "../HttpReader";
 
 // browser reader for Blob|File objects
 export class Reader {
@@ -49,18 +68,109 @@ export class Reader {
   }
 }
 
-const open = async (file: File | string) => {
-  if (!(file instanceof Blob)) {
-    throw new Error(
-      "Expected file to be a File or Blob. Make sure you are correctly importing the node or web version of Bag."
-    );
+// browser writer which assembles everything written to it into a Blob
+export class Writer {
+  _writes: Array<{ offset: number, buffer: Buffer }>;
+  _size: number;
+
+  constructor() {
+    this._writes = [];
+    this._size = 0;
+  }
+
+  // write the whole buffer starting at offset (bytes)
+  // callback(err)
+  write(offset: number, buffer: Buffer, cb: Callback<void>) {
+    this._writes.push({ offset, buffer });
+    this._size = Math.max(this._size, offset + buffer.length);
+    setImmediate(cb, null);
+  }
+
+  // return the written bytes as a Blob
+  // later writes to the same offset replace earlier ones
+  getBlob(): Blob {
+    const bytes = new Uint8Array(this._size);
+    this._writes.forEach(({ offset, buffer }) => bytes.set(buffer, offset));
+    return new Blob([bytes]);
+  }
+}
+
+// requests using XMLHttpRequest, which follows redirects itself - cross origin servers must allow
+// the Range header and expose the Content-Length header to the page
+// $FlowFixMe - flow doesn't allow overriding methods on the prototype
+HttpReader.prototype._request = function(
+  url: string,
+  { method, headers, timeout }: HttpRequestOptions,
+  cb: Callback<HttpResponse>
+) {
+  const xhr = new XMLHttpRequest();
+  xhr.open(method, url);
+  xhr.responseType = "arraybuffer";
+  xhr.timeout = timeout;
+  Object.keys(headers).forEach((name) => xhr.setRequestHeader(name, headers[name]));
+  xhr.onload = function() {
+    const responseHeaders = {};
+    xhr
+      .getAllResponseHeaders()
+      .split("\r\n")
+      .forEach((line) => {
+        const separator = line.indexOf(":");
+        if (separator > 0) {
+          responseHeaders[line.slice(0, separator).toLowerCase()] = line.slice(separator + 1).trim();
+        }
+      });
+    cb(null, { status: xhr.status, headers: responseHeaders, body: Buffer.from(xhr.response || []) });
+  };
+  xhr.onerror = function() {
+    cb(new Error(`Request for ${url} failed.`));
+  };
+  xhr.ontimeout = function() {
+    cb(new Error(`Request for ${url} timed out after ${timeout}ms.`));
+  };
+  xhr.send();
+};
+
+function createReader(file: BagSource, options?: OpenOptions): Filelike {
+  if (typeof file === "string" && isHttpUrl(file)) {
+    return new HttpReader(file, options && options.http);
+  }
+  if (file instanceof Blob) {
+    return new Reader(file);
   }
-  const bag = new Bag(new BagReader(new Reader(file)));
-  await bag.open();
+  if (isBufferSource(file)) {
+    return new BufferReader((file: any));
+  }
+  throw new Error(
+    "Expected a File, Blob, url, ArrayBuffer or Uint8Array. Make sure you are correctly importing the node or web version of Bag."
+  );
+}
+
+// file is a File or Blob, the url of a file served over http(s) which is read with range requests,
+// or the bytes of a bag, which are read in place - see BufferReader
+const open = async (file: BagSource, options?: OpenOptions) => {
+  const bag = new Bag(new BagReader(createReader(file, options)));
+  await bag.open(options);
   return bag;
 };
 Bag.open = open;
 
 export * from "../types";
-export { TimeUtil, BagReader, MessageReader, open, parseMessageDefinition, rosPrimitiveTypes };
+export type { HttpReaderOptions };
+export {
+  TimeUtil,
+  AbortError,
+  BagReader,
+  BagWriter,
+  BufferReader,
+  formatRosbagInfo,
+  formatRosbagInfoYaml,
+  HttpReader,
+  MessageReader,
+  MessageWriter,
+  open,
+  parseMessageDefinition,
+  registerDecompressor,
+  reindex,
+  rosPrimitiveTypes,
+};
 export default Bag;
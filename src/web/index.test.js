@@ -6,7 +6,11 @@
 
 // @flow
 
-import { Reader } from ".";
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+import { BufferReader, HttpReader, open, Reader, Writer } from ".";
 
 describe("browser reader", () => {
   it("works in node", (done) => {
@@ -61,3 +65,112 @@ describe("browser reader", () => {
     });
   });
 });
+
+describe("browser writer", () => {
+  it("assembles positional writes into a blob", async () => {
+    const writer = new Writer();
+    const write = (offset: number, bytes: number[]) =>
+      new Promise((resolve, reject) =>
+        writer.write(offset, Buffer.from(bytes), (err) => (err ? reject(err) : resolve()))
+      );
+    await write(0, [0x00, 0x00, 0x00]);
+    await write(3, [0x03, 0x04]);
+    await write(1, [0x01, 0x02]);
+
+    const blob = writer.getBlob();
+    expect(blob.size).toBe(5);
+    const res: any = await new Promise((resolve, reject) =>
+      new Reader(blob).read(0, 5, (err, buffer) => (err ? reject(err) : resolve(buffer)))
+    );
+    expect(Array.from(res)).toEqual([0x00, 0x01, 0x02, 0x03, 0x04]);
+  });
+});
+
+describe("open over http", () => {
+  const fixtures = path.join(__dirname, "..", "..", "fixtures");
+  let server;
+  let url;
+
+  // serves the fixtures to other origins, with support for HEAD & range requests
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      const cors = {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Range",
+        "Access-Control-Expose-Headers": "Content-Length, Content-Range",
+      };
+      const filename = path.join(fixtures, path.basename(request.url));
+      if (request.method === "OPTIONS" || !fs.existsSync(filename)) {
+        response.writeHead(request.method === "OPTIONS" ? 204 : 404, cors);
+        response.end();
+        return;
+      }
+      const data = fs.readFileSync(filename);
+      const match = /^bytes=(\d+)-(\d+)$/.exec(request.headers.range || "");
+      if (!match) {
+        response.writeHead(200, { ...cors, "Content-Length": String(data.length) });
+        response.end(request.method === "HEAD" ? undefined : data);
+        return;
+      }
+      const [start, end] = [+match[1], Math.min(+match[2], data.length - 1)];
+      response.writeHead(206, { ...cors, "Content-Range": `bytes ${start}-${end}/${data.length}` });
+      response.end(data.slice(start, end + 1));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it("reads the same messages as the file with range requests", async () => {
+    const readTransforms = async (bag) => {
+      const messages = [];
+      await bag.readMessages({ topics: ["/tf"] }, ({ message }) => {
+        messages.push(message);
+      });
+      return messages;
+    };
+    const bag = await open(`${url}/example.bag`);
+    expect(bag.reader._file).toBeInstanceOf(HttpReader);
+    const messages = await readTransforms(bag);
+    expect(messages.length).toBeGreaterThan(0);
+    const file = new File([fs.readFileSync(path.join(fixtures, "example.bag"))], "example.bag");
+    expect(messages).toEqual(await readTransforms(await open(file)));
+  });
+
+  it("reports missing files", async () => {
+    await expect(open(`${url}/missing.bag`)).rejects.toThrow(`Request for ${url}/missing.bag failed with status 404.`);
+  });
+
+  it("passes the http options of open to the reader", async () => {
+    const bag = await open(`${url}/example.bag`, { http: { blockSize: 1024, retries: 0 } });
+    const file: any = bag.reader._file;
+    expect(file._blockSize).toBe(1024);
+    expect(file._retries).toBe(0);
+  });
+
+  it("rejects other strings", async () => {
+    await expect(open("example.bag")).rejects.toThrow("Expected a File, Blob, url, ArrayBuffer or Uint8Array.");
+  });
+});
+
+describe("open from memory", () => {
+  it("opens ArrayBuffers & Uint8Arrays", async () => {
+    const buffer = fs.readFileSync(path.join(__dirname, "..", "..", "fixtures", "example.bag"));
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    const counts = [];
+    for (const data of [arrayBuffer, new Uint8Array(arrayBuffer)]) {
+      const bag = await open(data);
+      expect(bag.reader._file).toBeInstanceOf(BufferReader);
+      let count = 0;
+      await bag.readMessages({}, () => {
+        count++;
+      });
+      counts.push(count);
+    }
+    expect(counts).toEqual([8647, 8647]);
+  });
+
+  it("rejects anything else", async () => {
+    await expect(open(1)).rejects.toThrow("Expected a File, Blob, url, ArrayBuffer or Uint8Array.");
+  });
+});